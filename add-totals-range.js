@@ -1,9 +1,6 @@
 #!/usr/bin/env node
 /* eslint-disable no-console */
 require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
-const axios = require('axios');
 
 const HUBSPOT_TOKEN = process.env.HUBSPOT_PRIVATE_APP_TOKEN;
 if (!HUBSPOT_TOKEN) {
@@ -11,98 +8,40 @@ if (!HUBSPOT_TOKEN) {
   process.exit(1);
 }
 
-// HubSpot property names from .env (same as daily script)
-const HSPROP_TOTAL_CLICKS      = process.env.HSPROP_TOTAL_CLICKS      || 'total_clicks';
-const HSPROP_TOTAL_IMPRESSIONS = process.env.HSPROP_TOTAL_IMPRESSIONS || 'total_impressions';
-const HSPROP_TOTAL_CONVERSIONS = process.env.HSPROP_TOTAL_CONVERSIONS || 'total_conversions';
-const HSPROP_LAST_AVG_CPC      = process.env.HSPROP_LAST_AVG_CPC      || 'avg_cpc_last';
-const HSPROP_LAST_CPL          = process.env.HSPROP_LAST_CPL          || 'cpl_last';
-const HSPROP_LAST_STATUS       = process.env.HSPROP_LAST_STATUS       || 'bing_last_status';
-const HSPROP_LAST_BING_DATE    = process.env.HSPROP_LAST_BING_DATE    || 'bing_last_processed';
+// Metric properties and the last-processed date prop come from metric-map / .env,
+// same as the daily script (src/hubspotClient.js)
+const { eachReportForRanges, isFailureStatus } = require('./src/msadsReport');
+const { isQuotaError } = require('./src/hubspotHttp');
+const { getHubspotClient } = require('./src/hubspotClient');
+const { monthChunks } = require('./src/dateRange');
+const campaignMap = require('./src/campaignMap');
+const fx = require('./src/fx');
 
-const headers = {
-  Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-  'Content-Type': 'application/json'
-};
-
-const { getDailyCampaignRows } = require('./src/msadsReport');
-
-function readCampaignMap() {
-  const p = path.join(process.cwd(), 'campaign-map.json');
-  if (!fs.existsSync(p)) return {};
-  try { return JSON.parse(fs.readFileSync(p, 'utf8')); }
-  catch (e) {
-    console.error('Failed to read campaign-map.json:', e.message);
-    return {};
-  }
-}
-
-function toNum(v){ const n = Number(v); return Number.isFinite(n) ? n : 0; }
-
-function ymdToEpochMs(ymd) {
-  const [y,m,d] = ymd.split('-').map(Number);
-  return Date.UTC(y, (m||1)-1, d||1, 0,0,0,0);
-}
-
-async function hsGetCampaignById(id) {
-  const url = `https://api.hubapi.com/marketing/v3/campaigns/${id}`;
-  const r = await axios.get(url, { headers, validateStatus: () => true });
-  if (r.status !== 200) throw new Error(`GET ${id} failed (${r.status}) ${JSON.stringify(r.data)}`);
-  return r.data;
-}
-
-async function hsPatchCampaignById(id, properties) {
-  const url = `https://api.hubapi.com/marketing/v3/campaigns/${id}`;
-  const r = await axios.patch(url, { properties }, { headers, validateStatus: () => true });
-  if (r.status !== 200) throw new Error(`PATCH ${id} failed (${r.status}) ${JSON.stringify(r.data)}`);
-  return r.data;
-}
-
-function addDays(ymd, n){
-  const [y,m,d] = ymd.split('-').map(Number);
-  const dt = new Date(Date.UTC(y,(m-1),d,0,0,0,0));
-  dt.setUTCDate(dt.getUTCDate()+n);
-  return dt.toISOString().slice(0,10);
-}
-
-async function addOneDay(date, cmap){
-  const rows = await getDailyCampaignRows(date);
+async function addOneDay(date, rows, cmap){
   let updated=0, skipped=0, missing=0, failed=0;
+  const entries = [];
 
   for (const row of rows){
     const name = row.name || row.campaignName || '';
     if (!name) continue;
 
-    const id = cmap[name];
-    if (!id){ missing++; continue; }
-
-    const dayClicks = toNum(row.clicks);
-    const dayImps   = toNum(row.impressions);
-    const dayConv   = toNum(row.conversions);
-    if (dayClicks===0 && dayImps===0 && dayConv===0){ skipped++; continue; }
-
-    try{
-      const cur = await hsGetCampaignById(id);
-      const props = (cur && cur.properties) || {};
-
-      const curClicks = toNum(props[HSPROP_TOTAL_CLICKS]);
-      const curImps   = toNum(props[HSPROP_TOTAL_IMPRESSIONS]);
-      const curConv   = toNum(props[HSPROP_TOTAL_CONVERSIONS]);
-
-      const nextProps = {};
-      nextProps[HSPROP_TOTAL_CLICKS]      = curClicks + dayClicks;
-      nextProps[HSPROP_TOTAL_IMPRESSIONS] = curImps   + dayImps;
-      nextProps[HSPROP_TOTAL_CONVERSIONS] = curConv   + dayConv;
-
-      if (HSPROP_LAST_AVG_CPC)   nextProps[HSPROP_LAST_AVG_CPC]   = (row.average_cpc ?? '') + '';
-      if (HSPROP_LAST_CPL)       nextProps[HSPROP_LAST_CPL]       = (row.all_cost_per_conversion ?? '') + '';
-      if (HSPROP_LAST_STATUS)    nextProps[HSPROP_LAST_STATUS]    = (row.campaign_status ?? '') + '';
-      if (HSPROP_LAST_BING_DATE) nextProps[HSPROP_LAST_BING_DATE] = ymdToEpochMs(date);
-
-      await hsPatchCampaignById(id, nextProps);
-      updated++;
-    }catch(e){
-      console.error(`❌ ${name} (${id}) ${e.message}`);
+    const hit = campaignMap.resolveRow(cmap, row);
+    if (!hit){ missing++; continue; }
+    if (hit.changed) campaignMap.saveCampaignMap(cmap);
+    entries.push({ campaignId: hit.hubspotId, metrics: fx.convertRow(row), name }); // CPC etc. in the portal currency
+  }
+  if (!entries.length) return { updated, skipped, missing, failed, rows: rows.length };
+
+  // ledger: only add what was not already applied for this day (skipped = unchanged);
+  // one batch read + one batch update for all of the day's campaigns
+  // (counted per HubSpot campaign: Bing campaigns sharing one are combined)
+  const results = await getHubspotClient().addTotalsForDay(entries, date, 'bing');
+  for (const [campaignId, res] of results){
+    if (!res.changed) skipped++;
+    else if (res.written) updated++;
+    else {
+      const name = entries.filter(e => String(e.campaignId) === campaignId).map(e => e.name).join(' + ');
+      console.error(`❌ ${name} (${campaignId}) not written`);
       failed++;
     }
   }
@@ -115,29 +54,49 @@ async function run(){
     .option('to',   { type: 'string', demandOption: true })
     .help(false).version(false).argv;
 
-  let cur = argv.from, end = argv.to;
-  console.log(`Additive backfill from ${cur} to ${end}`);
+  console.log(`Additive backfill from ${argv.from} to ${argv.to}`);
 
-  const cmap = readCampaignMap();
+  const cmap = campaignMap.loadCampaignMap();
   let total={updated:0, skipped:0, missing:0, failed:0, days:0, rows:0};
-
-  while (cur <= end){
-    try{
-      const r = await addOneDay(cur, cmap);
-      total.updated += r.updated;
-      total.skipped += r.skipped;
-      total.missing += r.missing;
-      total.failed  += r.failed;
-      total.rows    += r.rows;
-      total.days++;
-      console.log(`• ${cur}  rows=${r.rows}  upd=${r.updated}  skip=${r.skipped}  miss=${r.missing}  fail=${r.failed}`);
-    }catch(e){
-      console.error(`✖ ${cur} ${e.message}`);
+  const failedDays = []; // Bing report failed or the day threw: nothing (or not everything) applied
+  let quotaStop = null;
+
+  // one Bing report per month, then apply day by day
+  for await (const { from, to, result: report, error } of eachReportForRanges('campaign', monthChunks(argv.from, argv.to))){
+    if (error){
+      console.error(`✖ ${from}..${to} ${error.message}`);
+      failedDays.push(`${from}..${to} (error)`);
+      continue;
+    }
+    for (const [cur, rows] of Object.entries(report.byDay)){
+      const status = report.statusByDay[cur];
+      if (isFailureStatus(status)){
+        console.error(`✖ ${cur} Bing report ${status}, skipped`);
+        failedDays.push(`${cur} (${status})`);
+        continue;
+      }
+      try{
+        const r = await addOneDay(cur, rows, cmap);
+        total.updated += r.updated;
+        total.skipped += r.skipped;
+        total.missing += r.missing;
+        total.failed  += r.failed;
+        total.rows    += r.rows;
+        total.days++;
+        console.log(`• ${cur}  rows=${r.rows}  upd=${r.updated}  skip=${r.skipped}  miss=${r.missing}  fail=${r.failed}`);
+      }catch(e){
+        console.error(`✖ ${cur} ${e.message}`);
+        failedDays.push(`${cur} (error)`);
+        if (isQuotaError(e)){ quotaStop = cur; break; }
+      }
     }
-    cur = addDays(cur, 1);
+    if (quotaStop) break;
   }
+  if (quotaStop) console.error(`✖ Stopped at ${quotaStop} (HubSpot daily quota); re-run from ${quotaStop} once it resets.`);
 
-  console.log(`\nDone. days=${total.days} rows=${total.rows} updated=${total.updated} skipped=${total.skipped} missingMap=${total.missing} failed=${total.failed}`);
+  console.log(`\nDone. days=${total.days} rows=${total.rows} updated=${total.updated} skipped=${total.skipped} missingMap=${total.missing} failed=${total.failed} failedDays=${failedDays.length}`);
+  if (failedDays.length) console.error(`Failed days: ${failedDays.join(', ')}`);
+  if (failedDays.length || total.failed) process.exitCode = 1;
 }
 
 if (require.main === module){
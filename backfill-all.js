@@ -1,49 +1,55 @@
 require('dotenv').config();
-const { getDailyCampaignRows } = require('./src/msadsReport'); // Bing/MS Ads
+const { eachReportForRanges, isFailureStatus } = require('./src/msadsReport'); // Bing/MS Ads
 const { getHubspotClient } = require('./src/hubspotClient');
+const { isQuotaError } = require('./src/hubspotHttp');
+const { monthChunks, contiguousRanges } = require('./src/dateRange');
+const ledger = require('./src/totalsLedger');
+const { combineRows } = require('./src/metricMap');
+const fx = require('./src/fx');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
-function ymdRange(from, to) {
-  const out = [];
-  const d0 = new Date(from + 'T00:00:00Z');
-  const d1 = new Date(to   + 'T00:00:00Z');
-  for (let d = d0; d <= d1; d.setUTCDate(d.getUTCDate() + 1)) {
-    out.push(d.toISOString().slice(0, 10));
-  }
-  return out;
-}
-
-async function processBingDay(hs, isoDate, opts) {
+async function processBingDay(hs, isoDate, rows, opts) {
   opts = opts || {};
   const dryRun = !!opts.dryRun;
   const noSpend = !!opts.noSpend;
 
-  const rows = await getDailyCampaignRows(isoDate); // [{campaignName, spend, clicks, impressions, conversions, date}, ...]
+  // rows: [{campaignName, spend, clicks, impressions, conversions, date}, ...] for this day
   if (!rows || !rows.length) {
     console.log('- ' + isoDate + ': no data');
-    return { totalsAdded: 0, spendItems: 0 };
+    return { totalsAdded: 0, spendItems: 0, spendCorrected: 0, spendCorrection: 0, errors: 0, changed: false };
   }
 
   let totalsAdded = 0;
   let spendItems = 0;
-
+  let spendCorrected = 0;
+  let spendCorrection = 0; // net change in  from restated days
+  let spendCreated = 0;
+  let errors = 0; // campaigns whose HubSpot writes failed
+  const pending = []; // totals written for the whole day after the loop
+
+  // Bing campaigns mapped to the same HubSpot campaign share its spend item and ledger entry
+  const groups = new Map(); // HubSpot id -> report rows
   for (const r of rows) {
-    const name = r.campaignName;
-    const spend = Number(r.spend || 0); // major units (GBP)
-    const clicks = Number(r.clicks || 0);
-    const imps = Number(r.impressions || 0);
-    const convs = Number(r.conversions || 0);
-
     let campaignId;
     try {
-      campaignId = hs.ensureCampaignIdForName(name);
+      campaignId = String(hs.ensureCampaignIdForRow(r));
     } catch (e) {
-      console.error('? Ensure campaign failed for "' + name + '": ' + e.message);
+      console.error('? Ensure campaign failed for "' + r.campaignName + '": ' + e.message);
+      errors++;
       continue;
     }
+    if (!groups.has(campaignId)) groups.set(campaignId, []);
+    groups.get(campaignId).push(r);
+  }
 
-    // Spend item (idempotent via order)
+  for (const [campaignId, group] of groups) {
+    const name = group.map(r => r.campaignName).join(' + ');
+    // major units, converted from the ad account currency into the portal currency (src/fx.js)
+    const convs = group.map(r => fx.convertSpend(r.spend, r.currencyCode, isoDate));
+    const spend = Math.round(convs.reduce((s, c) => s + c.amount, 0) * 100) / 100;
+
+    // Spend item (upsert: created, corrected when Bing restated the day, or left alone)
     if (noSpend) {
       console.log('[NO-SPEND] skip spend ' + name + ' ' + isoDate + ' ' + spend.toFixed(2));
     } else if (dryRun) {
@@ -51,42 +57,85 @@ async function processBingDay(hs, isoDate, opts) {
       spendItems++;
     } else {
       try {
-        await hs.createSpendItem(campaignId, { isoDate: isoDate, amountMajor: spend, source: 'Bing' });
-        console.log('?? spend: ' + name + ' ' + isoDate + ' ' + spend.toFixed(2) + ' (created or exists)');
+        const res = await hs.createSpendItem(campaignId, {
+          isoDate: isoDate,
+          amountMajor: spend,
+          source: 'Bing',
+          description: 'Bing Ads daily spend (' + convs.map(fx.describeOriginal).join('; ') + ')',
+        });
+        if (res.action === 'updated') {
+          spendCorrected++;
+          spendCorrection += res.delta;
+          console.log('?? spend: ' + name + ' ' + isoDate + ' ' + res.previousAmount.toFixed(2) + ' -> ' + spend.toFixed(2) + ' (corrected)');
+        } else {
+          if (res.action === 'created') spendCreated++;
+          console.log('?? spend: ' + name + ' ' + isoDate + ' ' + spend.toFixed(2) + ' (' + res.action + ')');
+        }
         spendItems++;
       } catch (e) {
+        if (isQuotaError(e)) throw e;
         console.error('? Spend item failed for "' + name + '": ' + e.message);
+        errors += group.length;
       }
     }
 
-    // ADD totals (never overwrite)
-    if (clicks || imps || convs) {
-      if (dryRun) {
-        console.log('[DRY] totals ' + name + ' +clicks ' + clicks + ' +imps ' + imps + ' +conv ' + convs);
-      } else {
-        try {
-          await hs.addTotalsDelta(
-            campaignId,
-            { clicks: clicks, impressions: imps, conversions: convs },
-            isoDate
-          );
-          console.log('? totals: ' + name + ' clicks+' + clicks + ' imps+' + imps + ' conv+' + convs);
-        } catch (e) {
-          console.error('? Totals failed for "' + name + '": ' + e.message);
+    // ADD totals (never overwrite) - only the difference vs. what the ledger says was already applied;
+    // the whole row (combined for a shared campaign) goes through so metric-map can write any configured column
+    const metrics = combineRows(group.map(fx.convertRow)); // CPC etc. in the portal currency
+    if (dryRun) {
+      const d = ledger.diffApplied(campaignId, isoDate, 'bing', metrics);
+      if (d.changed) {
+        console.log('[DRY] totals ' + name + ' +clicks ' + d.delta.clicks + ' +imps ' + d.delta.impressions + ' +conv ' + d.delta.conversions);
+        totalsAdded++;
+      }
+    } else {
+      pending.push({ campaignId: campaignId, metrics: metrics, name: name, rows: group.length });
+    }
+  }
+
+  // one batch read + one batch update for the day's campaigns (see hubspotClient.addTotalsForDay)
+  if (pending.length) {
+    let results = null;
+    try {
+      results = await hs.addTotalsForDay(pending, isoDate, 'bing');
+    } catch (e) {
+      if (isQuotaError(e)) throw e;
+      console.error('? Totals failed for ' + isoDate + ': ' + e.message);
+      errors += pending.reduce((n, p) => n + p.rows, 0);
+    }
+    if (results) {
+      for (const p of pending) {
+        const res = results.get(String(p.campaignId));
+        if (!res.changed) {
+          console.log('= totals: ' + p.name + ' ' + isoDate + ' already applied');
+        } else if (res.written) {
+          console.log('? totals: ' + p.name + ' clicks+' + res.delta.clicks + ' imps+' + res.delta.impressions + ' conv+' + res.delta.conversions);
+          totalsAdded++;
+        } else {
+          console.error('? Totals failed for "' + p.name + '"');
+          errors += p.rows;
         }
       }
-      totalsAdded++;
     }
   }
 
-  return { totalsAdded: totalsAdded, spendItems: spendItems };
+  return {
+    totalsAdded: totalsAdded,
+    spendItems: spendItems,
+    spendCorrected: spendCorrected,
+    spendCorrection: spendCorrection,
+    errors: errors,
+    // anything actually written for this day (new data or a correction)
+    changed: totalsAdded > 0 || spendCreated > 0 || spendCorrected > 0,
+  };
 }
 
 async function main() {
   const argv = yargs(hideBin(process.argv))
     .option('source', { type: 'string', default: 'bing' })
-    .option('from',   { type: 'string', demandOption: true })
-    .option('to',     { type: 'string', demandOption: true })
+    .option('from',   { type: 'string' })
+    .option('to',     { type: 'string' })
+    .option('dates',  { type: 'string', describe: 'Comma-separated YYYY-MM-DD list (instead of --from/--to)' })
     .option('dryRun', { type: 'boolean', default: false })
     .option('noSpend',{ type: 'boolean', default: false })
     .argv;
@@ -96,6 +145,12 @@ async function main() {
   const to     = argv.to;
   const dryRun = !!argv.dryRun;
   const noSpend= !!argv.noSpend;
+  const dates  = argv.dates ? String(argv.dates).split(',').map(function(s) { return s.trim(); }).filter(Boolean) : null;
+
+  if (!dates && !(from && to)) {
+    console.error('Usage: node backfill-all.js --from=YYYY-MM-DD --to=YYYY-MM-DD | --dates=YYYY-MM-DD,YYYY-MM-DD');
+    process.exit(1);
+  }
 
   const hs = getHubspotClient();
 
@@ -106,32 +161,88 @@ async function main() {
 
   console.log(
     'Backfill ALL (bing) ' +
-    from + ' ? ' + to +
+    (dates ? dates.join(', ') : from + ' ? ' + to) +
     (dryRun ? ' [DRY RUN]' : '') +
     (noSpend ? ' [NO SPEND]' : '')
   );
 
-  const days = ymdRange(from, to);
-  let totals = 0, spends = 0, failures = 0;
-
-  for (const isoDate of days) {
+  // One Bing report per calendar month instead of one per day; an explicit
+  // --dates list becomes one report per run of consecutive days
+  const ranges = dates
+    ? [].concat.apply([], contiguousRanges(dates).map(function(r) { return monthChunks(r[0], r[1]); }))
+    : monthChunks(from, to);
+  let days = 0, totals = 0, spends = 0, corrected = 0, correction = 0, failures = 0;
+  const changedDays = [];
+  const failedDays = []; // Bing report failed (nothing written) or HubSpot writes failed
+  let quotaStop = null; // { date, error } once the HubSpot daily quota is nearly used up
+
+  // Reports are fetched several at a time (MSADS_CONCURRENCY); days are still written in order
+  for await (const { from: chunkFrom, to: chunkTo, result: report, error } of eachReportForRanges('campaign', ranges)) {
+    let byDay, statusByDay;
     try {
-      const r = await processBingDay(hs, isoDate, { dryRun: dryRun, noSpend: noSpend });
-      totals += r.totalsAdded;
-      spends += r.spendItems;
+      if (error) throw error;
+      byDay = report.byDay;
+      statusByDay = report.statusByDay;
+      if (report.metadata && report.metadata.potentialIncompleteData) {
+        console.log('  (provisional: Bing reports potentially incomplete data for ' + chunkFrom + '..' + chunkTo +
+          ', last completed ' + (report.metadata.lastCompletedAvailableDay || 'unknown') + ')');
+      }
     } catch (e) {
       failures++;
-      console.error('? Day ' + isoDate + ' failed: ' + e.message);
+      console.error('? Range ' + chunkFrom + '..' + chunkTo + ' failed: ' + e.message);
+      failedDays.push(chunkFrom + '..' + chunkTo + ' (error)');
+      continue;
     }
+    // Missing FX rates stop the whole run (main() exits non-zero) before this range is written
+    fx.assertRates([].concat.apply([], Object.values(byDay)));
+
+    for (const isoDate of Object.keys(byDay)) {
+      days++;
+      if (isFailureStatus(statusByDay[isoDate])) {
+        // An outage is not a zero-spend day: write nothing, report it
+        failures++;
+        failedDays.push(isoDate + ' (' + statusByDay[isoDate] + ')');
+        console.error('? ' + isoDate + ': Bing report ' + statusByDay[isoDate] + ', nothing written');
+        continue;
+      }
+      try {
+        const r = await processBingDay(hs, isoDate, byDay[isoDate], { dryRun: dryRun, noSpend: noSpend });
+        totals += r.totalsAdded;
+        spends += r.spendItems;
+        corrected += r.spendCorrected;
+        correction += r.spendCorrection;
+        if (r.changed) changedDays.push(isoDate);
+        if (r.errors) {
+          failures++;
+          failedDays.push(isoDate + ' (' + r.errors + ' campaign error(s))');
+        }
+      } catch (e) {
+        failures++;
+        failedDays.push(isoDate + ' (error)');
+        console.error('? Day ' + isoDate + ' failed: ' + e.message);
+        if (isQuotaError(e)) { quotaStop = { date: isoDate, error: e }; break; }
+      }
+    }
+    if (quotaStop) break;
+  }
+
+  if (quotaStop) {
+    console.error('? Stopped at ' + quotaStop.date + ': ' + quotaStop.error.message +
+      '. Days already written are kept; re-run from ' + quotaStop.date + ' once the quota resets.');
   }
 
+  console.log('Changed days: ' + (changedDays.length ? changedDays.join(', ') : 'none'));
+  if (failedDays.length) console.error('Failed days: ' + failedDays.join(', '));
   console.log(
-    'Done. Days=' + days.length +
+    'Done. Days=' + days +
     ' TotalsAdded=' + totals +
     ' SpendItems=' + spends +
+    ' SpendCorrected=' + corrected + ' (' + (correction >= 0 ? '+' : '-') + '' + Math.abs(correction).toFixed(2) + ')' +
     ' Failures=' + failures +
     (dryRun ? ' (DRY)' : '')
   );
+  // Failed days were not written; a non-zero exit lets run-bing-daily / the scheduler notice
+  if (failures) process.exitCode = 1;
 }
 
 if (require.main === module) {
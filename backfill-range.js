@@ -2,7 +2,10 @@
 require("dotenv").config();
 const minimist = require("minimist");
 const { addDays, format, isValid, parseISO } = require("date-fns");
-const { syncBingForDate } = require("./src/syncBingToHubspot");
+const { syncBingForRange } = require("./src/syncBingToHubspot");
+const { monthChunks } = require("./src/dateRange");
+const { eachReportForRanges, isFailureStatus } = require("./src/msadsReport");
+const { isQuotaError } = require("./src/hubspotHttp");
 
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
@@ -41,8 +44,10 @@ async function main() {
   //   --start=YYYY-MM-DD --end=YYYY-MM-DD   (inclusive)
   //   --since=YYYY-MM-DD                    (inclusive) to today-1
   //   --days=N                              (last N days ending yesterday)
-  //   --pauseMs=1500                        (pause between days)
-  //   --maxRetries=3                        (per day)
+  //   --pauseMs=1500                        (base wait before retrying a month)
+  //   --maxRetries=3                        (per month)
+  // Monthly reports are fetched MSADS_CONCURRENCY at a time; throttling is
+  // handled by the report layer, so there is no pause between months.
   const pauseMs = Number(argv.pauseMs ?? 1500);
   const maxRetries = Number(argv.maxRetries ?? 3);
 
@@ -63,26 +68,48 @@ async function main() {
 
   console.log(`Backfilling ${dates.length} day(s): ${dates[0]} → ${dates[dates.length - 1]}`);
 
-  let totals = { created: 0, updated: 0, unchanged: 0, failedDays: 0 };
+  // updated = spend items corrected after Bing restated a day; correction = net amount change
+  let totals = { created: 0, updated: 0, unchanged: 0, correction: 0, failedDays: 0 };
+  const failed = [];
+  let quotaStop = null; // month where the HubSpot daily quota ran low
 
-  for (const d of dates) {
+  // One Bing report per calendar month; spend items are still written per day
+  for await (const fetched of eachReportForRanges("campaign", monthChunks(dates[0], dates[dates.length - 1]))) {
+    const { from, to } = fetched;
+    const label = from === to ? from : `${from} → ${to}`;
     let attempt = 0;
     let success = false;
     while (attempt < maxRetries && !success) {
       attempt++;
       try {
-        console.log(`\n=== ${d} (attempt ${attempt}/${maxRetries}) ===`);
-        const res = await syncBingForDate(d);
-        console.log(`✔ ${d} result:`, res);
+        console.log(`\n=== ${label} (attempt ${attempt}/${maxRetries}) ===`);
+        // the first attempt uses the prefetched report; retries fetch the month again
+        if (attempt === 1 && fetched.error) throw fetched.error;
+        const res = await syncBingForRange(from, to, { report: attempt === 1 ? fetched.result : null });
+        // Bing failed some days: retry the month while attempts remain (written days are idempotent)
+        if (res.failedDays.length && attempt < maxRetries) {
+          throw new Error(`Bing report failed for ${res.failedDays.join(", ")}`);
+        }
+        for (const day of res.days) {
+          console.log(`${isFailureStatus(day.status) || day.errors ? "✖" : "✔"} ${day.date} result:`, day);
+          if (isFailureStatus(day.status)) failed.push(`${day.date} (${day.status})`);
+          else if (day.errors) failed.push(`${day.date} (${day.errors} campaign error(s))`);
+        }
+        totals.failedDays += res.failedDays.length;
         totals.created += res.created ?? 0;
         totals.updated += res.updated ?? 0;
         totals.unchanged += res.unchanged ?? 0;
+        totals.correction = Math.round((totals.correction + (res.correction ?? 0)) * 100) / 100;
         success = true;
       } catch (e) {
         const msg = e?.response
           ? `HTTP ${e.response.status} ${e.response.statusText} ${JSON.stringify(e.response.data)}`
           : e?.message || String(e);
-        console.error(`✖ ${d} failed: ${msg}`);
+        console.error(`✖ ${label} failed: ${msg}`);
+        if (isQuotaError(e)) {
+          quotaStop = from;
+          break;
+        }
         if (attempt < maxRetries) {
           const wait = Math.min(pauseMs * attempt, 10_000);
           console.log(`…waiting ${wait}ms, will retry`);
@@ -91,15 +118,22 @@ async function main() {
       }
     }
     if (!success) {
-      totals.failedDays += 1;
-      console.log(`⚠ giving up on ${d} after ${maxRetries} attempts`);
+      totals.failedDays += buildDateRange(from, to).length;
+      failed.push(`${label} (error)`);
+      if (!quotaStop) console.log(`⚠ giving up on ${label} after ${maxRetries} attempts`);
+    }
+    if (quotaStop) {
+      console.error(`✖ Stopped: HubSpot daily quota nearly used up. Re-run with --start=${quotaStop} once it resets.`);
+      break;
     }
-    // polite pause between days to avoid rate limits
-    await sleep(pauseMs);
   }
 
   console.log("\n==== Backfill summary ====");
   console.log(totals);
+  if (failed.length) {
+    console.error(`Failed: ${failed.join(", ")}`);
+    process.exitCode = 1;
+  }
 }
 
 main().catch((e) => {
@@ -1,5 +1,6 @@
 require("dotenv").config();
 const { syncBingForDate } = require("./src/syncBingToHubspot");
+const { isFailureStatus } = require("./src/msadsReport");
 
 // Usage:
 //   node backfill.js --date=2025-10-27
@@ -34,20 +35,37 @@ function* dateRange(fromYmd, toYmd) {
       console.log(`Backfill single day: ${date}`);
       const res = await syncBingForDate(date);
       console.log("✅ Done:", res);
+      if (isFailureStatus(res.status) || res.errors) process.exitCode = 1;
       return;
     }
 
     if (from && to) {
       console.log(`Backfill range: ${from} → ${to}`);
       let totalUpdated = 0;
-      let totalSkipped = 0;
+      let totalUnchanged = 0;
+      let totalCorrection = 0;
+      const failedDays = [];
       for (const ymd of dateRange(from, to)) {
         console.log(`\n=== ${ymd} ===`);
-        const res = await syncBingForDate(ymd);
+        let res;
+        try {
+          res = await syncBingForDate(ymd);
+        } catch (e) {
+          console.error(`❌ ${ymd} failed: ${e.message}`);
+          failedDays.push(`${ymd} (error)`);
+          continue;
+        }
+        if (isFailureStatus(res.status)) failedDays.push(`${ymd} (${res.status})`);
+        else if (res.errors) failedDays.push(`${ymd} (${res.errors} campaign error(s))`);
         totalUpdated += res.updated;
-        totalSkipped += res.skipped;
+        totalUnchanged += res.unchanged;
+        totalCorrection += res.correction;
+      }
+      console.log(`\n${failedDays.length ? "⚠️" : "✅"} Range complete. corrected=${totalUpdated} (net ${totalCorrection >= 0 ? "+" : ""}${totalCorrection.toFixed(2)}), unchanged=${totalUnchanged}, failed days=${failedDays.length}`);
+      if (failedDays.length) {
+        console.error(`Failed: ${failedDays.join(", ")}`);
+        process.exitCode = 1;
       }
-      console.log(`\n✅ Range complete. updated=${totalUpdated}, skipped=${totalSkipped}`);
       return;
     }
 
@@ -1,41 +1,33 @@
 // bulk-before.js
 require("dotenv").config();
 const minimist = require("minimist");
-const { addDays, format, isValid, parseISO } = require("date-fns");
+const { format, isValid, parseISO } = require("date-fns");
 const {
   createHubSpotClient,
-  findCampaignByName,
-  createCampaign,
   getCampaign,
   updateCampaign,
   ensureDailySpendItem,
 } = require("./src/hubspotClient");
-const { getCampaignSummaryForDate } = require("./src/msadsReport");
+const { eachReportForRanges, assertReportOk } = require("./src/msadsReport");
+const { isQuotaError } = require("./src/hubspotHttp");
+const directory = require("./src/campaignDirectory");
+const { monthChunks } = require("./src/dateRange");
+const { getAccountRoute } = require("./src/msadsAccounts");
+const metricMap = require("./src/metricMap");
+const fx = require("./src/fx");
 
-const {
-  HSPROP_TOTAL_CLICKS = "total_clicks",
-  HSPROP_TOTAL_IMPRESSIONS = "total_impressions",
-  HSPROP_TOTAL_CONVERSIONS = "total_conversions",
-  HSPROP_LAST_AVG_CPC = "avg_cpc_last", // not used in bulk, but we leave here if you ever want to set an average
-  HSPROP_LAST_CPL = "cpl_last",          // same as above
-  HSPROP_LAST_STATUS = "bing_last_status",
-  HSPROP_LAST_BING_DATE = "bing_last_processed",
-  HUBSPOT_BUSINESS_UNIT_ID,
-  CAMPAIGN_NAME_PREFIX = "",
-} = process.env;
 
 function ymd(d) { return format(d, "yyyy-MM-dd"); }
 function parseYMD(s) { const d = parseISO(s); if (!isValid(d)) throw new Error(`Invalid date: ${s}`); return d; }
 function toNumber(v){ if(v==null) return 0; const n=Number(String(v).replace(/,/g,"")); return Number.isFinite(n)?n:0; }
 
-async function ensureHubSpotCampaign(hs, originalName) {
-  const hsName = `${CAMPAIGN_NAME_PREFIX}${originalName}`;
-  let c = await findCampaignByName(hs, hsName);
-  if (!c) {
-    c = await createCampaign(hs, hsName, HUBSPOT_BUSINESS_UNIT_ID);
-    console.log(`Created HubSpot campaign: ${hsName} (id ${c.id})`);
-  }
-  return { id: c.id, hsName };
+// Business unit and name prefix come from the Bing account's route (see src/msadsAccounts.js)
+async function ensureHubSpotCampaign(hs, originalName, accountId) {
+  const route = getAccountRoute(accountId);
+  const hsName = `${route.campaignNamePrefix}${originalName}`;
+  const { id, created } = await directory.ensureCampaign(hs, hsName, route.businessUnitId);
+  if (created) console.log(`Created HubSpot campaign: ${hsName} (id ${id})`);
+  return { id, hsName };
 }
 
 async function main() {
@@ -56,64 +48,75 @@ async function main() {
 
   const hs = createHubSpotClient();
 
-  // 1) Aggregate per-campaign totals across the window (day-by-day pulls, but we only CREATE ONE bulk spend item)
-  const totals = new Map(); // name -> { spend, clicks, impressions, conversions, status }
-  for (let d = start; d <= end; d = addDays(d, 1)) {
-    const day = ymd(d);
+  // 1) Aggregate per-campaign totals across the window (one report per month, but we only CREATE ONE bulk spend item)
+  // name -> { spend, clicks, impressions, conversions, …every metric-map field, lastRow, accountId,
+  //           portalSpend (spend converted day by day into the HubSpot portal currency), currencyCode }
+  const numericFields = metricMap.loadMetricMap().filter(e => e.type === "number").map(e => e.field);
+  const totals = new Map();
+  const failedChunks = [];
+  for await (const { from: chunkFrom, to: chunkTo, result, error } of eachReportForRanges("campaign", monthChunks(ymd(start), ymd(end)))) {
+    let items;
     try {
-      const { items } = await getCampaignSummaryForDate(day);
-      for (const it of items) {
-        const key = it.name;
-        const cur = totals.get(key) || {
-          spend: 0, clicks: 0, impressions: 0, conversions: 0, status: it.campaign_status || "",
-        };
-        cur.spend       += toNumber(it.spend);
-        cur.clicks      += toNumber(it.clicks);
-        cur.impressions += toNumber(it.impressions);
-        cur.conversions += toNumber(it.conversions);
-        if (!cur.status && it.campaign_status) cur.status = it.campaign_status;
-        totals.set(key, cur);
-      }
-      // polite pause to avoid rate limits
-      await new Promise(r => setTimeout(r, 800));
+      if (error) throw error;
+      const { byDay } = assertReportOk(result, `campaign report ${chunkFrom}..${chunkTo}`);
+      items = Object.values(byDay).flat();
     } catch (e) {
       const msg = e?.response
         ? `HTTP ${e.response.status} ${e.response.statusText} ${JSON.stringify(e.response.data)}`
         : e?.message || String(e);
-      console.error(`Day ${day} failed: ${msg}`);
-      // continue to next day
+      console.error(`Range ${chunkFrom}..${chunkTo} failed: ${msg}`);
+      failedChunks.push(`${chunkFrom}..${chunkTo}`);
+      continue; // next month
+    }
+    fx.assertRates(items); // missing FX rates stop the run before anything is written
+
+    for (const raw of items) {
+      const it = fx.convertRow(raw); // CPC etc. in the portal currency; spend converted below
+      const key = it.campaignName;
+      const cur = totals.get(key) || {
+        ...Object.fromEntries(numericFields.map(f => [f, 0])),
+        lastRow: it, accountId: it.accountId, portalSpend: 0, currencyCode: it.currencyCode,
+      };
+      for (const f of numericFields) cur[f] += toNumber(it[f]);
+      cur.portalSpend += fx.convertSpend(it.spend, it.currencyCode, it.date).amount;
+      if (it.date >= cur.lastRow.date) cur.lastRow = it;
+      totals.set(key, cur);
     }
   }
 
   console.log(`\nAggregated ${totals.size} campaign(s) for ${argv.start} → ${argv.end}`);
+  // The bulk item and totals cover the whole window; a gap would understate both
+  if (failedChunks.length) {
+    console.error(`❌ Bing reports failed for ${failedChunks.join(", ")}; nothing written.`);
+    process.exit(1);
+  }
 
   // 2) For each campaign, create/update ONE spend item named "Spend through <end> (Bing bulk)"
   const bulkName = `Spend through ${ymd(end)} (Bing bulk)`;
-  let created = 0, updated = 0, unchanged = 0;
+  let created = 0, updated = 0, unchanged = 0, correction = 0;
 
   for (const [campaignName, agg] of totals.entries()) {
     try {
-      const { id: hsId, hsName } = await ensureHubSpotCampaign(hs, campaignName);
+      const { id: hsId, hsName } = await ensureHubSpotCampaign(hs, campaignName, agg.accountId);
 
       // create/update bulk spend item
-      const spendAmount = +toNumber(agg.spend).toFixed(2);
-      const desc = `Bing Ads bulk spend up to ${ymd(end)} for ${campaignName}`;
+      const spendAmount = +agg.portalSpend.toFixed(2);
+      const original = fx.describeOriginal({ originalAmount: agg.spend, originalCurrency: agg.currencyCode, rate: null });
+      const desc = `Bing Ads bulk spend up to ${ymd(end)} for ${campaignName} (${original})`;
       const res = await ensureDailySpendItem(hs, hsId, { name: bulkName, amount: spendAmount, description: desc });
       if (res.action === "created") created++;
-      else if (res.action === "updated") updated++;
+      else if (res.action === "updated") { updated++; correction += res.delta; }
       else unchanged++;
 
-      // update cumulative totals (add the bulk window counts once)
+      // update cumulative totals (add the bulk window counts once); "last" values from the
+      // newest day in the window, averages are left to the daily ledger-backed runs
       const current = await getCampaign(hs, hsId);
-      const props = {};
-      if (HSPROP_TOTAL_CLICKS)       props[HSPROP_TOTAL_CLICKS]      = toNumber(current[HSPROP_TOTAL_CLICKS])      + agg.clicks;
-      if (HSPROP_TOTAL_IMPRESSIONS)  props[HSPROP_TOTAL_IMPRESSIONS] = toNumber(current[HSPROP_TOTAL_IMPRESSIONS]) + agg.impressions;
-      if (HSPROP_TOTAL_CONVERSIONS)  props[HSPROP_TOTAL_CONVERSIONS] = toNumber(current[HSPROP_TOTAL_CONVERSIONS]) + agg.conversions;
-      if (HSPROP_LAST_STATUS && agg.status) props[HSPROP_LAST_STATUS] = String(agg.status);
+      const props = metricMap.buildCampaignProps({ current, delta: agg, day: agg.lastRow });
 
       if (Object.keys(props).length > 0) {
         try { await updateCampaign(hs, hsId, props); }
         catch (e) {
+          if (isQuotaError(e)) throw e;
           if (e.response) {
             console.error(`⚠️ Totals update warning for ${hsName}`, e.response.status, e.response.statusText, JSON.stringify(e.response.data));
           } else {
@@ -122,12 +125,13 @@ async function main() {
         }
       }
     } catch (e) {
+      if (isQuotaError(e)) throw e;
       if (e.response) console.error(`❌ HubSpot error for ${campaignName}`, e.response.status, e.response.statusText, e.response.data);
       else console.error(`❌ Error for ${campaignName}:`, e.message);
     }
   }
 
-  console.log(`\nBulk summary for ${argv.start} → ${argv.end}: created=${created}, updated=${updated}, unchanged=${unchanged}`);
+  console.log(`\nBulk summary for ${argv.start} → ${argv.end}: created=${created}, updated=${updated} (net ${correction >= 0 ? "+" : ""}${correction.toFixed(2)}), unchanged=${unchanged}`);
 }
 
 main().catch(e => {
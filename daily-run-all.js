@@ -1,11 +1,15 @@
 ﻿// daily-run-all.js
-// Run for "yesterday in UK time" (Bing Ads only) and write to HubSpot.
+// Run for the trailing MSADS_LOOKBACK_DAYS (default 7) ending "yesterday in UK time"
+// (Bing Ads only) and write to HubSpot. Late conversions / restated spend are applied
+// as corrections; unchanged days are left alone.
 require('dotenv').config();
 const { DateTime } = require('luxon');
 const { spawn } = require('child_process');
 (async () => {
+  const lookback = Math.max(1, Number(process.env.MSADS_LOOKBACK_DAYS || 7));
   const nowUK = DateTime.now().setZone('Europe/London');
   const y = nowUK.minus({ days: 1 }).toISODate();
-  const p = spawn(process.execPath, ['backfill-all.js', `--from=${y}`, `--to=${y}`], { stdio: 'inherit' });
+  const from = nowUK.minus({ days: lookback }).toISODate();
+  const p = spawn(process.execPath, ['backfill-all.js', `--from=${from}`, `--to=${y}`], { stdio: 'inherit' });
   p.on('exit', (code) => process.exit(code));
 })();
@@ -0,0 +1,90 @@
+// dayparting.js
+// Hourly campaign performance (hourly-metrics.json) and hour-by-weekday heatmaps
+// for ad schedule bid adjustments.
+//
+// Usage:
+//   node dayparting.js sync    --from=YYYY-MM-DD --to=YYYY-MM-DD
+//   node dayparting.js heatmap --from=YYYY-MM-DD --to=YYYY-MM-DD [--campaign=123] [--combined]
+//                              [--metrics=spend,clicks,conversions,cpa] [--format=csv|html] [--out=file]
+//
+// Bing keeps hourly data for a shorter period than daily data; days it no longer
+// has come back as invalid-date and are left out.
+require('dotenv').config();
+const fs = require('fs');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const store = require('./src/hourlyStore');
+const { METRIC_NAMES, toCsv, toHtml } = require('./src/heatmap');
+const { monthChunks } = require('./src/dateRange');
+
+async function sync(argv) {
+  const { eachReportForRanges, isFailureStatus } = require('./src/msadsReport');
+  let days = 0, rows = 0, changed = 0;
+  const failedDays = [];
+  for await (const { result, error } of eachReportForRanges('hourly', monthChunks(argv.from, argv.to))) {
+    if (error) throw error;
+    const { byDay, statusByDay } = result;
+    for (const [date, dayRows] of Object.entries(byDay)) {
+      if (isFailureStatus(statusByDay[date])) { // keep the stored snapshot
+        failedDays.push(date);
+        console.error(`${date}: ${statusByDay[date]} (skipped)`);
+        continue;
+      }
+      const r = store.saveDay(date, dayRows);
+      days++;
+      rows += r.rows;
+      if (r.changed) changed++;
+      console.log(`${date}: ${r.rows} campaign hour(s)${r.changed ? '' : ' (unchanged)'}`);
+    }
+  }
+  console.log(`\nDone. Days=${days}  HourRows=${rows}  ChangedDays=${changed}  FailedDays=${failedDays.length}`);
+  if (failedDays.length) {
+    console.error(`Failed days: ${failedDays.join(', ')}`);
+    process.exitCode = 1;
+  }
+}
+
+function heatmap(argv) {
+  const metrics = String(argv.metrics).split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = metrics.filter(m => !METRIC_NAMES.includes(m));
+  if (unknown.length) throw new Error(`Unknown metric(s) ${unknown.join(', ')} (use ${METRIC_NAMES.join(', ')})`);
+
+  const maps = store.heatmap(argv.from, argv.to, { campaign: argv.campaign, combined: argv.combined })
+    .sort((a, b) => a.campaignName.localeCompare(b.campaignName));
+  if (!maps.length) {
+    console.error('No stored hourly data for that range. Run: node dayparting.js sync --from=... --to=...');
+    process.exitCode = 1;
+    return;
+  }
+
+  const output = argv.format === 'html'
+    ? toHtml(maps, metrics, { from: argv.from, to: argv.to })
+    : toCsv(maps, metrics);
+  if (argv.out) {
+    fs.writeFileSync(argv.out, output);
+    console.log(`Wrote ${maps.length} campaign heatmap(s) to ${argv.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+(async () => {
+  await yargs(hideBin(process.argv))
+    .command('sync', 'Pull hourly campaign performance into the local store', y => y
+      .option('from', { type: 'string', demandOption: true })
+      .option('to',   { type: 'string', demandOption: true }), sync)
+    .command('heatmap', 'Hour-by-weekday heatmap per campaign', y => y
+      .option('from',     { type: 'string', demandOption: true })
+      .option('to',       { type: 'string', demandOption: true })
+      .option('campaign', { type: 'string', describe: 'Bing CampaignId or campaign name' })
+      .option('combined', { type: 'boolean', default: false, describe: 'One heatmap for all campaigns' })
+      .option('metrics',  { type: 'string', default: 'spend,clicks,conversions' })
+      .option('format',   { choices: ['csv', 'html'], default: 'csv' })
+      .option('out',      { type: 'string', describe: 'Write to a file instead of stdout' }), heatmap)
+    .demandCommand(1)
+    .strict()
+    .parseAsync();
+})().catch(e => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
@@ -1,5 +1,5 @@
 require("dotenv").config();
-const axios = require("axios");
+const { http } = require("./src/hubspotHttp");
 
 function hsHeaders(token) {
   return {
@@ -17,7 +17,7 @@ function hsHeaders(token) {
   const url = "https://api.hubapi.com/marketing/v3/campaigns";
   const params = { limit: 5 }; // just a small sample
   try {
-    const resp = await axios.get(url, { headers: hsHeaders(token), params, maxRedirects: 5, timeout: 30000 });
+    const resp = await http.get(url, { headers: hsHeaders(token), params, timeout: 30000 });
     const results = resp.data?.results || [];
     console.log("Sample count:", results.length);
     for (const r of results) {
@@ -1,15 +1,12 @@
 // debug-msads-once.js
 require("dotenv").config();
 const axios = require("axios");
+const { getMsAdsAccessToken } = require("./src/msadsAuth");
 
 const {
-  MSADS_CLIENT_ID,
-  MSADS_CLIENT_SECRET,
-  MSADS_REFRESH_TOKEN,
   MSADS_DEVELOPER_TOKEN,
   MSADS_ACCOUNT_ID,
   MSADS_CUSTOMER_ID,
-  MSADS_PUBLIC_CLIENT,
 } = process.env;
 
 function ymdFrom(dateStr){
@@ -41,28 +38,6 @@ function buildSubmitBody(dateYMD){
   };
 }
 
-async function getAccessToken(){
-  const tokenUrl = "https://login.microsoftonline.com/common/oauth2/v2.0/token";
-  const params = new URLSearchParams({
-    client_id: MSADS_CLIENT_ID,
-    grant_type: "refresh_token",
-    refresh_token: MSADS_REFRESH_TOKEN,
-    scope: "https://ads.microsoft.com/msads.manage offline_access",
-  });
-  const isPublic = String(MSADS_PUBLIC_CLIENT||"").toLowerCase()==="true";
-  if (!isPublic && MSADS_CLIENT_SECRET) params.set("client_secret", MSADS_CLIENT_SECRET);
-
-  const r = await axios.post(tokenUrl, params.toString(), {
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    timeout: 25000,
-    validateStatus: s => s < 500 || s === 429,
-  });
-  if (r.status !== 200 || !r.data?.access_token) {
-    throw new Error(`TOKEN FAIL: ${r.status} ${r.statusText} ${JSON.stringify(r.data)}`);
-  }
-  return r.data.access_token;
-}
-
 function authHeaders(token){
   return {
     Authorization: `Bearer ${token}`,
@@ -100,7 +75,7 @@ async function pollOnce(token, requestId){
     const dateYMD = ymdFrom(process.argv[2] || "2025-06-11");
 
     console.log("🟦 Step A: getting access token…");
-    const token = await getAccessToken();
+    const token = await getMsAdsAccessToken();
     console.log("✅ got token (len):", token.length);
 
     console.log("🟦 Step B: submitting JSON report…");
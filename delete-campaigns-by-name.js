@@ -1,10 +1,12 @@
 // delete-campaigns-by-name.js
 // Usage: node delete-campaigns-by-name.js "SSAS-BAD-JAN-24" "FIC-BAD-MAR-24"
+// Names are looked up in a freshly loaded campaign directory (src/campaignDirectory.js),
+// so a stale cache never picks the wrong campaign to delete.
 
 require('dotenv').config();
-const axios = require('axios');
+const { createHubSpotClient } = require('./src/hubspotClient');
+const directory = require('./src/campaignDirectory');
 
-const BASE = 'https://api.hubapi.com/marketing/v3/campaigns';
 const TOKEN = process.env.HUBSPOT_PRIVATE_APP_TOKEN;
 
 if (!TOKEN) {
@@ -18,43 +20,21 @@ if (wantedNames.length === 0) {
   process.exit(1);
 }
 
-const headers = { Authorization: `Bearer ${TOKEN}` };
-
-async function listAllCampaigns() {
-  const results = [];
-  let after = undefined;
-  do {
-    const url = new URL(BASE);
-    url.searchParams.set('limit', '100');
-    if (after) url.searchParams.set('after', after);
-    const res = await axios.get(url.toString(), { headers, validateStatus: () => true });
-    if (res.status !== 200) throw new Error(`List campaigns failed: ${res.status} ${JSON.stringify(res.data)}`);
-    const items = res.data?.results || [];
-    results.push(...items);
-    after = res.data?.paging?.next?.after;
-  } while (after);
-  return results;
-}
-
 async function main() {
+  const hs = createHubSpotClient(TOKEN);
   console.log('Fetching campaigns…');
-  const all = await listAllCampaigns();
-  const byName = new Map();
-  for (const c of all) {
-    const name = c?.properties?.hs_name || '';
-    if (name) byName.set(name, c);
-  }
+  await directory.load(hs, { refresh: true });
 
   for (const name of wantedNames) {
-    const found = byName.get(name);
-    if (!found) {
+    const id = await directory.findCampaignId(hs, name);
+    if (!id) {
       console.log(`- Not found: ${name} (already gone)`);
       continue;
     }
-    const id = found.id;
     console.log(`- Deleting ${name} (${id})…`);
-    const res = await axios.delete(`${BASE}/${id}`, { headers, validateStatus: () => true });
-    if (res.status === 204) {
+    const res = await hs.delete(`/marketing/v3/campaigns/${encodeURIComponent(id)}`, { validateStatus: () => true });
+    if (res.status === 204 || res.status === 404) {
+      directory.forget(id);
       console.log(`  ✓ Deleted ${name}`);
     } else {
       console.log(`  ✗ Failed to delete ${name}: ${res.status} ${JSON.stringify(res.data)}`);
@@ -1,19 +1,24 @@
 // ensure-campaign-map.js
-// Creates (or repairs) HubSpot Campaigns for any Bing campaign names with non-zero spend.
+// Creates (or repairs) HubSpot Campaigns for any Bing campaigns with non-zero spend.
+// - campaign-map.json is keyed by Bing CampaignId; renames are logged and the stored name updated
 // - Only writes hs_name on create (avoids HubSpot validation on hs_campaign_status)
 // - Then updates your custom status field (HSPROP_LAST_STATUS, default "bing_last_status").
 // - Repairs stale IDs in campaign-map.json by verifying each ID actually exists.
+// - Unmapped campaigns are looked up by name in the campaign directory
+//   (src/campaignDirectory.js) before one is created.
 
 require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
-const axios = require('axios');
+const { http } = require('./src/hubspotHttp');
+const { createHubSpotClient } = require('./src/hubspotClient');
+const directory = require('./src/campaignDirectory');
 const { getDailyCampaignRows } = require('./msadsDailyRows');
+const campaignMap = require('./src/campaignMap');
+const { getAccountRoute } = require('./src/msadsAccounts');
+const { isQuotaError } = require('./src/hubspotHttp');
 
 const HS_TOKEN = process.env.HUBSPOT_PRIVATE_APP_TOKEN;
 if (!HS_TOKEN) throw new Error('Missing HUBSPOT_PRIVATE_APP_TOKEN in .env');
 
-const MAP_PATH = path.join(process.cwd(), 'campaign-map.json');
 const CUSTOM_STATUS_PROP = process.env.HSPROP_LAST_STATUS || 'bing_last_status';
 
 function parseArgs() {
@@ -26,8 +31,6 @@ function parseArgs() {
   return args;
 }
 
-function uniq(a) { return Array.from(new Set(a)); }
-
 function datesBetween(from, to) {
   const out = [];
   const d0 = new Date(from + 'T00:00:00Z');
@@ -44,47 +47,10 @@ function datesBetween(from, to) {
 async function hsGetCampaign(id) {
   const url = `https://api.hubapi.com/marketing/v3/campaigns/${id}`;
   const headers = { Authorization: `Bearer ${HS_TOKEN}` };
-  const r = await axios.get(url, { headers, validateStatus: () => true });
+  const r = await http.get(url, { headers, validateStatus: () => true });
   return r; // caller checks status
 }
 
-async function hsCreateCampaignByName(name) {
-  const url = 'https://api.hubapi.com/marketing/v3/campaigns';
-  const headers = {
-    Authorization: `Bearer ${HS_TOKEN}`,
-    'Content-Type': 'application/json',
-  };
-  // IMPORTANT: Only set hs_name. DO NOT set hs_campaign_status (it rejects writes).
-  const body = { properties: { hs_name: name } };
-  const r = await axios.post(url, body, { headers, validateStatus: () => true });
-  if (r.status === 201 || r.status === 200) return r.data?.id;
-
-  if (r.status === 409) {
-    // Name conflict → find by name
-    const id = await findCampaignIdByName(name);
-    if (id) return id;
-  }
-  throw new Error(`Create failed for "${name}" (HTTP ${r.status}) Body: ${JSON.stringify(r.data)}`);
-}
-
-async function hsListCampaignPage(after) {
-  const url = new URL('https://api.hubapi.com/marketing/v3/campaigns');
-  if (after) url.searchParams.set('after', String(after));
-  url.searchParams.set('limit', '100');
-  const headers = { Authorization: `Bearer ${HS_TOKEN}` };
-  const r = await axios.get(url.toString(), { headers, validateStatus: () => true });
-  if (r.status !== 200) throw new Error(`List campaigns failed (HTTP ${r.status}) Body: ${JSON.stringify(r.data)}`);
-  return r.data;
-}
-
-async function hsGetCampaignProperties(id) {
-  const url = `https://api.hubapi.com/marketing/v3/campaigns/${id}`;
-  const headers = { Authorization: `Bearer ${HS_TOKEN}` };
-  const r = await axios.get(url, { headers, validateStatus: () => true });
-  if (r.status !== 200) throw new Error(`GET campaign ${id} failed (HTTP ${r.status}) Body: ${JSON.stringify(r.data)}`);
-  return r.data?.properties || {};
-}
-
 async function hsUpdateCampaignProperties(id, props) {
   const url = `https://api.hubapi.com/marketing/v3/campaigns/${id}`;
   const headers = {
@@ -93,33 +59,14 @@ async function hsUpdateCampaignProperties(id, props) {
   };
   // Only send custom (writable) properties; NEVER include forbidden ones like hs_spend_items_sum_amount or hs_campaign_status.
   const body = { properties: { ...props } };
-  const r = await axios.patch(url, body, { headers, validateStatus: () => true });
+  const r = await http.patch(url, body, { headers, validateStatus: () => true });
   if (r.status === 200) return true;
   throw new Error(`PATCH ${id} failed (HTTP ${r.status}) Body: ${JSON.stringify(r.data)}`);
 }
 
-async function findCampaignIdByName(name) {
-  let after = undefined;
-  while (true) {
-    const page = await hsListCampaignPage(after);
-    const items = Array.isArray(page.results) ? page.results : [];
-    for (const item of items) {
-      if (!item || !item.id) continue;
-      try {
-        const props = await hsGetCampaignProperties(item.id);
-        if ((props.hs_name || props['hs_name']) === name) return item.id;
-      } catch {
-        // ignore and continue
-      }
-    }
-    after = page.paging?.next?.after;
-    if (!after) break;
-  }
-  return null;
-}
-
-async function ensureOne(name, map, { force = false, statusValue = null } = {}) {
-  let id = map[name];
+async function ensureOne(hs, campaignId, name, map, { force = false, statusValue = null, accountId = null } = {}) {
+  // Rename detection happens here: a known CampaignId with a new name keeps its HubSpot campaign
+  let id = campaignMap.resolveRow(map, { campaignId, campaignName: name, accountId })?.hubspotId;
 
   // If mapped & not force, verify exists
   if (id && !force) {
@@ -131,23 +78,26 @@ async function ensureOne(name, map, { force = false, statusValue = null } = {})
       }
       return { id, created: false, repaired: false };
     }
-    console.warn(`Mapping for "${name}" points to missing campaign (${id}), recreating…`);
+    console.warn(`Mapping for "${name}" (${campaignId}) points to missing campaign (${id}), recreating…`);
+    if (resp.status === 404) directory.forget(id);
   }
 
-  // Create (only hs_name)
-  id = await hsCreateCampaignByName(name);
-  map[name] = id;
+  // Existing campaign with this name, else create one (only hs_name)
+  const hadMapping = !!id;
+  const res = await directory.ensureCampaign(hs, name, getAccountRoute(accountId).businessUnitId);
+  id = res.id;
+  campaignMap.setMapping(map, campaignId, { hubspotId: id, name, accountId });
 
-  // After create, write custom status into your custom field (if provided)
+  // Write custom status into your custom field (if provided)
   if (statusValue && CUSTOM_STATUS_PROP) {
     try {
       await hsUpdateCampaignProperties(id, { [CUSTOM_STATUS_PROP]: String(statusValue) });
     } catch (e) {
-      console.warn(`Created ${id} but failed to set ${CUSTOM_STATUS_PROP}="${statusValue}": ${e.message}`);
+      console.warn(`Mapped ${id} but failed to set ${CUSTOM_STATUS_PROP}="${statusValue}": ${e.message}`);
     }
   }
 
-  return { id, created: true, repaired: !force && !!map[name] };
+  return { id, created: res.created, linked: !res.created, repaired: !force && hadMapping };
 }
 
 (async function run() {
@@ -159,54 +109,64 @@ async function ensureOne(name, map, { force = false, statusValue = null } = {})
     process.exit(1);
   }
 
-  // Load or init map
-  let map = {};
-  if (fs.existsSync(MAP_PATH)) {
-    try { map = JSON.parse(fs.readFileSync(MAP_PATH, 'utf8')); }
-    catch { console.warn('Warning: bad campaign-map.json, starting fresh.'); map = {}; }
-  }
+  // Load map (CampaignId-keyed; a name-keyed file must be migrated first)
+  const map = campaignMap.loadCampaignMap();
+  const hs = createHubSpotClient(HS_TOKEN);
 
   const dates = date ? [date] : datesBetween(from, to);
   console.log(`Ensuring HubSpot campaigns exist for ${dates.length} day(s)…`);
 
-  // Collect campaign names with spend > 0 and their latest observed status
-  const nameToStatus = new Map(); // name -> last seen status
+  // Collect campaigns with spend > 0, with their latest observed name and status
+  const seen = new Map(); // campaignId -> { name, status, accountId }
+  const failedDays = [];
   for (const d of dates) {
-    const rows = await getDailyCampaignRows(d);
+    let rows;
+    try {
+      rows = await getDailyCampaignRows(d);
+    } catch (e) {
+      failedDays.push(d);
+      console.error(`❌ ${d}: ${e.message}`);
+      continue;
+    }
     for (const r of rows) {
       const nm = (r.name || r.campaignName || '').trim();
-      if (!nm) continue;
+      if (!nm || !r.campaignId) continue;
       if (Number(r.spend) > 0) {
-        // keep latest status we see
-        if (r.campaign_status) nameToStatus.set(nm, r.campaign_status);
-        else if (!nameToStatus.has(nm)) nameToStatus.set(nm, null);
+        // keep latest name/status we see
+        const prev = seen.get(r.campaignId);
+        seen.set(r.campaignId, { name: nm, status: r.campaign_status || prev?.status || null, accountId: r.accountId || prev?.accountId || null });
       }
     }
   }
 
-  const names = uniq(Array.from(nameToStatus.keys())).sort();
-  console.log(`Found ${names.length} campaign(s) with non-zero spend.`);
+  const campaignIds = Array.from(seen.keys()).sort((a, b) => seen.get(a).name.localeCompare(seen.get(b).name));
+  console.log(`Found ${campaignIds.length} campaign(s) with non-zero spend.`);
 
-  let created = 0, repaired = 0, verified = 0, failed = 0;
+  let created = 0, linked = 0, repaired = 0, verified = 0, failed = 0;
 
-  for (const name of names) {
-    const statusValue = nameToStatus.get(name) || null;
+  for (const campaignId of campaignIds) {
+    const { name, status: statusValue, accountId } = seen.get(campaignId);
     try {
-      const res = await ensureOne(name, map, { force: !!force, statusValue });
+      const res = await ensureOne(hs, campaignId, name, map, { force: !!force, statusValue, accountId });
+      if (res.repaired) repaired++;
       if (res.created) {
         created++;
-        if (res.repaired) repaired++;
-        console.log(`✔ Created: ${name} (${res.id})`);
+        console.log(`✔ Created: ${name} [${campaignId}] (${res.id})`);
+      } else if (res.linked) {
+        linked++;
+        console.log(`✔ Linked existing: ${name} [${campaignId}] (${res.id})`);
       } else {
         verified++;
-        console.log(`✓ Verified: ${name} (${map[name]})`);
+        console.log(`✓ Verified: ${name} [${campaignId}] (${res.id})`);
       }
     } catch (e) {
       failed++;
-      console.error(`❌ Ensure failed for "${name}": ${e.message}`);
+      console.error(`❌ Ensure failed for "${name}" [${campaignId}]: ${e.message}`);
+      if (isQuotaError(e)) break; // keep what was created so far (saved below)
     }
   }
 
-  fs.writeFileSync(MAP_PATH, JSON.stringify(map, null, 2), 'utf8');
-  console.log(`\nDone. Created=${created}  RepairedMissing=${repaired}  VerifiedExisting=${verified}  Failed=${failed}  TotalInMap=${Object.keys(map).length}`);
+  campaignMap.saveCampaignMap(map);
+  console.log(`\nDone. Created=${created}  Linked=${linked}  RepairedMissing=${repaired}  VerifiedExisting=${verified}  Failed=${failed}  FailedDays=${failedDays.length}  TotalInMap=${Object.keys(map).length}`);
+  if (failed || failedDays.length) process.exitCode = 1;
 })();
@@ -1,6 +1,7 @@
 // File: ensure-campaign-props.js
 require('dotenv').config();
-const axios = require('axios');
+const { http } = require('./src/hubspotHttp');
+const metricMap = require('./src/metricMap');
 
 const HS_TOKEN = process.env.HUBSPOT_PRIVATE_APP_TOKEN;
 if (!HS_TOKEN) {
@@ -14,12 +15,8 @@ const OBJ = '0-35'; // Campaign object
 const GROUP_NAME = 'bing_campaign_data';
 const GROUP_LABEL = 'Bing Campaign Data';
 
-// Property env names (fall back to our expected internal names)
-const HSPROP_TOTAL_CLICKS      = process.env.HSPROP_TOTAL_CLICKS      || 'bing_click_total';
-const HSPROP_TOTAL_IMPRESSIONS = process.env.HSPROP_TOTAL_IMPRESSIONS || 'bing_impression_total';
-const HSPROP_TOTAL_CONVERSIONS = process.env.HSPROP_TOTAL_CONVERSIONS || 'bing_conversion_total';
+// Metric properties come from the metric map (metric-map.json or the HSPROP_* defaults)
 const HSPROP_LAST_BING_DATE    = process.env.HSPROP_LAST_BING_DATE    || 'bing_last_processed';
-const HSPROP_LAST_STATUS       = process.env.HSPROP_LAST_STATUS       || 'bing_last_status';
 
 function headers() {
   return { Authorization: `Bearer ${HS_TOKEN}`, 'Content-Type': 'application/json' };
@@ -28,7 +25,7 @@ function headers() {
 async function ensureGroup() {
   // Check existing groups
   const listUrl = `${BASE}/crm/v3/properties/${OBJ}/groups`;
-  const list = await axios.get(listUrl, { headers: headers(), validateStatus: () => true });
+  const list = await http.get(listUrl, { headers: headers(), validateStatus: () => true });
   if (list.status !== 200) {
     throw new Error(`Failed to list groups (${list.status}): ${JSON.stringify(list.data)}`);
   }
@@ -41,7 +38,7 @@ async function ensureGroup() {
     label: GROUP_LABEL,
     displayOrder: 1,
   };
-  const r = await axios.post(createUrl, body, { headers: headers(), validateStatus: () => true });
+  const r = await http.post(createUrl, body, { headers: headers(), validateStatus: () => true });
   if (r.status !== 201) {
     throw new Error(`Failed to create group (${r.status}): ${JSON.stringify(r.data)}`);
   }
@@ -50,7 +47,7 @@ async function ensureGroup() {
 
 async function listProps() {
   const url = `${BASE}/crm/v3/properties/${OBJ}`;
-  const r = await axios.get(url, { headers: headers(), validateStatus: () => true });
+  const r = await http.get(url, { headers: headers(), validateStatus: () => true });
   if (r.status !== 200) throw new Error(`Failed to list properties (${r.status}): ${JSON.stringify(r.data)}`);
   return r.data?.results || [];
 }
@@ -67,7 +64,7 @@ async function ensurePropNumber(name, label) {
     fieldType: 'number',
     // writable custom number; no calc, no readOnly
   };
-  const r = await axios.post(url, body, { headers: headers(), validateStatus: () => true });
+  const r = await http.post(url, body, { headers: headers(), validateStatus: () => true });
   if (r.status !== 201) throw new Error(`Create prop ${name} failed (${r.status}): ${JSON.stringify(r.data)}`);
   return r.data;
 }
@@ -83,7 +80,7 @@ async function ensurePropDate(name, label) {
     type: 'datetime',
     fieldType: 'date',
   };
-  const r = await axios.post(url, body, { headers: headers(), validateStatus: () => true });
+  const r = await http.post(url, body, { headers: headers(), validateStatus: () => true });
   if (r.status !== 201) throw new Error(`Create prop ${name} failed (${r.status}): ${JSON.stringify(r.data)}`);
   return r.data;
 }
@@ -99,7 +96,7 @@ async function ensurePropText(name, label) {
     type: 'string',
     fieldType: 'text',
   };
-  const r = await axios.post(url, body, { headers: headers(), validateStatus: () => true });
+  const r = await http.post(url, body, { headers: headers(), validateStatus: () => true });
   if (r.status !== 201) throw new Error(`Create prop ${name} failed (${r.status}): ${JSON.stringify(r.data)}`);
   return r.data;
 }
@@ -107,11 +104,15 @@ async function ensurePropText(name, label) {
 async function main() {
   console.log('Ensuring HubSpot campaign custom properties exist…');
   await ensureGroup();
-  await ensurePropNumber(HSPROP_TOTAL_CLICKS, 'Bing Total Clicks');
-  await ensurePropNumber(HSPROP_TOTAL_IMPRESSIONS, 'Bing Total Impressions');
-  await ensurePropNumber(HSPROP_TOTAL_CONVERSIONS, 'Bing Total Conversions');
+  for (const m of metricMap.mappedMetrics()) {
+    if (m.type === 'string') await ensurePropText(m.property, m.label);
+    else await ensurePropNumber(m.property, m.label);
+  }
+  for (const g of metricMap.goalMetrics()) {
+    if (g.property) await ensurePropNumber(g.property, g.label);
+    if (g.costProperty) await ensurePropNumber(g.costProperty, g.costLabel);
+  }
   await ensurePropDate(HSPROP_LAST_BING_DATE, 'Bing Last Processed');
-  await ensurePropText(HSPROP_LAST_STATUS, 'Bing Last Status');
   console.log('Done.');
 }
 
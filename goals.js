@@ -0,0 +1,63 @@
+// goals.js
+// Conversions per conversion goal (form fills, calls, brochure downloads, …)
+// per campaign per day (goal-conversions.json), written to the HubSpot campaign
+// properties listed under "goals" in metric-map.json.
+//
+// Usage:
+//   node goals.js sync    --from=YYYY-MM-DD --to=YYYY-MM-DD [--no-hubspot] [--force] [--dryRun]
+//   node goals.js summary [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--campaign=123]
+//
+// Goal totals in HubSpot cover every stored day, so sync the full history once
+// (from the first day spend was backfilled); after that the daily run keeps it current.
+// --force rewrites HubSpot for every campaign in the range, not only changed ones.
+require('dotenv').config();
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const store = require('./src/goalStore');
+const { goalFor } = require('./src/metricMap');
+
+async function sync(argv) {
+  const { syncGoalsForRange } = require('./src/goalSync');
+  const opts = { dryRun: argv.dryRun, force: argv.force };
+  if (argv.hubspot !== undefined) opts.hubspot = argv.hubspot;
+  const s = await syncGoalsForRange(argv.from, argv.to, opts);
+  console.log(`\nDone. Days=${s.days}  GoalRows=${s.rows}  ChangedDays=${s.changedDays}  HubSpotUpdated=${s.updated}  Unchanged=${s.unchanged}  Unmapped=${s.unmapped}  Failed=${s.failed}  FailedDays=${s.failedDays.length}` + (argv.dryRun ? ' (DRY)' : ''));
+  if (s.failedDays.length) console.error(`Failed days: ${s.failedDays.join(', ')}`);
+  if (s.failed || s.failedDays.length) process.exitCode = 1;
+}
+
+function summary(argv) {
+  const totals = store.goalTotals(argv.from, argv.to, { campaign: argv.campaign })
+    .sort((a, b) => a.campaignName.localeCompare(b.campaignName) || b.conversions - a.conversions);
+  if (!totals.length) return console.log('No stored goal conversions for that range.');
+  let campaign = null;
+  for (const t of totals) {
+    if (t.campaignName !== campaign) {
+      campaign = t.campaignName;
+      console.log(`${t.campaignName} [${t.campaignId}]`);
+    }
+    const mapped = goalFor(t);
+    const target = mapped ? `  -> ${[mapped.property, mapped.costProperty].filter(Boolean).join(', ')}` : '';
+    console.log(`  ${t.goal} [${t.goalId}] ${t.goalType}  conv=${t.conversions}  revenue=${t.revenue.toFixed(2)}${target}`);
+  }
+}
+
+(async () => {
+  await yargs(hideBin(process.argv))
+    .command('sync', 'Pull goal conversions into the local store and HubSpot', y => y
+      .option('from',    { type: 'string', demandOption: true })
+      .option('to',      { type: 'string', demandOption: true })
+      .option('hubspot', { type: 'boolean', describe: 'Write goal properties (default: when metric-map lists goals)' })
+      .option('force',   { type: 'boolean', default: false })
+      .option('dryRun',  { type: 'boolean', default: false }), sync)
+    .command('summary', 'Stored conversions per campaign and goal', y => y
+      .option('from',     { type: 'string' })
+      .option('to',       { type: 'string' })
+      .option('campaign', { type: 'string', describe: 'Bing CampaignId or campaign name' }), summary)
+    .demandCommand(1)
+    .strict()
+    .parseAsync();
+})().catch(e => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+// import-report-archive.js
+// Adds a manually saved Bing report (ZIP or CSV) to the report archive so it can
+// be replayed with MSADS_REPLAY=1. The fetch time is taken from the file's mtime.
+//
+// Usage: node import-report-archive.js --file=tmp/bing-report-2025-10-27.zip --from=2025-10-27 [--to=2025-10-27] [--kind=campaign|adGroup|keyword|searchQuery|goal|hourly]
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const archive = require('./src/reportArchive');
+
+const argv = yargs(hideBin(process.argv))
+  .option('file', { type: 'string', demandOption: true })
+  .option('from', { type: 'string', demandOption: true, describe: 'First report day (YYYY-MM-DD)' })
+  .option('to',   { type: 'string', describe: 'Last report day (defaults to --from)' })
+  .option('kind', { type: 'string', default: 'campaign', choices: ['campaign', 'adGroup', 'keyword', 'searchQuery', 'goal', 'hourly'] })
+  .strict()
+  .argv;
+
+async function sha256(file) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+(async () => {
+  const { size, mtime } = fs.statSync(argv.file);
+  // saveReport moves the download into the archive, so hand it a copy
+  const copy = path.join(os.tmpdir(), `msads-import-${process.pid}-${path.basename(argv.file)}`);
+  if (size) fs.copyFileSync(argv.file, copy);
+
+  const saved = archive.saveReport({
+    kind: argv.kind,
+    from: argv.from,
+    to: argv.to || argv.from,
+    result: size ? 'ok' : 'no-data',
+    download: size ? { path: copy, bytes: size, sha256: await sha256(copy) } : null,
+    fetchedAt: mtime.toISOString(),
+    importedFrom: argv.file,
+  });
+  if (!saved) fs.rmSync(copy, { force: true });
+  console.log(saved ? `Archived ${argv.file} -> ${saved.meta}` : 'Nothing archived (MSADS_REPLAY or MSADS_ARCHIVE=0 is set).');
+})().catch(e => {
+  console.error(e?.message || e);
+  process.exit(1);
+});
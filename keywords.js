@@ -0,0 +1,89 @@
+// keywords.js
+// Keyword performance + quality score history (keyword-metrics.json).
+//
+// Usage:
+//   node keywords.js sync  --from=YYYY-MM-DD --to=YYYY-MM-DD
+//   node keywords.js qs    --from=YYYY-MM-DD --to=YYYY-MM-DD [--keywordId=123] [--changedOnly]
+//   node keywords.js waste [--days=30] [--to=YYYY-MM-DD] [--minSpend=5]
+//
+// "waste" lists keywords with spend but no conversions over the trailing window
+// ending --to (default yesterday, London). KEYWORD_WASTE_DAYS / KEYWORD_WASTE_MIN_SPEND
+// set the defaults.
+require('dotenv').config();
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const store = require('./src/keywordStore');
+const { monthChunks, addDaysYMD } = require('./src/dateRange');
+const { getYesterdayLondonYMD } = require('./src/timezone');
+
+async function sync(argv) {
+  const { eachReportForRanges, isFailureStatus } = require('./src/msadsReport');
+  let days = 0, rows = 0, changed = 0;
+  const failedDays = [];
+  for await (const { result, error } of eachReportForRanges('keyword', monthChunks(argv.from, argv.to))) {
+    if (error) throw error;
+    const { byDay, statusByDay } = result;
+    for (const [date, dayRows] of Object.entries(byDay)) {
+      if (isFailureStatus(statusByDay[date])) { // keep the stored snapshot
+        failedDays.push(date);
+        console.error(`${date}: ${statusByDay[date]} (skipped)`);
+        continue;
+      }
+      const r = store.saveDay(date, dayRows);
+      days++;
+      rows += r.rows;
+      if (r.changed) changed++;
+      console.log(`${date}: ${r.rows} keyword(s)${r.changed ? '' : ' (unchanged)'}`);
+    }
+  }
+  console.log(`\nDone. Days=${days}  KeywordRows=${rows}  ChangedDays=${changed}  FailedDays=${failedDays.length}`);
+  if (failedDays.length) {
+    console.error(`Failed days: ${failedDays.join(', ')}`);
+    process.exitCode = 1;
+  }
+}
+
+function qs(argv) {
+  const trends = store.qualityScoreTrends(argv.from, argv.to, { keywordId: argv.keywordId })
+    .filter(k => !argv.changedOnly || k.change !== 0)
+    .sort((a, b) => a.change - b.change);
+  if (!trends.length) return console.log('No quality scores stored for that range.');
+  for (const k of trends) {
+    const arrow = k.change > 0 ? '↑' : k.change < 0 ? '↓' : '=';
+    console.log(`${arrow} ${k.keyword} [${k.matchType}] ${k.campaignName} / ${k.adGroupName}  QS ${k.first} → ${k.last}  (min ${k.min}, max ${k.max}, ${k.history.length} day(s))`);
+  }
+}
+
+function waste(argv) {
+  const to = argv.to || getYesterdayLondonYMD();
+  const from = addDaysYMD(to, -(argv.days - 1));
+  const list = store.findWastedSpend(from, to, { minSpend: argv.minSpend });
+  console.log(`Keywords with spend ≥ ${argv.minSpend} and no conversions, ${from} → ${to}:`);
+  if (!list.length) return console.log('  none');
+  for (const k of list) {
+    console.log(`  ${k.keyword} [${k.matchType}] ${k.campaignName} / ${k.adGroupName}  spend=${k.spend.toFixed(2)}  clicks=${k.clicks}  QS=${k.lastQualityScore ?? '-'}`);
+  }
+  console.log(`Total: ${list.length} keyword(s), ${list.reduce((s, k) => s + k.spend, 0).toFixed(2)} spent without a conversion`);
+}
+
+(async () => {
+  await yargs(hideBin(process.argv))
+    .command('sync', 'Pull keyword performance into the local store', y => y
+      .option('from', { type: 'string', demandOption: true })
+      .option('to',   { type: 'string', demandOption: true }), sync)
+    .command('qs', 'Quality score trends per keyword', y => y
+      .option('from',        { type: 'string', demandOption: true })
+      .option('to',          { type: 'string', demandOption: true })
+      .option('keywordId',   { type: 'string' })
+      .option('changedOnly', { type: 'boolean', default: false }), qs)
+    .command('waste', 'Keywords with spend and no conversions', y => y
+      .option('days',     { type: 'number', default: Number(process.env.KEYWORD_WASTE_DAYS || 30) })
+      .option('to',       { type: 'string' })
+      .option('minSpend', { type: 'number', default: Number(process.env.KEYWORD_WASTE_MIN_SPEND || 0.01) }), waste)
+    .demandCommand(1)
+    .strict()
+    .parseAsync();
+})().catch(e => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+// list-msads-accounts.js
+// Shows the Microsoft Ads accounts under MSADS_CUSTOMER_ID and which ones the
+// current MSADS_ACCOUNT_ID setting (single ID, list, or "all") will report on.
+//
+// Usage: node list-msads-accounts.js
+require('dotenv').config();
+const { listAccessibleAccounts } = require('./src/msadsReport');
+const { getAccountRoute } = require('./src/msadsAccounts');
+
+(async () => {
+  const accounts = await listAccessibleAccounts();
+  if (!accounts.length) {
+    console.log(`No accounts visible under customer ${process.env.MSADS_CUSTOMER_ID}.`);
+    return;
+  }
+  for (const a of accounts) {
+    const route = getAccountRoute(a.id);
+    console.log(
+      `${a.selected ? '✓' : ' '} ${a.id}  ${a.number.padEnd(10)} ${a.status.padEnd(10)} ${a.name}` +
+      (route.businessUnitId ? `  → BU ${route.businessUnitId}` : '') +
+      (route.campaignNamePrefix ? `  prefix "${route.campaignNamePrefix}"` : '')
+    );
+  }
+  console.log(`\n${accounts.filter(a => a.selected).length} of ${accounts.length} account(s) included by MSADS_ACCOUNT_ID=${process.env.MSADS_ACCOUNT_ID}`);
+})().catch(e => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
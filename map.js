@@ -0,0 +1,283 @@
+// map.js
+// Maintain campaign-map.json (Bing CampaignId -> HubSpot campaign, see src/campaignMap.js).
+//
+// Usage:
+//   node map.js list   [--names]
+//   node map.js add    --campaign=<Bing CampaignId> --name="<Bing name>" [--account=<AccountId>]
+//                      [--hubspot=<HubSpot id> | --hubspot-name="<hs_name>"] [--search=text] [--force]
+//   node map.js relink --campaign=<Bing CampaignId> [--hubspot=<HubSpot id> | --hubspot-name="<hs_name>"] [--search=text]
+//   node map.js remove --campaign=<Bing CampaignId>
+//   node map.js verify [--from=YYYY-MM-DD --to=YYYY-MM-DD]
+//   node map.js prune  [--dryRun]
+//
+// add and relink link to an existing HubSpot campaign. Without --hubspot or
+// --hubspot-name they list the campaigns whose name contains --search (default:
+// the Bing name) and ask which one to use.
+// verify reports mappings to deleted HubSpot campaigns and HubSpot campaigns that
+// several Bing campaigns point at. With --from/--to it also reports Bing campaigns
+// that had spend but have no mapping. It exits 1 when it finds anything.
+// prune removes the mappings to deleted campaigns.
+require('dotenv').config();
+const readline = require('readline');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const campaignMap = require('./src/campaignMap');
+const { monthChunks } = require('./src/dateRange');
+
+const MAX_CHOICES = 20;
+
+// The HubSpot modules need a token; only load them for commands that call HubSpot
+function hubspot() {
+  const { createHubSpotClient, batchGetCampaigns } = require('./src/hubspotClient');
+  const directory = require('./src/campaignDirectory');
+  return { hs: createHubSpotClient(), batchGetCampaigns, directory };
+}
+
+/**
+ * Mapped Bing campaigns whose HubSpot campaign no longer exists (or that have no HubSpot ID).
+ * @returns {Promise<{ dead: string[], names: Map<string, Object> }>} names: hubspotId -> properties
+ */
+async function checkHubspot({ hs, batchGetCampaigns }, map) {
+  const ids = Object.values(map).map(e => e && e.hubspotId).filter(Boolean);
+  const names = await batchGetCampaigns(hs, ids, ['hs_name']);
+  const dead = Object.keys(map).filter(campaignId => !names.has(String(map[campaignId]?.hubspotId || '')));
+  return { dead, names };
+}
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => { rl.close(); resolve(answer.trim()); }));
+}
+
+/**
+ * The HubSpot campaign to link to: --hubspot, --hubspot-name, or picked from a list.
+ * @returns {Promise<{ id: string, name: string }|null>} null when the user cancels
+ */
+async function chooseCampaign(h, argv, bingName) {
+  let id = argv.hubspot ? String(argv.hubspot) : null;
+  if (!id && argv.hubspotName) {
+    id = await h.directory.findCampaignId(h.hs, argv.hubspotName);
+    if (!id) throw new Error(`No HubSpot campaign named "${argv.hubspotName}"`);
+  }
+  if (!id) {
+    if (!process.stdin.isTTY) throw new Error('Pass --hubspot=<id> or --hubspot-name="<name>" (no terminal to choose in)');
+    const term = String(argv.search ?? bingName ?? '').toLowerCase();
+    const matches = (await h.directory.listCampaigns(h.hs))
+      .filter(c => c.name.toLowerCase().includes(term))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    if (!matches.length) throw new Error(`No HubSpot campaign name contains "${term}" (try --search)`);
+    const shown = matches.slice(0, MAX_CHOICES);
+    shown.forEach((c, i) => console.log(`  ${i + 1}) ${c.name}  (${c.id})`));
+    if (matches.length > shown.length) console.log(`  … and ${matches.length - shown.length} more; narrow the list with --search`);
+    const answer = await ask('Link to which campaign? (number, Enter to cancel) ');
+    if (!answer) return null;
+    const pick = shown[Number(answer) - 1];
+    if (!pick) throw new Error(`Not one of the choices: ${answer}`);
+    id = pick.id;
+  }
+
+  // The directory can be out of date; only link to a campaign HubSpot still has
+  const found = await h.batchGetCampaigns(h.hs, [id], ['hs_name']);
+  if (!found.has(id)) {
+    h.directory.forget(id);
+    throw new Error(`HubSpot campaign ${id} not found`);
+  }
+  return { id, name: found.get(id).hs_name || '' };
+}
+
+function warnShared(map, hubspotId, campaignId) {
+  const others = (campaignMap.duplicateHubspotIds(map).get(hubspotId) || []).filter(id => id !== campaignId);
+  if (others.length) console.warn(`⚠️ HubSpot campaign ${hubspotId} is also mapped from ${others.join(', ')}; their daily numbers and spend are combined into it`);
+}
+
+async function list(argv) {
+  const map = campaignMap.loadCampaignMap();
+  const entries = Object.entries(map).sort(([, a], [, b]) => (a.name || '').localeCompare(b.name || ''));
+  if (!entries.length) return console.log('campaign-map.json has no mappings.');
+  const names = argv.names ? (await checkHubspot(hubspot(), map)).names : null;
+  const shared = campaignMap.duplicateHubspotIds(map);
+  for (const [campaignId, e] of entries) {
+    const hubspotId = String(e.hubspotId || '');
+    let line = `${campaignId}  ${JSON.stringify(e.name || '')} -> ${hubspotId || '(none)'}`;
+    if (e.accountId) line += `  account=${e.accountId}`;
+    if (names) line += names.has(hubspotId) ? `  hs_name=${JSON.stringify(names.get(hubspotId).hs_name || '')}` : '  (not in HubSpot)';
+    if (shared.has(hubspotId)) line += '  (shared)';
+    console.log(line);
+  }
+  console.log(`-- ${entries.length} mapping(s)`);
+}
+
+async function add(argv) {
+  const map = campaignMap.loadCampaignMap();
+  const campaignId = String(argv.campaign);
+  const prev = map[campaignId];
+  if (prev?.hubspotId && !argv.force) {
+    throw new Error(`${campaignId} is already mapped to ${prev.hubspotId}; use relink, or add --force`);
+  }
+  const target = await chooseCampaign(hubspot(), argv, argv.name);
+  if (!target) return console.log('Nothing changed.');
+  campaignMap.setMapping(map, campaignId, { hubspotId: target.id, name: argv.name, accountId: argv.account });
+  campaignMap.saveCampaignMap(map);
+  console.log(`✔ ${argv.name} [${campaignId}] -> ${target.name} (${target.id})`);
+  warnShared(map, target.id, campaignId);
+}
+
+async function relink(argv) {
+  const map = campaignMap.loadCampaignMap();
+  const campaignId = String(argv.campaign);
+  const entry = map[campaignId];
+  if (!entry) throw new Error(`${campaignId} is not in campaign-map.json; use add`);
+  const target = await chooseCampaign(hubspot(), argv, entry.name);
+  if (!target) return console.log('Nothing changed.');
+  if (String(entry.hubspotId) === target.id) return console.log(`${entry.name} [${campaignId}] already points to ${target.id}.`);
+  const from = entry.hubspotId || '(none)';
+  campaignMap.setMapping(map, campaignId, { hubspotId: target.id, name: entry.name });
+  campaignMap.saveCampaignMap(map);
+  console.log(`✔ ${entry.name} [${campaignId}]: ${from} -> ${target.name} (${target.id})`);
+  warnShared(map, target.id, campaignId);
+  adviseRecalc(map, entry.hubspotId ? String(entry.hubspotId) : null, target.id);
+}
+
+/**
+ * A relink moves no history: the totals and ledger days already applied stay on
+ * the old HubSpot campaign, and the new one has none of them. Print the
+ * recalc-totals-simple.js run that rebuilds both from Bing.
+ */
+function adviseRecalc(map, oldId, newId) {
+  const ledger = require('./src/totalsLedger');
+  const oldDates = oldId ? Object.keys(ledger.getHistory(oldId)).sort() : [];
+  const dates = [...oldDates, ...Object.keys(ledger.getHistory(newId))].sort();
+  if (!dates.length) return;
+  const oldMapped = !!oldId && Object.values(map).some(e => String(e?.hubspotId || '') === oldId);
+  if (oldDates.length) console.log(`  ${oldId} still holds the totals applied ${oldDates[0]} → ${oldDates[oldDates.length - 1]}.`);
+  console.log(`  Recalculate ${oldMapped ? `${oldId} and ${newId}` : newId} with: node recalc-totals-simple.js --from=${dates[0]} --to=${dates[dates.length - 1]}`);
+  if (oldDates.length && !oldMapped) {
+    console.log(`  No Bing campaign maps to ${oldId} any more, so that run will not reset it; clear its totals and spend items in HubSpot if they should go.`);
+  }
+}
+
+function remove(argv) {
+  const map = campaignMap.loadCampaignMap();
+  const campaignId = String(argv.campaign);
+  const entry = map[campaignId];
+  if (!campaignMap.removeMapping(map, campaignId)) {
+    console.error(`${campaignId} is not in campaign-map.json`);
+    process.exitCode = 1;
+    return;
+  }
+  campaignMap.saveCampaignMap(map);
+  console.log(`✔ Removed ${entry?.name || ''} [${campaignId}] (was ${entry?.hubspotId || 'unmapped'})`);
+}
+
+/**
+ * Bing campaigns with spend in the range and no HubSpot mapping.
+ * @returns {Promise<{ unmapped: Map<string, Object>, failed: string[] }>}
+ */
+async function unmappedWithSpend(map, from, to) {
+  const { eachReportForRanges, assertReportOk } = require('./src/msadsReport');
+  const unmapped = new Map(); // campaignId -> { name, accountId, currencyCode, spend }
+  const failed = [];
+  for await (const { from: chunkFrom, to: chunkTo, result, error } of eachReportForRanges('campaign', monthChunks(from, to))) {
+    let byDay;
+    try {
+      if (error) throw error;
+      byDay = assertReportOk(result, `campaign report ${chunkFrom}..${chunkTo}`).byDay;
+    } catch (e) {
+      failed.push(`${chunkFrom}..${chunkTo}: ${e.message}`);
+      continue;
+    }
+    for (const rows of Object.values(byDay)) {
+      for (const r of rows) {
+        if (!r.campaignId || !(Number(r.spend) > 0) || map[r.campaignId]?.hubspotId) continue;
+        const cur = unmapped.get(r.campaignId) || { name: '', accountId: r.accountId, currencyCode: r.currencyCode, spend: 0 };
+        cur.name = r.campaignName || cur.name; // latest name seen
+        cur.spend += Number(r.spend);
+        unmapped.set(r.campaignId, cur);
+      }
+    }
+  }
+  return { unmapped, failed };
+}
+
+async function verify(argv) {
+  const map = campaignMap.loadCampaignMap();
+  const { dead } = await checkHubspot(hubspot(), map);
+  const shared = campaignMap.duplicateHubspotIds(map);
+  let problems = dead.length + shared.size;
+
+  console.log(`Checked ${Object.keys(map).length} mapping(s).`);
+  if (dead.length) {
+    console.log(`\nMapped to deleted HubSpot campaigns (${dead.length}):`);
+    for (const id of dead) console.log(`  ${id}  ${JSON.stringify(map[id]?.name || '')} -> ${map[id]?.hubspotId || '(none)'}`);
+    console.log('  Fix: node map.js relink --campaign=<id>, or node map.js prune');
+  }
+  if (shared.size) {
+    console.log(`\nHubSpot campaigns mapped from several Bing campaigns (${shared.size}):`);
+    for (const [hubspotId, ids] of shared) {
+      console.log(`  ${hubspotId} <- ${ids.map(id => `${id} ${JSON.stringify(map[id].name || '')}`).join(', ')}`);
+    }
+    console.log('  Their daily numbers and spend are combined into one HubSpot campaign; if that is not intended, relink or remove the wrong one');
+  }
+
+  if (argv.from) {
+    const { unmapped, failed } = await unmappedWithSpend(map, argv.from, argv.to);
+    problems += unmapped.size + failed.length;
+    if (unmapped.size) {
+      console.log(`\nBing campaigns with spend ${argv.from} → ${argv.to} and no mapping (${unmapped.size}):`);
+      for (const [id, u] of unmapped) {
+        console.log(`  ${id}  ${JSON.stringify(u.name)}  account=${u.accountId}  spend=${u.spend.toFixed(2)} ${u.currencyCode}`);
+      }
+      console.log('  Fix: node map.js add --campaign=<id> --name="<name>" --account=<account>, or node ensure-campaign-map.js');
+    }
+    if (failed.length) console.error(`\n❌ Bing reports failed, spend check incomplete:\n  ${failed.join('\n  ')}`);
+  }
+
+  console.log(problems ? `\n${problems} problem(s) found.` : '\nNo problems found.');
+  if (problems) process.exitCode = 1;
+}
+
+async function prune(argv) {
+  const map = campaignMap.loadCampaignMap();
+  const { dead } = await checkHubspot(hubspot(), map);
+  if (!dead.length) return console.log('Every mapping points to an existing HubSpot campaign.');
+  for (const id of dead) {
+    console.log(`${argv.dryRun ? '[DRY] ' : ''}Removing ${id}  ${JSON.stringify(map[id]?.name || '')} -> ${map[id]?.hubspotId || '(none)'}`);
+    if (!argv.dryRun) campaignMap.removeMapping(map, id);
+  }
+  if (!argv.dryRun) campaignMap.saveCampaignMap(map);
+  console.log(`\nDone. Removed=${dead.length}` + (argv.dryRun ? ' (DRY)' : ''));
+}
+
+const target = y => y
+  .option('hubspot',      { type: 'string', describe: 'HubSpot campaign ID to link to' })
+  .option('hubspot-name', { type: 'string', describe: 'HubSpot campaign name (hs_name) to link to' })
+  .option('search',       { type: 'string', describe: 'Text to look for in HubSpot names when choosing' })
+  .conflicts('hubspot', 'hubspot-name');
+
+(async () => {
+  await yargs(hideBin(process.argv))
+    .command('list', 'Show the stored mappings', y => y
+      .option('names', { type: 'boolean', default: false, describe: 'Also show each HubSpot campaign name' }), list)
+    .command('add', 'Map a Bing campaign to an existing HubSpot campaign', y => target(y)
+      .option('campaign', { type: 'string', demandOption: true, describe: 'Bing CampaignId' })
+      .option('name',     { type: 'string', demandOption: true, describe: 'Bing campaign name' })
+      .option('account',  { type: 'string', describe: 'Bing AccountId' })
+      .option('force',    { type: 'boolean', default: false, describe: 'Replace an existing mapping' }), add)
+    .command('relink', 'Point a mapped Bing campaign at another existing HubSpot campaign', y => target(y)
+      .option('campaign', { type: 'string', demandOption: true, describe: 'Bing CampaignId' }), relink)
+    .command('remove', 'Delete a mapping', y => y
+      .option('campaign', { type: 'string', demandOption: true, describe: 'Bing CampaignId' }), remove)
+    .command('verify', 'Report broken, shared and missing mappings', y => y
+      .option('from', { type: 'string', describe: 'With --to: also look for unmapped Bing campaigns with spend' })
+      .option('to',   { type: 'string' })
+      .implies('from', 'to')
+      .implies('to', 'from'), verify)
+    .command('prune', 'Remove mappings to deleted HubSpot campaigns', y => y
+      .option('dryRun', { type: 'boolean', default: false }), prune)
+    .demandCommand(1)
+    .strict()
+    .parseAsync();
+})().catch(e => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
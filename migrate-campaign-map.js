@@ -0,0 +1,104 @@
+// migrate-campaign-map.js
+// Converts a name-keyed campaign-map.json ({ "<Bing name>": "<HubSpot id>" }) into the
+// CampaignId-keyed format ({ "<Bing CampaignId>": { hubspotId, name } }).
+// Bing CampaignIds are looked up by name from Microsoft Ads reports (or saved report CSVs).
+//
+// Usage:
+//   node migrate-campaign-map.js --from=YYYY-MM-DD --to=YYYY-MM-DD [--dryRun] [--force]
+//   node migrate-campaign-map.js --csv=tmp/bing-report-2025-10-27.csv [--csv=...] [--dryRun] [--force]
+//
+// The original file is copied to campaign-map.name-keyed.backup.json first.
+// Names that cannot be matched to a CampaignId block the migration unless --force
+// (they are then dropped from the new map and listed in the output).
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { MAP_PATH, isLegacyMap, readMapFile, saveCampaignMap } = require('./src/campaignMap');
+const { monthChunks } = require('./src/dateRange');
+const { parseReport } = require('./src/reportParser');
+
+// Only the two columns the migration needs, so --csv runs without Microsoft Ads credentials
+const NAME_READER = {
+  columns: { campaignid: ['campaignid'], campaignname: ['campaignname'] },
+  toRow: (cells, col) => ({ campaignId: cells[col.campaignid] || '', campaignName: cells[col.campaignname] || '' }),
+};
+
+async function collectIdsByName(argv) {
+  const idsByName = new Map(); // name -> Set(campaignId)
+  const add = (r) => {
+    if (!r.campaignName || !r.campaignId) return;
+    if (!idsByName.has(r.campaignName)) idsByName.set(r.campaignName, new Set());
+    idsByName.get(r.campaignName).add(String(r.campaignId));
+  };
+
+  for (const file of [].concat(argv.csv || [])) {
+    const csv = fs.readFileSync(path.resolve(file), 'utf8');
+    parseReport(csv, NAME_READER).rows.forEach(add);
+  }
+  if (argv.from && argv.to) {
+    const { getCampaignSummaryForRange } = require('./src/msadsReport'); // needs Microsoft Ads credentials
+    for (const [from, to] of monthChunks(argv.from, argv.to)) {
+      const byDay = await getCampaignSummaryForRange(from, to);
+      Object.values(byDay).flat().forEach(add);
+    }
+  }
+  return idsByName;
+}
+
+(async () => {
+  const argv = yargs(hideBin(process.argv))
+    .option('from',   { type: 'string' })
+    .option('to',     { type: 'string' })
+    .option('csv',    { type: 'string', array: true })
+    .option('dryRun', { type: 'boolean', default: false })
+    .option('force',  { type: 'boolean', default: false })
+    .argv;
+
+  if (!(argv.from && argv.to) && !argv.csv) {
+    console.error('Usage:\n  node migrate-campaign-map.js --from=YYYY-MM-DD --to=YYYY-MM-DD\n  node migrate-campaign-map.js --csv=path/to/report.csv');
+    process.exit(1);
+  }
+
+  const legacy = readMapFile();
+  if (!isLegacyMap(legacy)) {
+    console.log('campaign-map.json is already keyed by CampaignId. Nothing to do.');
+    return;
+  }
+
+  const idsByName = await collectIdsByName(argv);
+  const next = {};
+  const unresolved = [];
+
+  for (const [name, hubspotId] of Object.entries(legacy)) {
+    const ids = Array.from(idsByName.get(name) || []);
+    if (ids.length !== 1) {
+      unresolved.push({ name, hubspotId, reason: ids.length ? `ambiguous (${ids.join(', ')})` : 'not found in reports' });
+      continue;
+    }
+    next[ids[0]] = { hubspotId, name };
+    console.log(`✓ ${name} -> CampaignId ${ids[0]} (HubSpot ${hubspotId})`);
+  }
+
+  for (const u of unresolved) console.warn(`⚠️  ${u.name} (HubSpot ${u.hubspotId}): ${u.reason}`);
+
+  if (unresolved.length && !argv.force) {
+    console.error(`\n${unresolved.length} name(s) could not be matched. Widen --from/--to, add --csv, or re-run with --force to drop them.`);
+    process.exit(2);
+  }
+
+  if (argv.dryRun) {
+    console.log('\n[DRY] New campaign-map.json:\n' + JSON.stringify(next, null, 2));
+    return;
+  }
+
+  const backup = path.join(path.dirname(MAP_PATH), 'campaign-map.name-keyed.backup.json');
+  fs.copyFileSync(MAP_PATH, backup);
+  saveCampaignMap(next);
+  console.log(`\nDone. Migrated=${Object.keys(next).length}  Dropped=${unresolved.length}  Backup=${path.basename(backup)}`);
+})().catch(e => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
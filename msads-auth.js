@@ -0,0 +1,140 @@
+// msads-auth.js
+// Sign in to Microsoft Ads (OAuth authorization code + PKCE) and store the
+// refresh token in the credentials file the report scripts use (src/msadsAuth.js).
+//
+// Usage:
+//   node msads-auth.js [--port=8765]   open the printed URL; the browser is sent back to
+//                                      http://localhost:<port>/ and the code is picked up there
+//   node msads-auth.js --paste         for machines without a browser: sign in elsewhere,
+//                                      then paste the whole redirect URL you land on
+//
+// The redirect URI must be registered on the app (Azure portal > Authentication):
+// http://localhost for the listener, https://login.microsoftonline.com/common/oauth2/nativeclient
+// for --paste. MSADS_REDIRECT_URI overrides either.
+// With MSADS_CLIENT_SECRET set (and MSADS_PUBLIC_CLIENT not "true") the code is redeemed
+// as a confidential client, as token refreshes are.
+require('dotenv').config();
+const http = require('http');
+const crypto = require('crypto');
+const readline = require('readline');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { SCOPE, isPublicClient, redeemAuthCode, storeRefreshToken } = require('./src/msadsAuth');
+
+const AUTHORIZE_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize';
+const NATIVE_REDIRECT = 'https://login.microsoftonline.com/common/oauth2/nativeclient';
+
+const base64url = (buf) => buf.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+function pkcePair() {
+  const verifier = base64url(crypto.randomBytes(32));
+  const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge };
+}
+
+function authorizeUrl({ redirectUri, state, challenge }) {
+  const u = new URL(AUTHORIZE_URL);
+  u.search = new URLSearchParams({
+    client_id: process.env.MSADS_CLIENT_ID,
+    response_type: 'code',
+    redirect_uri: redirectUri,
+    response_mode: 'query',
+    scope: SCOPE,
+    state,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+    prompt: 'select_account',
+  }).toString();
+  return u.toString();
+}
+
+// The code from a redirect's query string, checking it answers our request
+function codeFromParams(params, state) {
+  if (params.get('error')) {
+    throw new Error(`Sign-in failed: ${params.get('error')} ${params.get('error_description') || ''}`.trim());
+  }
+  if (params.get('state') !== state) throw new Error('Sign-in response does not match this request (state mismatch)');
+  const code = params.get('code');
+  if (!code) throw new Error('No authorization code in the redirect');
+  return code;
+}
+
+function waitForRedirect(port, state, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    let timer;
+    const server = http.createServer((req, res) => {
+      const params = new URL(req.url, `http://localhost:${port}`).searchParams;
+      if (!params.has('code') && !params.has('error')) {
+        res.writeHead(404).end();
+        return;
+      }
+      let code, error;
+      try { code = codeFromParams(params, state); } catch (e) { error = e; }
+      res.writeHead(error ? 400 : 200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(error ? `${error.message}\n` : 'Signed in to Microsoft Ads. You can close this tab.\n');
+      clearTimeout(timer);
+      server.close();
+      error ? reject(error) : resolve(code);
+    });
+    server.on('error', reject);
+    server.listen(port, '127.0.0.1');
+    timer = setTimeout(() => {
+      server.close();
+      reject(new Error(`No sign-in redirect within ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+  });
+}
+
+async function readPastedRedirect(state) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question('Paste the full URL you were redirected to:\n> ', resolve));
+  rl.close();
+  let url;
+  try {
+    url = new URL(answer.trim());
+  } catch {
+    throw new Error('That is not a URL (copy the whole address bar after signing in)');
+  }
+  return codeFromParams(url.searchParams, state);
+}
+
+(async () => {
+  const argv = yargs(hideBin(process.argv))
+    .option('port',    { type: 'number', default: 8765, describe: 'Loopback listener port' })
+    .option('paste',   { type: 'boolean', default: false, describe: 'Paste the redirect URL instead of listening' })
+    .option('timeout', { type: 'number', default: 300, describe: 'Seconds to wait for the redirect' })
+    .argv;
+
+  if (!process.env.MSADS_CLIENT_ID) {
+    console.error('Missing MSADS_CLIENT_ID in .env');
+    process.exit(1);
+  }
+
+  const redirectUri = process.env.MSADS_REDIRECT_URI || (argv.paste ? NATIVE_REDIRECT : `http://localhost:${argv.port}/`);
+  const state = base64url(crypto.randomBytes(16));
+  const { verifier, challenge } = pkcePair();
+
+  console.log(`Client: ${process.env.MSADS_CLIENT_ID} (${isPublicClient() ? 'public' : 'confidential, using MSADS_CLIENT_SECRET'})`);
+  console.log('\nOpen this URL and sign in with the Microsoft Ads user:\n');
+  console.log(authorizeUrl({ redirectUri, state, challenge }));
+  console.log('');
+
+  let code;
+  if (argv.paste) {
+    code = await readPastedRedirect(state);
+  } else {
+    const port = Number(new URL(redirectUri).port || 80);
+    console.log(`Waiting for the redirect on ${redirectUri} …`);
+    code = await waitForRedirect(port, state, argv.timeout * 1000);
+  }
+
+  const tokens = await redeemAuthCode({ code, redirectUri, codeVerifier: verifier });
+  const file = storeRefreshToken(tokens);
+  console.log(`\n✅ Signed in. Refresh token stored in ${file}`);
+  if (process.env.MSADS_REFRESH_TOKEN) {
+    console.log('MSADS_REFRESH_TOKEN in .env is no longer needed; the stored token is used until it changes.');
+  }
+})().catch(e => {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+});
@@ -6,7 +6,7 @@ const { getDailyCampaignRows: getFromSrc } = require('./src/msadsReport');
 /**
  * Normalised access point used by other scripts.
  * @param {string} isoDate - YYYY-MM-DD
- * @returns {Promise<Array<{ name:string, campaignName:string, campaignId?:string, clicks:number, impressions:number, conversions:number, spend:number, average_cpc?:number, all_cost_per_conversion?:number, campaign_status?:string, date:string }>>}
+ * @returns {Promise<Array<{ name:string, campaignName:string, campaignId?:string, accountId?:string, accountName?:string, clicks:number, impressions:number, conversions:number, spend:number, average_cpc?:number, all_cost_per_conversion?:number, campaign_status?:string, date:string }>>}
  */
 async function getDailyCampaignRows(isoDate) {
   if (!isoDate || !/^\d{4}-\d{2}-\d{2}$/.test(isoDate)) {
@@ -18,6 +18,8 @@ async function getDailyCampaignRows(isoDate) {
     name: r.name ?? r.campaignName ?? '',
     campaignName: r.campaignName ?? r.name ?? '',
     campaignId: r.campaignId,
+    accountId: r.accountId,
+    accountName: r.accountName,
     clicks: Number(r.clicks || 0),
     impressions: Number(r.impressions || 0),
     conversions: Number(r.conversions || 0),
@@ -1,28 +1,31 @@
 ﻿/**
  * recalc-totals-simple.js
- * Updates ONLY totals (clicks, impressions, conversions) for campaigns we already know,
- * using a local name->ID map (campaign-map.json). No search, no create. Skips days with zero spend.
+ * Updates ONLY the metric-map properties (totals, last values, averages) for campaigns we already know,
+ * using the local Bing CampaignId->HubSpot map (campaign-map.json). No search, no create. Skips days with zero spend.
+ * Also resets the totals ledger for each updated campaign to exactly the days summed here,
+ * so later additive runs only apply differences on top of the recalculated totals.
  *
  * Usage:
  *   node recalc-totals-simple.js --from=YYYY-MM-DD --to=YYYY-MM-DD
  */
 
 require("dotenv").config();
-const fs = require("fs");
-const path = require("path");
-const axios = require("axios");
+const hubspotHttp = require("./src/hubspotHttp");
+const { batchUpdateCampaigns } = require("./src/hubspotClient");
 const yargs = require("yargs/yargs");
 const { hideBin } = require("yargs/helpers");
 
 // Wrapper that filters to spend > 0 and keeps your existing report logic untouched
-const { getNonZeroSummaryForDate } = require("./src/nonZeroReport");
+const { getNonZeroSummaryForRange } = require("./src/nonZeroReport");
+const { monthChunks } = require("./src/dateRange");
+const ledger = require("./src/totalsLedger");
+const campaignMap = require("./src/campaignMap");
+const metricMap = require("./src/metricMap");
+const fx = require("./src/fx");
 
 const {
   HUBSPOT_PRIVATE_APP_TOKEN,
   HUBSPOT_BUSINESS_UNIT_ID, // optional
-  HSPROP_TOTAL_CLICKS = "total_clicks",
-  HSPROP_TOTAL_IMPRESSIONS = "total_impressions",
-  HSPROP_TOTAL_CONVERSIONS = "total_conversions",
 } = process.env;
 
 if (!HUBSPOT_PRIVATE_APP_TOKEN) {
@@ -30,17 +33,16 @@ if (!HUBSPOT_PRIVATE_APP_TOKEN) {
   process.exit(1);
 }
 
-// ---- Load local name->ID map (no API lookups) ----
-const MAP_PATH = path.join(__dirname, "campaign-map.json");
-if (!fs.existsSync(MAP_PATH)) {
-  console.error("campaign-map.json not found. Create it first (name -> HubSpot campaign ID).");
-  process.exit(1);
-}
-let NAME_TO_ID;
+// ---- Load local CampaignId->HubSpot map (no API lookups) ----
+let CAMPAIGN_MAP;
 try {
-  NAME_TO_ID = JSON.parse(fs.readFileSync(MAP_PATH, "utf8"));
+  CAMPAIGN_MAP = campaignMap.loadCampaignMap();
 } catch (e) {
-  console.error("Failed to read campaign-map.json:", e.message);
+  console.error(e.message);
+  process.exit(1);
+}
+if (!Object.keys(CAMPAIGN_MAP).length) {
+  console.error("campaign-map.json not found or empty. Run ensure-campaign-map.js first.");
   process.exit(1);
 }
 
@@ -54,29 +56,22 @@ function hsHeaders() {
   return h;
 }
 
-function baseUrl() {
-  return "https://api.hubapi.com"; // axios follows 308 region redirects
-}
+// src/hubspotHttp.js follows 308 region redirects
+const hs = hubspotHttp.create({ baseURL: hubspotHttp.HUBSPOT_BASE, headers: hsHeaders() });
 
-async function updateCampaignProps(campaignId, properties) {
-  const url = `${baseUrl()}/marketing/v3/campaigns/${encodeURIComponent(campaignId)}`;
-  await axios.patch(url, { properties }, { headers: hsHeaders(), maxRedirects: 5, timeout: 30000 });
-}
+const NUMERIC_FIELDS = metricMap.loadMetricMap().filter(e => e.type === "number").map(e => e.field);
 
-function* dateRange(from, to) {
-  const s = new Date(`${from}T00:00:00Z`);
-  const e = new Date(`${to}T00:00:00Z`);
-  for (let d = s; d <= e; d = new Date(d.getTime() + 86400000)) {
-    yield d.toISOString().slice(0, 10);
-  }
+function sumDays(days) {
+  const totals = Object.fromEntries(NUMERIC_FIELDS.map(f => [f, 0]));
+  for (const row of Object.values(days)) for (const f of NUMERIC_FIELDS) totals[f] += Number(row[f] || 0);
+  return totals;
 }
 
-function sumInto(map, name, clicks, imps, conv) {
-  const cur = map.get(name) || { clicks: 0, impressions: 0, conversions: 0 };
-  cur.clicks += Number(clicks || 0);
-  cur.impressions += Number(imps || 0);
-  cur.conversions += Number(conv || 0);
-  map.set(name, cur);
+// key -> { 'YYYY-MM-DD': row } (combined per HubSpot campaign for the ledger)
+function recordDay(map, key, date, row) {
+  const days = map.get(key) || {};
+  days[date] = row;
+  map.set(key, days);
 }
 
 (async () => {
@@ -89,49 +84,89 @@ function sumInto(map, name, clicks, imps, conv) {
   const to = argv.to;
   console.log(`Recalculating totals (non-zero spend days only) from ${from} to ${to}`);
 
-  // 1) Build totals per campaign name from Bing for the date range
-  const totalsByName = new Map();
+  // 1) Collect days per Bing CampaignId for the date range (one report per month)
+  const daysById = new Map();
+  const latestRow = new Map(); // campaignId -> last row seen (carries the current name)
+  const failedChunks = [];
 
-  for (const day of dateRange(from, to)) {
+  for (const [chunkFrom, chunkTo] of monthChunks(from, to)) {
+    let byDay;
     try {
-      const { items } = await getNonZeroSummaryForDate(day);
-      if (!items || !items.length) { process.stdout.write("-"); continue; } // dash = no spend that day
+      byDay = await getNonZeroSummaryForRange(chunkFrom, chunkTo);
+    } catch (e) {
+      process.stdout.write("x"); // x = Bing failed for that month
+      failedChunks.push(`${chunkFrom}..${chunkTo}: ${e.message}`);
+      continue;
+    }
+    for (const [day, items] of Object.entries(byDay)) {
+      if (!items.length) { process.stdout.write("-"); continue; } // dash = no spend that day
       for (const it of items) {
-        sumInto(totalsByName, it.name, it.clicks, it.impressions, it.conversions);
+        const key = it.campaignId || it.campaignName;
+        recordDay(daysById, key, day, fx.convertRow(it)); // CPC etc. in the portal currency
+        latestRow.set(key, it);
       }
       process.stdout.write("."); // dot = had spend and included
-    } catch (e) {
-      process.stdout.write("x"); // x = transient error that day; continue
     }
   }
 
-  console.log(`\nBuilt totals for ${totalsByName.size} campaign(s).`);
+  console.log(`\nBuilt totals for ${daysById.size} campaign(s).`);
 
-  // 2) Update HubSpot totals ONLY for campaigns present in our local map
-  let updated = 0, skippedUnknown = 0, failed = 0;
+  // Totals are overwritten, so missing months would lower them: write nothing
+  if (failedChunks.length) {
+    console.error(`❌ Bing reports failed, HubSpot left unchanged:\n  ${failedChunks.join("\n  ")}`);
+    process.exit(1);
+  }
 
-  for (const [name, totals] of totalsByName.entries()) {
-    const campaignId = NAME_TO_ID[name];
-    if (!campaignId) {
-      console.warn(`Skipping unknown campaign (not in campaign-map.json): ${name}`);
+  // 2) Update HubSpot totals ONLY for campaigns present in our local map,
+  //    50 campaigns per batch request. Bing campaigns mapped to the same HubSpot
+  //    campaign are added together (rows combined per day, as the daily runs do).
+  let updated = 0, skippedUnknown = 0, failed = 0, renamed = 0, mapChanged = false;
+  const groups = new Map(); // hubspotId -> { names, rowsByDay: { date: [row] } }
+
+  for (const [key, days] of daysById.entries()) {
+    const row = latestRow.get(key);
+    const name = row.campaignName;
+    const hit = campaignMap.resolveRow(CAMPAIGN_MAP, row);
+    if (!hit) {
+      console.warn(`Skipping unknown campaign (not in campaign-map.json): ${name} [${row.campaignId}]`);
       skippedUnknown++;
       continue;
     }
-    try {
-      const props = {};
-      props[HSPROP_TOTAL_CLICKS] = String(totals.clicks);
-      props[HSPROP_TOTAL_IMPRESSIONS] = String(totals.impressions);
-      props[HSPROP_TOTAL_CONVERSIONS] = String(totals.conversions);
-      await updateCampaignProps(campaignId, props);
+    if (hit.renamed) renamed++;
+    if (hit.changed) mapChanged = true;
+    const id = String(hit.hubspotId);
+    const g = groups.get(id) || { names: [], rowsByDay: {} };
+    g.names.push(name);
+    for (const [date, r] of Object.entries(days)) (g.rowsByDay[date] = g.rowsByDay[date] || []).push(r);
+    groups.set(id, g);
+  }
+
+  const updates = []; // { id, properties, name, days, totals }
+  for (const [id, g] of groups) {
+    const days = Object.fromEntries(Object.entries(g.rowsByDay).map(([date, rows]) => [date, metricMap.combineRows(rows)]));
+    const totals = sumDays(days);
+    const lastDay = days[Object.keys(days).sort().pop()];
+    // hard set: sums start from zero, averages over exactly the days summed here
+    const properties = metricMap.buildCampaignProps({ current: {}, delta: totals, day: lastDay, history: days });
+    updates.push({ id, properties, name: g.names.join(" + "), days, totals });
+  }
+
+  const res = await batchUpdateCampaigns(hs, updates);
+  const written = new Set(res.updated);
+  const errors = new Map(res.failed.map(f => [f.id, f.message]));
+  for (const u of updates) {
+    if (written.has(u.id)) {
+      ledger.resetCampaign(u.id, "bing", u.days);
       updated++;
-      console.log(`Updated totals: ${name}  clicks=${totals.clicks}  imps=${totals.impressions}  conv=${totals.conversions}`);
-    } catch (e) {
+      console.log(`Updated totals: ${u.name}  clicks=${u.totals.clicks}  imps=${u.totals.impressions}  conv=${u.totals.conversions}`);
+    } else {
       failed++;
-      const code = e.response?.status;
-      console.warn(`Failed to update ${name} (${campaignId}): ${code || ""} ${e.message}`);
-      if (e.response?.data) console.warn("Body:", JSON.stringify(e.response.data));
+      console.warn(`Failed to update ${u.name} (${u.id}): ${errors.get(u.id)}`);
     }
   }
 
-  console.log(`✅ Done. Updated=${updated}  SkippedUnknown=${skippedUnknown}  Failed=${failed}`);
+  if (mapChanged) campaignMap.saveCampaignMap(CAMPAIGN_MAP);
+  if (res.stopped) console.error(`❌ ${res.stopped.message}`);
+  console.log(`✅ Done. Updated=${updated}  SkippedUnknown=${skippedUnknown}  Renamed=${renamed}  Failed=${failed}`);
+  if (failed) process.exitCode = 1;
 })();
@@ -1,16 +1,21 @@
 // recalc-totals.js
 // Usage: node recalc-totals.js --from=YYYY-MM-DD --to=YYYY-MM-DD
+// Sets HubSpot totals to the sum of the range and resets the totals ledger of each
+// updated campaign to those days (as recalc-totals-simple.js does).
 require("dotenv").config();
-const { getCampaignSummaryForDate } = require("./src/msadsReport");
-const { upsertCampaignIdByName, updateCampaignProps } = require("./src/hubspotMarketing");
+const { eachReportForRanges, assertReportOk } = require("./src/msadsReport");
+const { monthChunks } = require("./src/dateRange");
+const { createHubSpotClient, batchUpdateCampaigns } = require("./src/hubspotClient");
+const directory = require("./src/campaignDirectory");
+const { isQuotaError } = require("./src/hubspotHttp");
+const metricMap = require("./src/metricMap");
+const ledger = require("./src/totalsLedger");
+const fx = require("./src/fx");
 const yargs = require("yargs/yargs");
 const { hideBin } = require("yargs/helpers");
 
 const {
   HUBSPOT_PRIVATE_APP_TOKEN,
-  HSPROP_TOTAL_CLICKS = "total_clicks",
-  HSPROP_TOTAL_IMPRESSIONS = "total_impressions",
-  HSPROP_TOTAL_CONVERSIONS = "total_conversions",
 } = process.env;
 
 if (!HUBSPOT_PRIVATE_APP_TOKEN) {
@@ -26,71 +31,98 @@ function parseArgs() {
   return { from: argv.from, to: argv.to };
 }
 
-function* dateRange(from, to) {
-  const s = new Date(from + "T00:00:00Z");
-  const e = new Date(to + "T00:00:00Z");
-  for (let d = s; d <= e; d = new Date(d.getTime() + 86400000)) {
-    yield d.toISOString().slice(0, 10);
-  }
-}
+const NUMERIC_FIELDS = metricMap.loadMetricMap().filter(e => e.type === "number").map(e => e.field);
 
-function sumInto(map, name, clicks, imps, conv) {
-  const cur = map.get(name) || { clicks: 0, impressions: 0, conversions: 0 };
-  cur.clicks += Number(clicks || 0);
-  cur.impressions += Number(imps || 0);
-  cur.conversions += Number(conv || 0);
+// name -> { sums: { field: total }, days: { date: row }, last: row }; rows for the same
+// name and day (e.g. one per account) are combined, as the ledger keeps one entry per day
+function sumInto(map, name, row) {
+  const cur = map.get(name) || { sums: Object.fromEntries(NUMERIC_FIELDS.map(f => [f, 0])), days: {}, last: row };
+  for (const f of NUMERIC_FIELDS) cur.sums[f] += Number(row[f] || 0);
+  cur.days[row.date] = cur.days[row.date] ? metricMap.combineRows([cur.days[row.date], row]) : row;
+  cur.last = cur.days[row.date];
   map.set(name, cur);
 }
 
+
 (async () => {
   const { from, to } = parseArgs();
   console.log(`Recalculating totals from ${from} to ${to}`);
 
-  // 1) Pull MS Ads per day and build sums
+  // 1) Pull MS Ads one month per report and build sums
   const totalsByCampaign = new Map();
+  const failedChunks = [];
 
-  for (const day of dateRange(from, to)) {
+  for await (const { from: chunkFrom, to: chunkTo, result, error } of eachReportForRanges("campaign", monthChunks(from, to))) {
+    let byDay;
     try {
-      const { items } = await getCampaignSummaryForDate(day);
+      if (error) throw error;
+      byDay = assertReportOk(result, `campaign report ${chunkFrom}..${chunkTo}`).byDay;
+    } catch (e) {
+      process.stdout.write("x"); // mark error and continue
+      failedChunks.push(`${chunkFrom}..${chunkTo}: ${e.message}`);
+      continue;
+    }
+    for (const items of Object.values(byDay)) {
       // Skip blank days automatically
-      if (!items || !items.length) {
+      if (!items.length) {
         process.stdout.write("-");
         continue;
       }
       for (const it of items) {
-        sumInto(totalsByCampaign, it.name, it.clicks, it.impressions, it.conversions);
+        sumInto(totalsByCampaign, it.campaignName, fx.convertRow(it)); // CPC etc. in the portal currency
       }
       process.stdout.write(".");
-    } catch (e) {
-      process.stdout.write("x"); // mark error and continue
     }
   }
   console.log(`\nBuilt totals for ${totalsByCampaign.size} campaign(s).`);
 
+  // Totals are overwritten, so missing months would lower them: write nothing
+  if (failedChunks.length) {
+    console.error(`❌ Bing reports failed, HubSpot left unchanged:\n  ${failedChunks.join("\n  ")}`);
+    process.exit(1);
+  }
+
   if (totalsByCampaign.size === 0) {
     console.log("Nothing to update.");
     return;
   }
 
-  // 2) Upsert campaigns by name and SET totals (hard set for the whole range)
-  let updated = 0;
-  for (const [name, totals] of totalsByCampaign.entries()) {
+  // 2) Find (or create) campaigns by name and SET totals (hard set for the whole range),
+  //    50 campaigns per batch request
+  const hs = createHubSpotClient(HUBSPOT_PRIVATE_APP_TOKEN);
+  const updates = [];
+  let failed = 0;
+  for (const [name, agg] of totalsByCampaign.entries()) {
+    let id;
     try {
-      const id = await upsertCampaignIdByName(HUBSPOT_PRIVATE_APP_TOKEN, name);
-      const props = {};
-      props[HSPROP_TOTAL_CLICKS] = String(totals.clicks);
-      props[HSPROP_TOTAL_IMPRESSIONS] = String(totals.impressions);
-      props[HSPROP_TOTAL_CONVERSIONS] = String(totals.conversions);
-      await updateCampaignProps(HUBSPOT_PRIVATE_APP_TOKEN, id, props);
-      updated++;
-      console.log(`Updated totals: ${name}  clicks=${totals.clicks}  imps=${totals.impressions}  conv=${totals.conversions}`);
+      const c = await directory.ensureCampaign(hs, name);
+      id = c.id;
+      if (c.created) console.log(`Created HubSpot campaign: ${name} (id ${id})`);
     } catch (e) {
-      const code = e.response?.status;
-      const body = e.response?.data;
-      console.warn(`Failed to update ${name}: ${code || ""} ${e.message}`);
-      if (body) console.warn("Body:", JSON.stringify(body));
+      if (isQuotaError(e)) throw e;
+      failed++;
+      console.warn(`Failed to find or create ${name}: ${e.message}`);
+      continue;
+    }
+    const props = metricMap.buildCampaignProps({ current: {}, delta: agg.sums, day: agg.last, history: agg.days });
+    updates.push({ id, properties: props, name, totals: agg.sums, days: agg.days });
+  }
+
+  const res = await batchUpdateCampaigns(hs, updates);
+  const written = new Set(res.updated);
+  const errors = new Map(res.failed.map(f => [f.id, f.message]));
+  for (const u of updates) {
+    if (written.has(u.id)) {
+      // the ledger now holds exactly the days summed here, so later additive runs match HubSpot
+      ledger.resetCampaign(u.id, "bing", u.days);
+      console.log(`Updated totals: ${u.name}  clicks=${u.totals.clicks}  imps=${u.totals.impressions}  conv=${u.totals.conversions}`);
+    } else {
+      failed++;
+      console.warn(`Failed to update ${u.name} (${u.id}): ${errors.get(u.id)}`);
     }
   }
 
-  console.log(`✅ Done. Totals updated for ${updated} campaign(s).`);
+  if (res.stopped) console.error(`❌ ${res.stopped.message}`);
+  console.log(`✅ Done. Totals updated for ${res.updated.length} campaign(s).`);
+  if (failed) process.exitCode = 1;
 })();
@@ -1,6 +1,23 @@
 // File: run-bing-daily.js
+// Re-syncs a trailing window ending yesterday (London), not just yesterday: Bing keeps
+// attributing conversions (and restating spend) for days afterwards. backfill-all only
+// writes differences (spend upsert + totals ledger), so unchanged days cost no writes.
+//   MSADS_LOOKBACK_DAYS=7   (or --lookbackDays=7) window length, 1 = yesterday only
+// Older days whose last report said "Potential Incomplete Data" (report-state.json)
+// are re-pulled too, until Bing marks them complete or they age out:
+//   MSADS_PROVISIONAL_MAX_DAYS=30
+// MSADS_SYNC_AD_GROUPS=1 also refreshes per-ad-group metrics for the same window,
+// MSADS_SYNC_KEYWORDS=1 keyword metrics / quality scores, MSADS_SYNC_SEARCH_TERMS=1
+// search terms, MSADS_SYNC_GOALS=1 per-goal conversions (goals.js), MSADS_SYNC_HOURLY=1
+// hourly metrics for dayparting.js.
+// Seed the totals ledger once before the first run (README, "Totals ledger"): campaigns
+// with HubSpot totals but no ledger entry are skipped, not added to a second time.
 require('dotenv').config();
 const { spawn } = require('child_process');
+const { addDaysYMD } = require('./src/dateRange');
+const { listProvisionalDays } = require('./src/reportState');
+
+const DEFAULT_LOOKBACK_DAYS = 7;
 
 function ymdInLondon(date) {
   // Get YYYY-MM-DD for a JS Date as if in Europe/London
@@ -21,21 +38,82 @@ function getYesterdayLondonYMD() {
   return d.toISOString().slice(0, 10);
 }
 
-async function main() {
-  const y = getYesterdayLondonYMD();
-  console.log(`[run-bing-daily] Running Bing backfill for ${y}`);
+function getLookbackDays() {
+  const arg = process.argv.slice(2).find(a => a.startsWith('--lookbackDays='));
+  const raw = arg ? arg.split('=')[1] : process.env.MSADS_LOOKBACK_DAYS;
+  const n = Number(raw ?? DEFAULT_LOOKBACK_DAYS);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid lookback days: ${raw}`);
+  return n;
+}
 
-  await new Promise((resolve, reject) => {
+function runScript(script, args) {
+  return new Promise((resolve, reject) => {
     const child = spawn(
       process.execPath, // node
-      ['backfill-all.js', '--source=bing', `--from=${y}`, `--to=${y}`],
+      [script, ...args],
       { stdio: 'inherit' }
     );
-    child.on('exit', code => code === 0 ? resolve() : reject(new Error(`backfill-all exited ${code}`)));
+    child.on('exit', code => code === 0 ? resolve() : reject(new Error(`${script} exited ${code}`)));
     child.on('error', reject);
   });
 }
 
+function runBackfill(args) {
+  return runScript('backfill-all.js', ['--source=bing', ...args]);
+}
+
+// Every step runs even if an earlier one failed; the run exits 1 if any did
+const failedSteps = [];
+async function step(label, fn) {
+  try {
+    await fn();
+  } catch (e) {
+    failedSteps.push(label);
+    console.error(`[run-bing-daily] ${label} failed: ${e.message}`);
+  }
+}
+
+async function main() {
+  const y = getYesterdayLondonYMD();
+  const from = addDaysYMD(y, -(getLookbackDays() - 1));
+  const maxAgeDays = Number(process.env.MSADS_PROVISIONAL_MAX_DAYS || 30);
+  const provisional = listProvisionalDays({ today: y, before: from, maxAgeDays });
+
+  if (provisional.length) {
+    console.log(`[run-bing-daily] Re-pulling ${provisional.length} provisional day(s): ${provisional.join(', ')}`);
+    await step('provisional re-pull', () => runBackfill([`--dates=${provisional.join(',')}`]));
+  }
+
+  console.log(`[run-bing-daily] Running Bing backfill for ${from} → ${y}`);
+  await step('backfill', () => runBackfill([`--from=${from}`, `--to=${y}`]));
+
+  if (String(process.env.MSADS_SYNC_AD_GROUPS || '') === '1') {
+    console.log(`[run-bing-daily] Syncing ad groups for ${from} → ${y}`);
+    await step('ad groups', () => runScript('sync-ad-groups.js', [`--from=${from}`, `--to=${y}`]));
+  }
+  if (String(process.env.MSADS_SYNC_KEYWORDS || '') === '1') {
+    console.log(`[run-bing-daily] Syncing keywords for ${from} → ${y}`);
+    await step('keywords', () => runScript('keywords.js', ['sync', `--from=${from}`, `--to=${y}`]));
+  }
+  if (String(process.env.MSADS_SYNC_SEARCH_TERMS || '') === '1') {
+    console.log(`[run-bing-daily] Syncing search terms for ${from} → ${y}`);
+    await step('search terms', () => runScript('search-terms.js', ['sync', `--from=${from}`, `--to=${y}`]));
+  }
+  if (String(process.env.MSADS_SYNC_GOALS || '') === '1') {
+    console.log(`[run-bing-daily] Syncing conversion goals for ${from} → ${y}`);
+    await step('goals', () => runScript('goals.js', ['sync', `--from=${from}`, `--to=${y}`]));
+  }
+  if (String(process.env.MSADS_SYNC_HOURLY || '') === '1') {
+    console.log(`[run-bing-daily] Syncing hourly metrics for ${from} → ${y}`);
+    await step('hourly', () => runScript('dayparting.js', ['sync', `--from=${from}`, `--to=${y}`]));
+  }
+
+  if (failedSteps.length) {
+    console.error(`[run-bing-daily] Failed: ${failedSteps.join(', ')}`);
+    process.exitCode = 1;
+  }
+}
+
 main().catch(err => {
   console.error(err);
   process.exit(1);
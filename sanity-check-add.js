@@ -1,9 +1,16 @@
 // File: sanity-check-add.js
 require('dotenv').config();
-const { getHubspotClient } = require('./src/hubspotClient');
+const {
+  getHubspotClient,
+  createHubSpotClient,
+  getCampaign,
+} = require('./src/hubspotClient');
+const directory = require('./src/campaignDirectory');
+const { propertyFor } = require('./src/metricMap');
 
 (async () => {
   const hs = getHubspotClient();
+  const client = createHubSpotClient();
   const name  = process.argv[2];
   const date  = process.argv[3] || '2025-01-01';
   const clicks = Number(process.argv[4] || 3);
@@ -15,21 +22,18 @@ const { getHubspotClient } = require('./src/hubspotClient');
     process.exit(1);
   }
 
-  const { id } = await hs.ensureCampaign(name);
+  const { id } = await directory.ensureCampaign(client, name);
 
-  const before = await hs.getCampaignById(id);
-  console.log('BEFORE:', {
-    clicks: before.properties[process.env.HSPROP_TOTAL_CLICKS      || 'total_clicks']      || 0,
-    imps:   before.properties[process.env.HSPROP_TOTAL_IMPRESSIONS || 'total_impressions'] || 0,
-    convs:  before.properties[process.env.HSPROP_TOTAL_CONVERSIONS || 'total_conversions'] || 0,
+  const before = { properties: await getCampaign(client, id) };
+  const totalsOf = (p) => ({
+    clicks: p[propertyFor('clicks')]      || 0,
+    imps:   p[propertyFor('impressions')] || 0,
+    convs:  p[propertyFor('conversions')] || 0,
   });
+  console.log('BEFORE:', totalsOf(before.properties));
 
-  await hs.addDailyTotalsAccumulative(id, { clicks, impressions: imps, conversions: convs, dateISO: date });
+  await hs.addTotalsDelta(id, { clicks, impressions: imps, conversions: convs }, date);
 
-  const after = await hs.getCampaignById(id);
-  console.log('AFTER:', {
-    clicks: after.properties[process.env.HSPROP_TOTAL_CLICS       /* typo-proof */ || process.env.HSPROP_TOTAL_CLICKS      || 'total_clicks']      || 0,
-    imps:   after.properties[process.env.HSPROP_TOTAL_IMPRESSIONS || 'total_impressions'] || 0,
-    convs:  after.properties[process.env.HSPROP_TOTAL_CONVERSIONS || 'total_conversions'] || 0,
-  });
+  const after = { properties: await getCampaign(client, id) };
+  console.log('AFTER:', totalsOf(after.properties));
 })().catch(e => { console.error(e?.response?.data || e); process.exit(1); });
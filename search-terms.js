@@ -0,0 +1,89 @@
+// search-terms.js
+// Search term (search query) reports from Microsoft Ads, stored in search-terms.json.
+//
+// Usage:
+//   node search-terms.js sync --from=YYYY-MM-DD --to=YYYY-MM-DD
+//   node search-terms.js top  --from=YYYY-MM-DD --to=YYYY-MM-DD [--campaign=<id or name>]
+//                             [--limit=25] [--minSpend=1] [--negatives]
+//
+// "top" prints the best converting terms and the terms that spent without converting.
+// --negatives prints only the wasted terms, one per line, ready to paste as negatives.
+require('dotenv').config();
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const store = require('./src/searchTermStore');
+const { monthChunks } = require('./src/dateRange');
+
+async function sync(argv) {
+  const { eachReportForRanges, isFailureStatus } = require('./src/msadsReport');
+  let days = 0, rows = 0, changed = 0;
+  const failedDays = [];
+  for await (const { result, error } of eachReportForRanges('searchQuery', monthChunks(argv.from, argv.to))) {
+    if (error) throw error;
+    const { byDay, statusByDay } = result;
+    for (const [date, dayRows] of Object.entries(byDay)) {
+      if (isFailureStatus(statusByDay[date])) { // keep the stored snapshot
+        failedDays.push(date);
+        console.error(`${date}: ${statusByDay[date]} (skipped)`);
+        continue;
+      }
+      const r = store.saveDay(date, dayRows);
+      days++;
+      rows += r.rows;
+      if (r.changed) changed++;
+      console.log(`${date}: ${r.rows} search term row(s)${r.changed ? '' : ' (unchanged)'}`);
+    }
+  }
+  console.log(`\nDone. Days=${days}  Rows=${rows}  ChangedDays=${changed}  FailedDays=${failedDays.length}`);
+  if (failedDays.length) {
+    console.error(`Failed days: ${failedDays.join(', ')}`);
+    process.exitCode = 1;
+  }
+}
+
+function top(argv) {
+  const opts = { campaign: argv.campaign, limit: argv.limit, minSpend: argv.minSpend };
+  const wasted = store.topWasted(argv.from, argv.to, opts);
+
+  if (argv.negatives) {
+    for (const t of wasted) console.log(t.searchTerm);
+    return;
+  }
+
+  const scope = argv.campaign ? ` for campaign ${argv.campaign}` : '';
+  console.log(`Top converting search terms${scope}, ${argv.from} → ${argv.to}:`);
+  const converting = store.topConverting(argv.from, argv.to, opts);
+  if (!converting.length) console.log('  none');
+  for (const t of converting) {
+    console.log(`  ${t.searchTerm}  conv=${t.conversions}  clicks=${t.clicks}  spend=${t.spend.toFixed(2)}  cpl=${(t.spend / t.conversions).toFixed(2)}  via ${t.keywords.join(', ')}`);
+  }
+
+  console.log(`\nTop wasted search terms (spend ≥ ${argv.minSpend}, no conversions)${scope}:`);
+  if (!wasted.length) console.log('  none');
+  for (const t of wasted) {
+    console.log(`  ${t.searchTerm}  spend=${t.spend.toFixed(2)}  clicks=${t.clicks}  imps=${t.impressions}  via ${t.keywords.join(', ')}`);
+  }
+  if (wasted.length) {
+    console.log(`  Total wasted: ${wasted.reduce((s, t) => s + t.spend, 0).toFixed(2)}`);
+  }
+}
+
+(async () => {
+  await yargs(hideBin(process.argv))
+    .command('sync', 'Pull search term reports into the local store', y => y
+      .option('from', { type: 'string', demandOption: true })
+      .option('to',   { type: 'string', demandOption: true }), sync)
+    .command('top', 'Top converting and wasted search terms', y => y
+      .option('from',      { type: 'string', demandOption: true })
+      .option('to',        { type: 'string', demandOption: true })
+      .option('campaign',  { type: 'string', describe: 'Bing CampaignId or campaign name' })
+      .option('limit',     { type: 'number', default: 25 })
+      .option('minSpend',  { type: 'number', default: 0.01 })
+      .option('negatives', { type: 'boolean', default: false }), top)
+    .demandCommand(1)
+    .strict()
+    .parseAsync();
+})().catch(e => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// src/adGroupStore.js
+// Local per-ad-group daily metrics (ad-group-metrics.json):
+//   { "YYYY-MM-DD": { "<adGroupId>": { campaignId, campaignName, adGroupName, accountId,
+//                                      status, clicks, impressions, conversions, spend } } }
+'use strict';
+const { createDailyStore } = require('./dailyStore');
+
+const METRICS = ['clicks', 'impressions', 'conversions', 'spend'];
+
+const store = createDailyStore({
+  file: process.env.ADGROUP_STORE_PATH || 'ad-group-metrics.json',
+  key: 'adGroupId',
+  fields: {
+    campaignId: 'campaignId',
+    campaignName: 'campaignName',
+    adGroupName: 'adGroupName',
+    accountId: 'accountId',
+    status: 'ad_group_status',
+    clicks: 'clicks',
+    impressions: 'impressions',
+    conversions: 'conversions',
+    spend: 'spend',
+  },
+});
+
+/**
+ * Totals per ad group over an inclusive range, optionally for one Bing campaign.
+ * @returns {Array<{ adGroupId, adGroupName, campaignId, campaignName, days, clicks, impressions, conversions, spend }>}
+ */
+function summarize(from, to, { campaignId } = {}) {
+  const out = new Map();
+  for (const [, adGroupId, m] of store.entries(from, to)) {
+    if (campaignId && String(m.campaignId) !== String(campaignId)) continue;
+    const cur = out.get(adGroupId) || {
+      adGroupId, adGroupName: m.adGroupName, campaignId: m.campaignId, campaignName: m.campaignName,
+      days: 0, clicks: 0, impressions: 0, conversions: 0, spend: 0,
+    };
+    cur.adGroupName = m.adGroupName || cur.adGroupName; // latest name wins
+    cur.days++;
+    for (const k of METRICS) cur[k] += Number(m[k] || 0);
+    out.set(adGroupId, cur);
+  }
+  return Array.from(out.values()).map(r => ({ ...r, spend: Math.round(r.spend * 100) / 100 }));
+}
+
+module.exports = {
+  STORE_PATH: store.path,
+  saveDay: (date, rows) => {
+    const r = store.saveDay(date, rows);
+    return { adGroups: r.rows, changed: r.changed };
+  },
+  setDay: (date, rows) => {
+    const r = store.setDay(date, rows);
+    return { adGroups: r.rows, changed: r.changed };
+  },
+  flush: store.flush,
+  getDay: store.getDay,
+  summarize,
+};
@@ -0,0 +1,130 @@
+// src/adGroupSync.js
+// Ad-group-level daily metrics: Bing AdGroupPerformanceReport -> local store
+// (ad-group-metrics.json) and, when HUBSPOT_ADGROUP_OBJECT_TYPE is set, one
+// HubSpot custom-object record per ad group per day, associated to the campaign.
+//
+// The custom object needs these properties (internal names):
+//   bing_adgroup_day_key (unique value, "<adGroupId>_<YYYY-MM-DD>"), bing_ad_group_id,
+//   bing_ad_group_name, bing_ad_group_status, bing_campaign_id, bing_campaign_name,
+//   report_date (date), clicks, impressions, conversions, spend
+// and an association definition to Campaigns for the association step.
+require("dotenv").config();
+const { eachReportForRanges, isFailureStatus } = require("./msadsReport");
+const { monthChunks } = require("./dateRange");
+const { createHubSpotClient, getCampaign, batchUpsertObjects, associateDefault } = require("./hubspotClient");
+const campaignMap = require("./campaignMap");
+const store = require("./adGroupStore");
+
+const {
+  HUBSPOT_ADGROUP_OBJECT_TYPE,                          // e.g. "2-12345678" or "p_bing_ad_groups"
+  HUBSPOT_ADGROUP_ID_PROPERTY = "bing_adgroup_day_key",
+  HUBSPOT_CAMPAIGN_OBJECT_TYPE = "0-35",                // Campaigns in the CRM associations API
+} = process.env;
+
+function ymdToEpochMs(ymd) {
+  const [Y, M, D] = ymd.split("-").map(Number);
+  return Date.UTC(Y, M - 1, D);
+}
+
+function toRecord(date, row) {
+  return {
+    id: `${row.adGroupId}_${date}`,
+    properties: {
+      [HUBSPOT_ADGROUP_ID_PROPERTY]: `${row.adGroupId}_${date}`,
+      bing_ad_group_id: String(row.adGroupId),
+      bing_ad_group_name: row.adGroupName,
+      bing_ad_group_status: row.ad_group_status,
+      bing_campaign_id: String(row.campaignId),
+      bing_campaign_name: row.campaignName,
+      report_date: ymdToEpochMs(date),
+      clicks: row.clicks,
+      impressions: row.impressions,
+      conversions: row.conversions,
+      spend: +Number(row.spend || 0).toFixed(2),
+    },
+  };
+}
+
+/**
+ * Upsert one day's ad group records and associate newly created ones to their
+ * HubSpot campaign (looked up through campaign-map.json).
+ * @returns {Promise<{ upserted: number, created: number, associated: number, unmapped: number }>}
+ */
+async function pushDayToHubSpot(hs, date, rows, { map, campaignObjectIds }) {
+  if (!rows.length) return { upserted: 0, created: 0, associated: 0, unmapped: 0 };
+
+  const results = await batchUpsertObjects(hs, HUBSPOT_ADGROUP_OBJECT_TYPE, HUBSPOT_ADGROUP_ID_PROPERTY, rows.map(r => toRecord(date, r)));
+  const byKey = new Map(rows.map(r => [`${r.adGroupId}_${date}`, r]));
+
+  let created = 0, associated = 0, unmapped = 0;
+  for (const rec of results) {
+    if (!rec.new) continue;
+    created++;
+    const row = byKey.get(rec.properties?.[HUBSPOT_ADGROUP_ID_PROPERTY]);
+    const hubspotId = row && map[row.campaignId]?.hubspotId;
+    if (!hubspotId) { unmapped++; continue; }
+
+    // Associations use the campaign's CRM object id, not the marketing GUID
+    if (!campaignObjectIds.has(hubspotId)) {
+      const props = await getCampaign(hs, hubspotId, ["hs_object_id"]);
+      campaignObjectIds.set(hubspotId, props.hs_object_id || null);
+    }
+    const objectId = campaignObjectIds.get(hubspotId);
+    if (!objectId) { unmapped++; continue; }
+
+    await associateDefault(hs, HUBSPOT_ADGROUP_OBJECT_TYPE, rec.id, HUBSPOT_CAMPAIGN_OBJECT_TYPE, objectId);
+    associated++;
+  }
+  return { upserted: results.length, created, associated, unmapped };
+}
+
+/**
+ * Pull ad group metrics for an inclusive range (one report per month), store
+ * them locally and optionally push them to HubSpot.
+ * Only days whose numbers changed since the last pull are pushed, unless `force`.
+ * A day is stored only once its push succeeded, so a failed push is retried on
+ * the next run.
+ * @param {{ hubspot?: boolean, dryRun?: boolean, force?: boolean }} opts - hubspot
+ *   defaults to "HUBSPOT_ADGROUP_OBJECT_TYPE is set"
+ */
+async function syncAdGroupsForRange(from, to, { hubspot = !!HUBSPOT_ADGROUP_OBJECT_TYPE, dryRun = false, force = false } = {}) {
+  if (hubspot && !HUBSPOT_ADGROUP_OBJECT_TYPE) {
+    throw new Error("HubSpot ad group sync needs HUBSPOT_ADGROUP_OBJECT_TYPE (the custom object's type id)");
+  }
+  const hs = hubspot && !dryRun ? createHubSpotClient() : null;
+  const map = hubspot ? campaignMap.loadCampaignMap() : {};
+  const campaignObjectIds = new Map();
+  const summary = { days: 0, adGroups: 0, changedDays: 0, upserted: 0, associated: 0, unmapped: 0, failedDays: [] };
+
+  for await (const { result, error } of eachReportForRanges("adGroup", monthChunks(from, to))) {
+    if (error) throw error;
+    const { byDay, statusByDay } = result;
+    for (const [date, rows] of Object.entries(byDay)) {
+      // A failed day has no rows; saving it would wipe the stored snapshot
+      if (isFailureStatus(statusByDay[date])) {
+        summary.failedDays.push(date);
+        console.error(`${date}: ${statusByDay[date]} (skipped)`);
+        continue;
+      }
+      summary.days++;
+      summary.adGroups += rows.length;
+      if (dryRun) {
+        console.log(`[DRY] ${date}: ${rows.length} ad group row(s)`);
+        continue;
+      }
+      const { changed } = store.setDay(date, rows);
+      if (changed) summary.changedDays++;
+      if (hs && (changed || force)) {
+        const r = await pushDayToHubSpot(hs, date, rows, { map, campaignObjectIds });
+        summary.upserted += r.upserted;
+        summary.associated += r.associated;
+        summary.unmapped += r.unmapped;
+      }
+      if (changed) store.flush();
+      console.log(`${date}: ${rows.length} ad group(s)${changed ? "" : " (unchanged)"}`);
+    }
+  }
+  return summary;
+}
+
+module.exports = { syncAdGroupsForRange, pushDayToHubSpot };
@@ -0,0 +1,166 @@
+// src/campaignDirectory.js
+// HubSpot campaigns by hs_name, cached in campaign-directory.json (or CAMPAIGN_DIRECTORY_PATH):
+//   { "fetchedAt": "<ISO time>", "campaigns": { "<hubspotId>": "<hs_name>" } }
+//
+// The list is loaded in one paginated pass (hs_name comes back with each page)
+// and reused until it is CAMPAIGN_DIRECTORY_TTL_MINUTES old (default 60); one
+// load per process is enough even with a TTL of 0. Campaigns created or deleted
+// through this module are written into the cache straight away. A name missing
+// from a cache read off disk triggers one reload, as another run (or someone in
+// HubSpot) may have created it since.
+//
+// HubSpot answers 409 when a name is taken, and its campaign list can lag behind
+// a create by a few seconds, so ensureCampaign() reloads a few times on a 409.
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { listCampaignsPage, createCampaign } = require('./hubspotClient');
+const { sleep } = require('./throttle');
+
+const DIRECTORY_PATH = path.resolve(process.cwd(), process.env.CAMPAIGN_DIRECTORY_PATH || 'campaign-directory.json');
+const TTL_MS = Number(process.env.CAMPAIGN_DIRECTORY_TTL_MINUTES ?? 60) * 60 * 1000;
+const CONFLICT_RELOADS = 6;
+const CONFLICT_WAIT_MS = 1500; // grows by 500 ms per reload
+
+let cache = null;      // { fetchedAt, campaigns }
+let byName = null;     // hs_name -> [hubspotId], rebuilt when the cache changes
+let loadedNow = false; // this process fetched the list itself
+let loading = null;
+
+function readFile() {
+  try {
+    const d = JSON.parse(fs.readFileSync(DIRECTORY_PATH, 'utf8')) || {};
+    return d.campaigns && d.fetchedAt ? d : null;
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    console.warn(`[HS] Ignoring unreadable ${DIRECTORY_PATH}: ${e.message}`);
+    return null;
+  }
+}
+
+function save() {
+  const tmp = `${DIRECTORY_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cache, null, 2));
+  fs.renameSync(tmp, DIRECTORY_PATH);
+}
+
+function setCache(d) {
+  cache = d;
+  byName = null;
+}
+
+function lookup(name) {
+  if (!byName) {
+    byName = new Map();
+    for (const [id, n] of Object.entries(cache.campaigns)) {
+      if (!byName.has(n)) byName.set(n, []);
+      byName.get(n).push(id);
+    }
+  }
+  const ids = byName.get(name);
+  return ids ? ids[0] : null;
+}
+
+const isFresh = () => !!cache && (loadedNow || Date.now() - Date.parse(cache.fetchedAt) < TTL_MS);
+
+async function fetchAll(hs) {
+  const campaigns = {};
+  let after;
+  do {
+    const page = await listCampaignsPage(hs, { after, properties: ['hs_name'] });
+    for (const c of page.results || []) campaigns[String(c.id)] = c.properties?.hs_name || '';
+    after = page.paging?.next?.after;
+  } while (after);
+  setCache({ fetchedAt: new Date().toISOString(), campaigns });
+  loadedNow = true;
+  save();
+  console.log(`[HS] Campaign directory: ${Object.keys(campaigns).length} campaign(s) loaded`);
+}
+
+/**
+ * The cached directory, fetched from HubSpot when missing, past its TTL or `refresh`.
+ * Concurrent callers share one fetch.
+ * @returns {Promise<{ fetchedAt: string, campaigns: Object<string, string> }>}
+ */
+async function load(hs, { refresh = false } = {}) {
+  if (!cache && !refresh) {
+    const disk = readFile();
+    if (disk) setCache(disk);
+  }
+  if (!refresh && isFresh()) return cache;
+  if (!loading) loading = fetchAll(hs).finally(() => { loading = null; });
+  await loading;
+  return cache;
+}
+
+/** @returns {Promise<Array<{ id: string, name: string }>>} every campaign, in HubSpot's list order */
+async function listCampaigns(hs, opts) {
+  const d = await load(hs, opts);
+  return Object.entries(d.campaigns).map(([id, name]) => ({ id, name }));
+}
+
+/**
+ * HubSpot ID of the campaign named `name` (the first one if several share it), or null.
+ * @returns {Promise<string|null>}
+ */
+async function findCampaignId(hs, name) {
+  await load(hs);
+  const id = lookup(name);
+  if (id || loadedNow) return id;
+  await load(hs, { refresh: true });
+  return lookup(name);
+}
+
+/** Record a campaign created or renamed outside ensureCampaign(). */
+function remember(id, name) {
+  if (!cache) return;
+  cache.campaigns[String(id)] = name;
+  byName = null;
+  save();
+}
+
+/** Drop a deleted campaign from the cache. */
+function forget(id) {
+  if (!cache || !(String(id) in cache.campaigns)) return;
+  delete cache.campaigns[String(id)];
+  byName = null;
+  save();
+}
+
+/**
+ * Campaign named `name`, created (with only hs_name) when it does not exist.
+ * @returns {Promise<{ id: string, created: boolean }>}
+ */
+async function ensureCampaign(hs, name, businessUnitId) {
+  const found = await findCampaignId(hs, name);
+  if (found) return { id: found, created: false };
+
+  try {
+    const c = await createCampaign(hs, name, businessUnitId);
+    remember(c.id, name);
+    return { id: String(c.id), created: true };
+  } catch (e) {
+    if (e.code !== 409) throw e;
+  }
+
+  // The name is taken but the list does not show it yet
+  for (let i = 0; i < CONFLICT_RELOADS; i++) {
+    await sleep(CONFLICT_WAIT_MS + i * 500);
+    await load(hs, { refresh: true });
+    const id = lookup(name);
+    if (id) return { id, created: false };
+  }
+  const err = new Error(`Campaign "${name}" exists in HubSpot (409) but did not show up in the campaign list after ${CONFLICT_RELOADS} reloads`);
+  err.code = 409;
+  throw err;
+}
+
+module.exports = {
+  DIRECTORY_PATH,
+  load,
+  listCampaigns,
+  findCampaignId,
+  ensureCampaign,
+  remember,
+  forget,
+};
@@ -0,0 +1,121 @@
+// src/campaignMap.js
+// campaign-map.json: Microsoft Ads CampaignId -> HubSpot campaign
+//
+//   {
+//     "381506609": { "hubspotId": "dae6ce37-…", "name": "SSAS-BAD-JAN-24", "accountId": "123456789" }
+//   }
+//
+// Keyed by the Bing CampaignId (stable across renames); the Bing name is kept as
+// metadata and refreshed when a rename is seen. Older files were keyed by name
+// ({ "<name>": "<hubspotId>" }) — convert them with migrate-campaign-map.js.
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+const MAP_PATH = path.resolve(process.cwd(), 'campaign-map.json');
+
+function isLegacyMap(map) {
+  return Object.values(map || {}).some(v => typeof v === 'string');
+}
+
+function readMapFile() {
+  if (!fs.existsSync(MAP_PATH)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(MAP_PATH, 'utf8')) || {};
+  } catch (e) {
+    throw new Error(`Failed to read campaign-map.json: ${e.message}`);
+  }
+}
+
+function loadCampaignMap() {
+  const map = readMapFile();
+  if (isLegacyMap(map)) {
+    throw new Error('campaign-map.json is still keyed by campaign name. Run: node migrate-campaign-map.js --from=YYYY-MM-DD --to=YYYY-MM-DD');
+  }
+  return map;
+}
+
+function saveCampaignMap(map) {
+  fs.writeFileSync(MAP_PATH, JSON.stringify(map, null, 2), 'utf8');
+}
+
+function setMapping(map, campaignId, { hubspotId, name, accountId }) {
+  const prev = map[campaignId] || {};
+  map[campaignId] = { ...prev, hubspotId, name: name ?? prev.name ?? '' };
+  if (accountId) map[campaignId].accountId = String(accountId);
+  return map[campaignId];
+}
+
+/** @returns {boolean} whether `campaignId` had an entry */
+function removeMapping(map, campaignId) {
+  if (!(campaignId in map)) return false;
+  delete map[campaignId];
+  return true;
+}
+
+/**
+ * HubSpot campaigns that more than one Bing campaign points at.
+ * @returns {Map<string, string[]>} hubspotId -> Bing CampaignIds
+ */
+function duplicateHubspotIds(map) {
+  const byHubspot = new Map();
+  for (const [campaignId, e] of Object.entries(map)) {
+    if (!e || !e.hubspotId) continue;
+    const id = String(e.hubspotId);
+    if (!byHubspot.has(id)) byHubspot.set(id, []);
+    byHubspot.get(id).push(campaignId);
+  }
+  return new Map(Array.from(byHubspot).filter(([, ids]) => ids.length > 1));
+}
+
+function findByName(map, name) {
+  const hit = Object.entries(map).find(([, e]) => e && e.name === name);
+  return hit ? { campaignId: hit[0], entry: hit[1] } : null;
+}
+
+/**
+ * Look up the HubSpot ID for a Bing report row ({ campaignId, campaignName }).
+ * Falls back to the stored name only when the row carries no CampaignId.
+ * A changed name is logged and written back into `map`, as is the row's AccountId
+ * when the entry has none yet; `changed` tells the caller to save.
+ * @returns {{ hubspotId: string, campaignId: string, accountId: string, renamed: boolean, changed: boolean }|null}
+ */
+function resolveRow(map, row) {
+  const campaignId = String(row.campaignId || '');
+  const name = row.campaignName || row.name || '';
+
+  if (!campaignId) {
+    const hit = name ? findByName(map, name) : null;
+    return hit ? { hubspotId: hit.entry.hubspotId, campaignId: hit.campaignId, accountId: hit.entry.accountId || '', renamed: false, changed: false } : null;
+  }
+
+  const entry = map[campaignId];
+  if (!entry || !entry.hubspotId) return null;
+
+  let renamed = false;
+  if (name && entry.name !== name) {
+    console.log(`[MAP] Bing campaign ${campaignId} renamed: "${entry.name}" -> "${name}"`);
+    entry.previousNames = Array.from(new Set([...(entry.previousNames || []), entry.name].filter(Boolean)));
+    entry.name = name;
+    renamed = true;
+  }
+  let tagged = false;
+  if (row.accountId && !entry.accountId) {
+    entry.accountId = String(row.accountId);
+    tagged = true;
+  }
+  return { hubspotId: entry.hubspotId, campaignId, accountId: entry.accountId || '', renamed, changed: renamed || tagged };
+}
+
+module.exports = {
+  MAP_PATH,
+  isLegacyMap,
+  readMapFile,
+  loadCampaignMap,
+  saveCampaignMap,
+  setMapping,
+  removeMapping,
+  duplicateHubspotIds,
+  findByName,
+  resolveRow,
+};
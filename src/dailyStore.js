@@ -0,0 +1,86 @@
+// src/dailyStore.js
+// Day-keyed local JSON store for report rows below campaign level:
+//   { "YYYY-MM-DD": { "<rowKey>": { ...fields } } }
+//
+// A re-pulled day replaces what was stored for it (Bing restates recent days),
+// so history is one snapshot per day, not an append log.
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { eachDayYMD } = require('./dateRange');
+
+/**
+ * @param {{ file: string, key: string, fields: Object<string,string> }} def
+ *   file   - default filename (relative to cwd)
+ *   key    - row property used as the per-day key (e.g. 'adGroupId')
+ *   fields - stored name -> row property
+ */
+function createDailyStore({ file, key, fields }) {
+  const storePath = path.resolve(process.cwd(), file);
+  let cache = null;
+
+  function load() {
+    if (cache) return cache;
+    try {
+      cache = JSON.parse(fs.readFileSync(storePath, 'utf8')) || {};
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw new Error(`Failed to read ${storePath}: ${e.message}`);
+      cache = {};
+    }
+    return cache;
+  }
+
+  function save() {
+    if (!cache) return;
+    const tmp = `${storePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(cache, null, 2));
+    fs.renameSync(tmp, storePath);
+  }
+
+  /**
+   * Replace one day's rows in memory only; flush() writes them. Lets a caller
+   * keep the file as it was until what it pushes from the new rows succeeded.
+   * @returns {{ rows: number, changed: boolean }}
+   */
+  function setDay(date, rows) {
+    const store = load();
+    const next = {};
+    for (const r of rows) {
+      next[r[key]] = Object.fromEntries(Object.entries(fields).map(([k, src]) => [k, r[src]]));
+    }
+    const changed = JSON.stringify(store[date] || {}) !== JSON.stringify(next);
+    if (rows.length) store[date] = next;
+    else delete store[date];
+    return { rows: rows.length, changed };
+  }
+
+  /**
+   * Replace one day's rows.
+   * @returns {{ rows: number, changed: boolean }}
+   */
+  function saveDay(date, rows) {
+    const r = setDay(date, rows);
+    if (r.changed) save();
+    return r;
+  }
+
+  function getDay(date) {
+    return load()[date] || {};
+  }
+
+  /** Every stored day, oldest first. */
+  function dates() {
+    return Object.keys(load()).sort();
+  }
+
+  /** [date, rowKey, fields] for every stored row in an inclusive range, oldest first. */
+  function* entries(from, to) {
+    for (const d of eachDayYMD(from, to)) {
+      for (const [k, v] of Object.entries(getDay(d))) yield [d, k, v];
+    }
+  }
+
+  return { path: storePath, saveDay, setDay, flush: save, getDay, dates, entries };
+}
+
+module.exports = { createDailyStore };
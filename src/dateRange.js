@@ -0,0 +1,60 @@
+// src/dateRange.js
+// Small YYYY-MM-DD range helpers (UTC calendar days, no external libs)
+'use strict';
+
+function assertYMD(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(s || ''))) {
+    throw new Error(`Invalid date: ${s}. Use YYYY-MM-DD`);
+  }
+}
+
+function addDaysYMD(ymd, n) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Inclusive list of YYYY-MM-DD strings from `from` to `to`.
+ */
+function eachDayYMD(from, to) {
+  assertYMD(from);
+  assertYMD(to);
+  if (to < from) throw new Error(`end date ${to} is before start date ${from}`);
+  const out = [];
+  for (let d = from; d <= to; d = addDaysYMD(d, 1)) out.push(d);
+  return out;
+}
+
+/**
+ * Split an inclusive range into calendar-month chunks:
+ * 2025-01-20..2025-03-05 -> [[01-20, 01-31], [02-01, 02-28], [03-01, 03-05]]
+ */
+function monthChunks(from, to) {
+  const days = eachDayYMD(from, to);
+  const chunks = [];
+  for (const d of days) {
+    const last = chunks[chunks.length - 1];
+    if (last && last[0].slice(0, 7) === d.slice(0, 7)) last[1] = d;
+    else chunks.push([d, d]);
+  }
+  return chunks;
+}
+
+/**
+ * Group arbitrary days into inclusive runs of consecutive days:
+ * [10-01, 10-02, 10-05] -> [[10-01, 10-02], [10-05, 10-05]]
+ */
+function contiguousRanges(days) {
+  const sorted = Array.from(new Set(days)).sort();
+  sorted.forEach(assertYMD);
+  const ranges = [];
+  for (const d of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && addDaysYMD(last[1], 1) === d) last[1] = d;
+    else ranges.push([d, d]);
+  }
+  return ranges;
+}
+
+module.exports = { addDaysYMD, eachDayYMD, monthChunks, contiguousRanges };
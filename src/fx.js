@@ -0,0 +1,181 @@
+// src/fx.js
+// Converts Bing spend from the ad account currency into the HubSpot portal
+// currency using a dated rate table the team maintains (fx-rates.csv or .json).
+//
+// CSV (FX_RATES_PATH, default fx-rates.csv):
+//   date,currency,rate
+//   2025-01-01,USD,0.7912
+//   2025-01-01,EUR,0.8301
+// JSON: { "USD": { "2025-01-01": 0.7912 }, "EUR": { "2025-01-01": 0.8301 } }
+//
+// `rate` is portal-currency units per 1 unit of `currency`. A rate applies from
+// its date until the next dated rate for that currency, for at most
+// FX_RATE_MAX_AGE_DAYS (default 31) — a table that has not been kept up to date
+// fails the run rather than quietly converting at an old rate.
+//
+// HUBSPOT_PORTAL_CURRENCY unset = no conversion (amounts are written as Bing reports them).
+// Currency-valued metric-map properties (entries with "currency", e.g. average CPC)
+// are converted at the same rate (convertRow).
+// With it set, a row without a CurrencyCode (older archived reports, replays
+// without the column) has no rate either, unless MSADS_ACCOUNT_CURRENCY names the
+// currency to assume for such rows.
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const metricMap = require('./metricMap');
+
+const PORTAL_CURRENCY = String(process.env.HUBSPOT_PORTAL_CURRENCY || '').trim().toUpperCase() || null;
+const DEFAULT_CURRENCY = String(process.env.MSADS_ACCOUNT_CURRENCY || '').trim().toUpperCase() || null;
+const MAX_AGE_DAYS = Number(process.env.FX_RATE_MAX_AGE_DAYS ?? 31);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function ratesPath() {
+  if (process.env.FX_RATES_PATH) return path.resolve(process.cwd(), process.env.FX_RATES_PATH);
+  const csv = path.resolve(process.cwd(), 'fx-rates.csv');
+  const json = path.resolve(process.cwd(), 'fx-rates.json');
+  return fs.existsSync(csv) || !fs.existsSync(json) ? csv : json;
+}
+
+function parseCsv(text) {
+  const out = {};
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  const header = (lines.shift() || '').toLowerCase().split(',').map(s => s.trim());
+  const di = header.indexOf('date');
+  const ci = header.indexOf('currency');
+  const ri = header.indexOf('rate');
+  if (di < 0 || ci < 0 || ri < 0) throw new Error('expected a "date,currency,rate" header');
+  for (const line of lines) {
+    const cells = line.split(',').map(s => s.trim());
+    const cur = cells[ci].toUpperCase();
+    (out[cur] = out[cur] || {})[cells[di]] = Number(cells[ri]);
+  }
+  return out;
+}
+
+let cached = null;
+
+/** { CUR: [[date, rate], ...] } sorted oldest first. */
+function loadRates() {
+  if (cached) return cached;
+  const file = ratesPath();
+  let table;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    table = file.endsWith('.json') ? JSON.parse(text) : parseCsv(text);
+  } catch (e) {
+    if (e.code === 'ENOENT') table = {};
+    else throw new Error(`Failed to read FX rates ${file}: ${e.message}`);
+  }
+
+  cached = {};
+  for (const [cur, byDate] of Object.entries(table)) {
+    const list = Object.entries(byDate).map(([d, r]) => [d, Number(r)]);
+    for (const [d, r] of list) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(d) || !(r > 0)) {
+        throw new Error(`FX rates ${file}: bad entry for ${cur} on "${d}" (rate ${r})`);
+      }
+    }
+    cached[cur.toUpperCase()] = list.sort((a, b) => a[0].localeCompare(b[0]));
+  }
+  return cached;
+}
+
+// A row's currency: its CurrencyCode, else MSADS_ACCOUNT_CURRENCY, else null
+const currencyOf = (currency) => String(currency || '').trim().toUpperCase() || DEFAULT_CURRENCY;
+
+/**
+ * Portal-currency units per 1 unit of `currency` on `isoDate`, or null when the
+ * table has no usable rate (or the currency is unknown).
+ */
+function rateFor(currency, isoDate) {
+  const cur = currencyOf(currency);
+  if (!PORTAL_CURRENCY || cur === PORTAL_CURRENCY) return 1;
+  if (!cur) return null;
+  const list = loadRates()[cur] || [];
+  let hit = null;
+  for (const entry of list) {
+    if (entry[0] > isoDate) break;
+    hit = entry;
+  }
+  if (!hit) return null;
+  const ageDays = (Date.parse(isoDate) - Date.parse(hit[0])) / DAY_MS;
+  return ageDays <= MAX_AGE_DAYS ? hit[1] : null;
+}
+
+/**
+ * Throw one error listing every currency/date in `rows` without a rate, so a run
+ * stops before writing anything rather than part-way through.
+ * @param {Array<{ date: string, currencyCode?: string }>} rows
+ */
+function assertRates(rows) {
+  if (!PORTAL_CURRENCY) return;
+  const missing = new Set();
+  for (const r of rows) {
+    if (rateFor(r.currencyCode, r.date) == null) missing.add(`${currencyOf(r.currencyCode) || '(no CurrencyCode)'} ${r.date}`);
+  }
+  if (missing.size) {
+    const list = Array.from(missing).sort();
+    throw new Error(
+      `Missing FX rate(s) to ${PORTAL_CURRENCY} in ${ratesPath()} for: ${list.join(', ')}` +
+      ` (rates older than ${MAX_AGE_DAYS} day(s) are not used)` +
+      (list.some(m => m.startsWith('(no')) ? '; set MSADS_ACCOUNT_CURRENCY for rows without a currency' : '')
+    );
+  }
+}
+
+function missingRateError(what, currency, isoDate) {
+  if (!currency) {
+    return new Error(`${what} for ${isoDate} has no CurrencyCode to convert to ${PORTAL_CURRENCY}; set MSADS_ACCOUNT_CURRENCY to the ad account currency`);
+  }
+  return new Error(`Missing FX rate ${currency} -> ${PORTAL_CURRENCY} for ${isoDate} in ${ratesPath()}`);
+}
+
+/**
+ * Spend converted into the portal currency.
+ * @returns {{ amount: number, currency: string|null, originalAmount: number, originalCurrency: string|null, rate: number }}
+ */
+function convertSpend(amount, currency, isoDate) {
+  const originalAmount = Number(amount || 0);
+  const originalCurrency = currencyOf(currency);
+  const rate = rateFor(originalCurrency, isoDate);
+  if (rate == null) throw missingRateError('Spend', originalCurrency, isoDate);
+  return {
+    amount: Math.round(originalAmount * rate * 100) / 100,
+    currency: PORTAL_CURRENCY || originalCurrency,
+    originalAmount,
+    originalCurrency,
+    rate,
+  };
+}
+
+/**
+ * The report row with its currency-valued metric fields (metricMap.currencyFields)
+ * in the portal currency, at the rate for the row's date and CurrencyCode. Spend is
+ * left as reported (convertSpend handles it). Returns `row` itself when nothing changes.
+ */
+function convertRow(row) {
+  const fields = PORTAL_CURRENCY ? metricMap.currencyFields() : [];
+  if (!fields.length) return row;
+  const rate = rateFor(row.currencyCode, row.date);
+  if (rate == null) throw missingRateError(`Campaign ${row.campaignName || row.campaignId}`, currencyOf(row.currencyCode), row.date);
+  if (rate === 1) return row;
+  const out = { ...row };
+  for (const f of fields) out[f] = Number(row[f] || 0) * rate;
+  return out;
+}
+
+/** Spend item description suffix recording the amount as Bing reported it. */
+function describeOriginal(conv) {
+  const orig = `${conv.originalAmount.toFixed(2)}${conv.originalCurrency ? ' ' + conv.originalCurrency : ''}`;
+  if (conv.rate === 1 || conv.rate == null) return `original ${orig}`;
+  return `original ${orig} @ ${conv.rate} ${conv.currency}/${conv.originalCurrency}`;
+}
+
+module.exports = {
+  PORTAL_CURRENCY,
+  rateFor,
+  assertRates,
+  convertSpend,
+  convertRow,
+  describeOriginal,
+};
@@ -0,0 +1,77 @@
+// src/goalStore.js
+// Local conversions per campaign per conversion goal (goal-conversions.json), one snapshot per day:
+//   { "YYYY-MM-DD": { "<campaignId>|<goalId>": { campaignId, campaignName, goalId, goal, goalType,
+//       conversions, revenue } } }
+//
+// goal-push-pending.json (or GOAL_PENDING_PATH) lists the Bing CampaignIds whose
+// goal totals changed here but have not been written to HubSpot yet:
+//   { "campaignIds": ["<campaignId>", ...] }
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { createDailyStore } = require('./dailyStore');
+
+const PENDING_PATH = path.resolve(process.cwd(), process.env.GOAL_PENDING_PATH || 'goal-push-pending.json');
+
+const store = createDailyStore({
+  file: process.env.GOAL_STORE_PATH || 'goal-conversions.json',
+  key: 'goalKey',
+  fields: {
+    campaignId: 'campaignId',
+    campaignName: 'campaignName',
+    goalId: 'goalId',
+    goal: 'goal',
+    goalType: 'goalType',
+    conversions: 'conversions',
+    revenue: 'revenue',
+  },
+});
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+/**
+ * Totals per campaign and goal over an inclusive range (every stored day when
+ * from/to are omitted).
+ * @param {{ campaign?: string }} opts - Bing CampaignId or campaign name
+ * @returns {Array<{ campaignId, campaignName, goalId, goal, goalType, conversions, revenue }>}
+ */
+function goalTotals(from, to, { campaign } = {}) {
+  const days = store.dates();
+  if (!days.length) return [];
+  const out = new Map();
+  for (const [, key, m] of store.entries(from || days[0], to || days[days.length - 1])) {
+    if (campaign && String(m.campaignId) !== String(campaign) && m.campaignName !== campaign) continue;
+    const cur = out.get(key) || { ...m, conversions: 0, revenue: 0 };
+    Object.assign(cur, { campaignName: m.campaignName, goal: m.goal, goalType: m.goalType });
+    cur.conversions = round(cur.conversions + Number(m.conversions || 0));
+    cur.revenue = round(cur.revenue + Number(m.revenue || 0));
+    out.set(key, cur);
+  }
+  return Array.from(out.values());
+}
+
+/** Bing CampaignIds whose goal totals still have to be written to HubSpot. */
+function pendingCampaigns() {
+  try {
+    return (JSON.parse(fs.readFileSync(PENDING_PATH, 'utf8')) || {}).campaignIds || [];
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw new Error(`Failed to read ${PENDING_PATH}: ${e.message}`);
+    return [];
+  }
+}
+
+function setPendingCampaigns(campaignIds) {
+  const tmp = `${PENDING_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ campaignIds: Array.from(campaignIds).map(String).sort() }, null, 2));
+  fs.renameSync(tmp, PENDING_PATH);
+}
+
+module.exports = {
+  STORE_PATH: store.path,
+  PENDING_PATH,
+  pendingCampaigns,
+  setPendingCampaigns,
+  saveDay: store.saveDay,
+  getDay: store.getDay,
+  goalTotals,
+};
@@ -0,0 +1,153 @@
+// src/goalSync.js
+// Conversions per conversion goal: Bing GoalsAndFunnelsReport -> local store
+// (goal-conversions.json) -> the HubSpot campaign properties listed under "goals"
+// in metric-map.json (see src/metricMap.js).
+//
+// Goal totals are recalculated from every stored day and set (not added), so the
+// store has to hold the campaign's whole history: sync from the same start date
+// as the spend backfill once. Cost per goal conversion divides the campaign's
+// total spend items (hs_spend_items_sum_amount, portal currency) by that total.
+//
+// Campaigns whose stored numbers changed stay on the pending list (goalStore)
+// until their write succeeds, so a failed or quota-stopped push is retried by
+// the next sync whatever range it covers.
+require("dotenv").config();
+const { eachReportForRanges, isFailureStatus } = require("./msadsReport");
+const { monthChunks } = require("./dateRange");
+const { createHubSpotClient, batchGetCampaigns, batchUpdateCampaigns } = require("./hubspotClient");
+const campaignMap = require("./campaignMap");
+const metricMap = require("./metricMap");
+const store = require("./goalStore");
+
+const SPEND_PROP = "hs_spend_items_sum_amount";
+
+// The report can split one campaign/goal/day over several lines (e.g. per account
+// currency); the store keeps one row per goalKey
+function combineRows(rows) {
+  const byKey = new Map();
+  for (const r of rows) {
+    const cur = byKey.get(r.goalKey);
+    if (!cur) { byKey.set(r.goalKey, { ...r }); continue; }
+    cur.conversions += r.conversions;
+    cur.revenue += r.revenue;
+  }
+  return Array.from(byKey.values());
+}
+
+/**
+ * Campaign properties for the configured goals, from stored totals.
+ * @returns {Object} property -> value ("" clears a cost with no conversions)
+ */
+function goalProps(totals, spend) {
+  const props = {};
+  for (const g of metricMap.goalMetrics()) {
+    const conversions = totals
+      .filter(t => metricMap.goalFor(t) === g)
+      .reduce((s, t) => s + Number(t.conversions || 0), 0);
+    if (g.property) props[g.property] = Math.round(conversions * 1e6) / 1e6;
+    if (g.costProperty) props[g.costProperty] = conversions > 0 ? Math.round((spend / conversions) * 100) / 100 : "";
+  }
+  return props;
+}
+
+/**
+ * Write goal totals for the given Bing campaigns (batch read, then batch update).
+ * Properties already holding the value are not rewritten.
+ * @returns {Promise<{ updated: number, unchanged: number, unmapped: number, failed: number, failedIds: string[] }>}
+ *   failedIds: the Bing CampaignIds that were not written
+ */
+async function pushGoalTotals(hs, campaignIds, { map }) {
+  const res = { updated: 0, unchanged: 0, unmapped: 0, failed: 0, failedIds: [] };
+  const goals = metricMap.goalMetrics();
+  const readProps = [SPEND_PROP, ...goals.flatMap(g => [g.property, g.costProperty]).filter(Boolean)];
+
+  const mapped = [];
+  for (const campaignId of campaignIds) {
+    const hubspotId = map[campaignId]?.hubspotId;
+    if (hubspotId) mapped.push({ campaignId, hubspotId: String(hubspotId) });
+    else res.unmapped++;
+  }
+  if (!mapped.length) return res;
+
+  const current = await batchGetCampaigns(hs, mapped.map(m => m.hubspotId), readProps);
+  const updates = [];
+  for (const { campaignId, hubspotId } of mapped) {
+    const props = current.get(hubspotId);
+    if (!props) {
+      res.failed++;
+      res.failedIds.push(campaignId);
+      console.error(`❌ Goal totals for campaign ${campaignId} failed: HubSpot campaign ${hubspotId} not found`);
+      continue;
+    }
+    const next = goalProps(store.goalTotals(null, null, { campaign: campaignId }), Number(props[SPEND_PROP] || 0));
+    const changed = Object.fromEntries(Object.entries(next).filter(([k, v]) => String(props[k] ?? "") !== String(v)));
+    if (!Object.keys(changed).length) { res.unchanged++; continue; }
+    updates.push({ id: hubspotId, properties: changed, campaignId });
+  }
+
+  const r = await batchUpdateCampaigns(hs, updates);
+  const written = new Set(r.updated);
+  const errors = new Map(r.failed.map(f => [f.id, f.message]));
+  for (const u of updates) {
+    if (written.has(u.id)) {
+      res.updated++;
+      console.log(`[HS] Goals ${map[u.campaignId].name || u.campaignId} (${u.id})`, u.properties);
+    } else {
+      res.failed++;
+      res.failedIds.push(u.campaignId);
+      console.error(`❌ Goal totals for campaign ${u.campaignId} failed: ${errors.get(u.id) || "not sent, HubSpot stopped the batch"}`);
+    }
+  }
+  if (r.stopped) throw r.stopped;
+  return res;
+}
+
+/**
+ * Pull goal conversions for an inclusive range (one report per month), store them
+ * and write goal totals for campaigns whose stored numbers changed (all campaigns
+ * in the range with `force`), plus those still pending from an earlier run.
+ * @param {{ hubspot?: boolean, dryRun?: boolean, force?: boolean }} opts - hubspot
+ *   defaults to "metric-map.json lists goals"
+ */
+async function syncGoalsForRange(from, to, { hubspot = metricMap.goalMetrics().length > 0, dryRun = false, force = false } = {}) {
+  const summary = { days: 0, rows: 0, changedDays: 0, updated: 0, unchanged: 0, unmapped: 0, failed: 0, failedDays: [] };
+  const touched = new Set();
+
+  for await (const { result, error } of eachReportForRanges("goal", monthChunks(from, to))) {
+    if (error) throw error;
+    const { byDay, statusByDay } = result;
+    for (const [date, dayRows] of Object.entries(byDay)) {
+      if (isFailureStatus(statusByDay[date])) { // keep the stored snapshot
+        summary.failedDays.push(date);
+        console.error(`${date}: ${statusByDay[date]} (skipped)`);
+        continue;
+      }
+      const rows = combineRows(dayRows);
+      summary.days++;
+      summary.rows += rows.length;
+      if (dryRun) {
+        console.log(`[DRY] ${date}: ${rows.length} campaign goal row(s)`);
+        continue;
+      }
+      const before = Object.values(store.getDay(date));
+      const { changed } = store.saveDay(date, rows);
+      if (changed) summary.changedDays++;
+      // campaigns that lost a goal row count as changed too
+      for (const r of changed || force ? [...before, ...rows] : []) touched.add(String(r.campaignId));
+      console.log(`${date}: ${rows.length} campaign goal row(s)${changed ? "" : " (unchanged)"}`);
+    }
+  }
+
+  if (dryRun) return summary;
+  const pending = new Set([...store.pendingCampaigns(), ...touched]);
+  if (touched.size) store.setPendingCampaigns(pending); // before the push, in case it never returns
+  if (hubspot && pending.size) {
+    if (!metricMap.goalMetrics().length) throw new Error(`No "goals" configured in ${metricMap.MAP_PATH}`);
+    const { failedIds, ...r } = await pushGoalTotals(createHubSpotClient(), pending, { map: campaignMap.loadCampaignMap() });
+    store.setPendingCampaigns(failedIds);
+    Object.assign(summary, r);
+  }
+  return summary;
+}
+
+module.exports = { syncGoalsForRange, pushGoalTotals, goalProps };
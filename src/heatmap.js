@@ -0,0 +1,83 @@
+// src/heatmap.js
+// Renders hourlyStore.heatmap() grids (weekday x hour of day) as CSV or a
+// self-contained HTML page. Besides the stored metrics, "cpa" (spend per
+// conversion) and "convRate" (conversions per click, %) can be shown.
+'use strict';
+const { WEEKDAYS } = require('./hourlyStore');
+
+const DERIVED = {
+  cpa: (c) => (c.conversions ? c.spend / c.conversions : null),
+  convRate: (c) => (c.clicks ? (c.conversions / c.clicks) * 100 : null),
+};
+const LABELS = { spend: 'Spend', clicks: 'Clicks', impressions: 'Impressions', conversions: 'Conversions', cpa: 'Cost per conversion', convRate: 'Conversion rate %' };
+const METRIC_NAMES = Object.keys(LABELS);
+
+function cellValue(cell, metric) {
+  const v = DERIVED[metric] ? DERIVED[metric](cell) : cell[metric];
+  return v == null ? null : Math.round(v * 100) / 100;
+}
+
+const csvCell = (v) => (/[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+const hours = Array.from({ length: 24 }, (_, h) => h);
+
+/** One line per campaign x metric x weekday, hours 0-23 as columns. */
+function toCsv(maps, metrics) {
+  const lines = [['campaignId', 'campaignName', 'metric', 'weekday', ...hours.map(h => `h${String(h).padStart(2, '0')}`)].join(',')];
+  for (const m of maps) {
+    for (const metric of metrics) {
+      m.grid.forEach((row, wd) => {
+        const values = row.map(c => cellValue(c, metric) ?? '');
+        lines.push([m.campaignId, m.campaignName, metric, WEEKDAYS[wd], ...values].map(csvCell).join(','));
+      });
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+const esc = (s) => String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+// Darker = more; for cpa darker = cheaper, since that is the hour worth bidding up
+function shade(v, min, max, invert) {
+  if (v == null || max === min) return v == null ? '#f4f4f4' : 'rgba(33,113,181,0.35)';
+  let t = (v - min) / (max - min);
+  if (invert) t = 1 - t;
+  return `rgba(33,113,181,${(0.08 + t * 0.85).toFixed(2)})`;
+}
+
+function htmlTable(m, metric) {
+  const values = m.grid.flat().map(c => cellValue(c, metric)).filter(v => v != null);
+  const min = Math.min(...values), max = Math.max(...values);
+  const head = `<tr><th></th>${hours.map(h => `<th>${h}</th>`).join('')}</tr>`;
+  const body = m.grid.map((row, wd) => {
+    const cells = row.map(c => {
+      const v = cellValue(c, metric);
+      return `<td style="background:${shade(v, min, max, metric === 'cpa')}">${v == null ? '' : v}</td>`;
+    }).join('');
+    return `<tr><th>${WEEKDAYS[wd]}</th>${cells}</tr>`;
+  }).join('\n');
+  return `<h3>${esc(LABELS[metric])}</h3>\n<table>\n${head}\n${body}\n</table>`;
+}
+
+/** HTML page: one section per campaign, one table per metric. */
+function toHtml(maps, metrics, { from, to } = {}) {
+  const sections = maps.map(m => {
+    const currency = m.currencies.length ? ` · spend in ${esc(m.currencies.join(', '))}` : '';
+    return `<section>\n<h2>${esc(m.campaignName)} <small>[${esc(m.campaignId)}] · ${m.days} day(s)${currency}</small></h2>\n` +
+      metrics.map(metric => htmlTable(m, metric)).join('\n') + '\n</section>';
+  }).join('\n');
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Bing dayparting ${esc(from || '')} – ${esc(to || '')}</title>
+<style>
+body { font-family: sans-serif; margin: 1.5em; }
+table { border-collapse: collapse; margin-bottom: 1em; font-size: 12px; }
+th, td { border: 1px solid #ddd; padding: 3px 5px; text-align: right; min-width: 2.2em; }
+small { color: #666; font-weight: normal; }
+</style></head><body>
+<h1>Dayparting ${esc(from || '')} – ${esc(to || '')}</h1>
+<p>Hour of day in the account time zone.</p>
+${sections}
+</body></html>
+`;
+}
+
+module.exports = { METRIC_NAMES, toCsv, toHtml };
@@ -0,0 +1,73 @@
+// src/hourlyStore.js
+// Local campaign metrics per hour of day (hourly-metrics.json), one snapshot per day:
+//   { "YYYY-MM-DD": { "<campaignId>|<hour>": { campaignId, campaignName, accountId, currencyCode,
+//       hour, clicks, impressions, conversions, spend } } }
+// Dates and hours are in each account's time zone, as Bing reports them.
+'use strict';
+const { createDailyStore } = require('./dailyStore');
+
+const store = createDailyStore({
+  file: process.env.HOURLY_STORE_PATH || 'hourly-metrics.json',
+  key: 'hourKey',
+  fields: {
+    campaignId: 'campaignId',
+    campaignName: 'campaignName',
+    accountId: 'accountId',
+    currencyCode: 'currencyCode',
+    hour: 'hour',
+    clicks: 'clicks',
+    impressions: 'impressions',
+    conversions: 'conversions',
+    spend: 'spend',
+  },
+});
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const METRICS = ['spend', 'clicks', 'impressions', 'conversions'];
+
+// 0 = Monday … 6 = Sunday for a YYYY-MM-DD date
+const weekdayOf = (ymd) => (new Date(`${ymd}T00:00:00Z`).getUTCDay() + 6) % 7;
+
+const emptyGrid = () => WEEKDAYS.map(() => Array.from({ length: 24 }, () => ({ spend: 0, clicks: 0, impressions: 0, conversions: 0 })));
+
+/**
+ * Hour-by-weekday totals per campaign over an inclusive range.
+ * @param {{ campaign?: string, combined?: boolean }} opts - campaign: Bing CampaignId or
+ *   name; combined: one grid for all campaigns
+ * @returns {Array<{ campaignId, campaignName, currencies: string[], days: number,
+ *   grid: Array<Array<{ spend, clicks, impressions, conversions }>> }>} grid[weekday][hour]
+ */
+function heatmap(from, to, { campaign, combined = false } = {}) {
+  const out = new Map();
+  const daysSeen = new Map();
+  for (const [date, , m] of store.entries(from, to)) {
+    if (campaign && String(m.campaignId) !== String(campaign) && m.campaignName !== campaign) continue;
+    const id = combined ? '*' : String(m.campaignId);
+    const cur = out.get(id) || {
+      campaignId: combined ? '*' : id,
+      campaignName: combined ? 'All campaigns' : m.campaignName,
+      currencies: new Set(),
+      grid: emptyGrid(),
+    };
+    if (!combined) cur.campaignName = m.campaignName;
+    if (m.currencyCode) cur.currencies.add(m.currencyCode);
+    const cell = cur.grid[weekdayOf(date)][Number(m.hour)];
+    for (const k of METRICS) cell[k] += Number(m[k] || 0);
+    out.set(id, cur);
+    if (!daysSeen.has(id)) daysSeen.set(id, new Set());
+    daysSeen.get(id).add(date);
+  }
+  return Array.from(out.values()).map(h => {
+    for (const row of h.grid) for (const cell of row) cell.spend = Math.round(cell.spend * 100) / 100;
+    return { ...h, currencies: Array.from(h.currencies), days: daysSeen.get(h.campaignId).size };
+  });
+}
+
+module.exports = {
+  STORE_PATH: store.path,
+  WEEKDAYS,
+  METRICS,
+  saveDay: store.saveDay,
+  getDay: store.getDay,
+  heatmap,
+};
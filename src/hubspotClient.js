@@ -1,41 +1,44 @@
 require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
-const axios = require('axios');
+const hubspotHttp = require('./hubspotHttp');
+const ledger = require('./totalsLedger');
+const campaignMap = require('./campaignMap');
+const metricMap = require('./metricMap');
 
-const HUBSPOT_BASE = 'https://api.hubapi.com';
+const HUBSPOT_BASE = hubspotHttp.HUBSPOT_BASE;
 const HS_TOKEN = process.env.HUBSPOT_PRIVATE_APP_TOKEN;
 
-// ---- property names (from .env) ----
-const HSPROP_TOTAL_SPEND       = process.env.HSPROP_TOTAL_SPEND       || 'hs_spend_items_sum_amount';
-const HSPROP_TOTAL_CLICKS      = process.env.HSPROP_TOTAL_CLICKS      || 'bing_click_total';
-const HSPROP_TOTAL_IMPRESSIONS = process.env.HSPROP_TOTAL_IMPRESSIONS || 'bing_impression_total';
-const HSPROP_TOTAL_CONVERSIONS = process.env.HSPROP_TOTAL_CONVERSIONS || 'bing_conversion_total';
-const HSPROP_LAST_AVG_CPC      = process.env.HSPROP_LAST_AVG_CPC      || 'avg_cpc_last';
-const HSPROP_LAST_CPL          = process.env.HSPROP_LAST_CPL          || 'cpl_last';
-const HSPROP_LAST_STATUS       = process.env.HSPROP_LAST_STATUS       || 'bing_last_status';
+// ---- property names: metrics come from metric-map (src/metricMap.js) ----
 const HSPROP_LAST_BING_DATE    = process.env.HSPROP_LAST_BING_DATE    || 'bing_last_processed';
 
-console.log('[HS] Totals props:', {
-  clicks: HSPROP_TOTAL_CLICKS,
-  imps:   HSPROP_TOTAL_IMPRESSIONS,
-  convs:  HSPROP_TOTAL_CONVERSIONS
-});
-console.log('[HS] Last props:', {
-  status:   HSPROP_LAST_STATUS,
-  lastDate: HSPROP_LAST_BING_DATE,
-  lastAvgCpc: HSPROP_LAST_AVG_CPC,
-  lastCpl:    HSPROP_LAST_CPL
-});
-
-function authHeaders() {
+console.log('[HS] Metric props:', Object.fromEntries(metricMap.mappedMetrics().map(e => [e.field, e.property + ' (' + e.aggregate + ')'])));
+console.log('[HS] Last processed prop:', HSPROP_LAST_BING_DATE);
+
+const CAMPAIGNS_PATH = '/marketing/v3/campaigns';
+const BATCH_LIMIT = 50; // inputs per Marketing Campaigns batch request
+
+// properties read back by getCampaign()/getTotals() unless the caller asks for others
+const DEFAULT_READ_PROPS = [
+  'hs_name',
+  ...metricMap.mappedMetrics().map(e => e.property),
+  HSPROP_LAST_BING_DATE
+].filter(Boolean);
+
+function authHeaders(token) {
   return {
-    Authorization: 'Bearer ' + HS_TOKEN,
+    Authorization: 'Bearer ' + (token || HS_TOKEN),
     'Content-Type': 'application/json',
     Accept: 'application/json',
   };
 }
 
+// Error carrying the HubSpot response, so callers can log e.response.status/data
+function hsError(what, r) {
+  const err = new Error(what + ' failed (' + r.status + ') ' + JSON.stringify(r.data));
+  err.response = r;
+  err.code = r.status;
+  return err;
+}
+
 function toEpochMillis(isoYmd) {
   const d = new Date(isoYmd.length === 10 ? isoYmd + 'T00:00:00Z' : isoYmd);
   return d.getTime();
@@ -47,76 +50,234 @@ function toNum(v) {
   return Number.isFinite(n) ? n : 0;
 }
 
-/* ------------------ name -> marketing ID map ------------------ */
+/* ------------------ Bing CampaignId -> marketing ID map ------------------ */
+
+/**
+ * HubSpot campaign ID for a Bing report row, looked up by its CampaignId.
+ * A rename in Microsoft Ads is logged and the stored name updated.
+ */
+function ensureCampaignIdForRow(row) {
+  const map = campaignMap.loadCampaignMap();
+  const hit = campaignMap.resolveRow(map, row);
+  if (!hit) {
+    throw new Error('Campaign ' + (row.campaignId || '?') + ' "' + (row.campaignName || '') + '" not found in campaign-map.json');
+  }
+  if (hit.changed) campaignMap.saveCampaignMap(map);
+  return hit.hubspotId;
+}
 
-const MAP_PATH = path.resolve(process.cwd(), 'campaign-map.json');
+/* ------------------ HTTP client ------------------ */
+
+/**
+ * Axios instance bound to the HubSpot API with private-app auth, rate limited and
+ * retried by src/hubspotHttp.js. Plain calls (hs.get('/marketing/v3/campaigns?limit=1'))
+ * throw on non-2xx as usual; the helpers below inspect statuses themselves.
+ */
+function createHubSpotClient(token) {
+  const t = token || HS_TOKEN;
+  if (!t) throw new Error('Missing HUBSPOT_PRIVATE_APP_TOKEN in environment');
+  return hubspotHttp.create({
+    baseURL: HUBSPOT_BASE,
+    headers: authHeaders(t),
+    timeout: 30000,
+  });
+}
 
-function loadNameToIdMap() {
-  const raw = fs.readFileSync(MAP_PATH, 'utf8');
-  return JSON.parse(raw) || {};
+let sharedClient = null;
+function defaultClient() {
+  if (!sharedClient) sharedClient = createHubSpotClient();
+  return sharedClient;
 }
 
-function ensureCampaignIdForName(name) {
-  const map = loadNameToIdMap();
-  const id = map[name];
-  if (!id) {
-    throw new Error('Campaign "' + name + '" not found in campaign-map.json');
-  }
-  return id;
+function campaignPath(id, suffix) {
+  return CAMPAIGNS_PATH + '/' + encodeURIComponent(id) + (suffix || '');
 }
 
 /* ------------------ Marketing campaign helpers ------------------ */
 
-function buildCampaignUrlWithProps(id) {
-  const props = [
-    HSPROP_TOTAL_CLICKS,
-    HSPROP_TOTAL_IMPRESSIONS,
-    HSPROP_TOTAL_CONVERSIONS,
-    HSPROP_LAST_STATUS,
-    HSPROP_LAST_BING_DATE
-  ].filter(Boolean);
-  const qs = props.length
-    ? '?properties=' + props.map(encodeURIComponent).join(',')
-    : '';
-  return HUBSPOT_BASE + '/marketing/v3/campaigns/' + encodeURIComponent(id) + qs;
-}
-
-async function getCampaignById(id) {
-  const url = buildCampaignUrlWithProps(id);
-  const r = await axios.get(url, {
-    headers: authHeaders(),
-    validateStatus: () => true
-  });
-  if (r.status !== 200) {
-    throw new Error('Get campaign failed (' + r.status + ') ' + JSON.stringify(r.data));
+async function listCampaignsPage(hs, opts) {
+  opts = opts || {};
+  const params = {
+    limit: Math.max(1, Math.min(100, opts.limit || 100)),
+    properties: (opts.properties || ['hs_name']).join(','),
+  };
+  if (opts.after) params.after = String(opts.after);
+  const r = await hs.get(CAMPAIGNS_PATH, { params: params, validateStatus: () => true });
+  if (r.status !== 200) throw hsError('List campaigns', r);
+  return r.data; // { results: [{ id, properties }], paging?.next?.after }
+}
+
+/**
+ * First campaign whose hs_name equals `name`, or null.
+ * @returns {Promise<{ id: string, properties: Object }|null>}
+ */
+async function findCampaignByName(hs, name) {
+  let after;
+  for (;;) {
+    const page = await listCampaignsPage(hs, { after: after });
+    const found = (page.results || []).find(c => (c.properties && c.properties.hs_name) === name);
+    if (found) return found;
+    after = page.paging && page.paging.next && page.paging.next.after;
+    if (!after) return null;
   }
+}
+
+/**
+ * Create a campaign with only hs_name set (HubSpot rejects writes to hs_campaign_status).
+ * A 409 means the name is taken: the error carries code 409 so callers can look it up.
+ */
+async function createCampaign(hs, name, businessUnitId) {
+  const body = { properties: { hs_name: name } };
+  if (businessUnitId) body.businessUnits = [{ id: Number(businessUnitId) }];
+  const r = await hs.post(CAMPAIGNS_PATH, body, { validateStatus: () => true });
+  if (r.status === 201 || r.status === 200) return r.data;
+  throw hsError('Create campaign "' + name + '"', r);
+}
+
+/** Raw campaign record ({ id, properties, ... }). */
+async function getCampaignRecord(hs, id, properties) {
+  const props = properties || DEFAULT_READ_PROPS;
+  const r = await hs.get(campaignPath(id), {
+    params: props.length ? { properties: props.join(',') } : undefined,
+    validateStatus: () => true,
+  });
+  if (r.status !== 200) throw hsError('Get campaign ' + id, r);
   return r.data;
 }
 
-async function patchCampaignProperties(campaignId, props) {
-  const r = await axios.patch(
-    HUBSPOT_BASE + '/marketing/v3/campaigns/' + encodeURIComponent(campaignId),
-    { properties: props },
-    { headers: authHeaders(), validateStatus: () => true }
-  );
-  if (r.status !== 200) {
-    throw new Error('PATCH ' + campaignId + ' failed (' + r.status + ') ' + JSON.stringify(r.data));
-  }
+/**
+ * Campaign properties as a flat object (current['bing_click_total'] etc.).
+ */
+async function getCampaign(hs, id, properties) {
+  const data = await getCampaignRecord(hs, id, properties);
+  return (data && data.properties) || {};
+}
+
+async function updateCampaign(hs, id, props) {
+  const r = await hs.patch(campaignPath(id), { properties: props }, { validateStatus: () => true });
+  if (r.status !== 200) throw hsError('PATCH ' + id, r);
   return r.data;
 }
 
+/* ------------------ Batch campaign reads/writes ------------------ */
+
+/**
+ * Properties of many campaigns, 50 per request.
+ * @returns {Promise<Map<string, Object>>} id -> properties; campaigns HubSpot did not return are absent
+ */
+async function batchGetCampaigns(hs, ids, properties) {
+  const props = properties || DEFAULT_READ_PROPS;
+  const unique = Array.from(new Set(Array.from(ids, String)));
+  const out = new Map();
+  for (let i = 0; i < unique.length; i += BATCH_LIMIT) {
+    const inputs = unique.slice(i, i + BATCH_LIMIT).map(id => ({ id: id }));
+    const r = await hs.post(CAMPAIGNS_PATH + '/batch/read', { inputs: inputs }, {
+      params: props.length ? { properties: props.join(',') } : undefined,
+      validateStatus: () => true,
+    });
+    if (r.status !== 200 && r.status !== 207) throw hsError('Batch read campaigns', r);
+    ((r.data && r.data.results) || []).forEach(c => out.set(String(c.id), c.properties || {}));
+  }
+  return out;
+}
+
+/**
+ * Set properties on many campaigns, 50 per request. Never throws part-way, so
+ * callers can record what was written: campaigns HubSpot rejected (in a 207, or
+ * with their whole request) are listed in `failed`.
+ * @param {Array<{ id: string, properties: Object }>} updates
+ * @returns {Promise<{ updated: string[], failed: Array<{ id: string, message: string }>, stopped: Error|null }>}
+ *   stopped = the daily quota ran out (hubspotHttp.isQuotaError); the campaigns not sent are in `failed`
+ */
+async function batchUpdateCampaigns(hs, updates) {
+  const res = { updated: [], failed: [], stopped: null };
+  for (let i = 0; i < updates.length; i += BATCH_LIMIT) {
+    const inputs = updates.slice(i, i + BATCH_LIMIT).map(u => ({ id: String(u.id), properties: u.properties }));
+    let r;
+    try {
+      if (res.stopped) throw res.stopped;
+      r = await hs.post(CAMPAIGNS_PATH + '/batch/update', { inputs: inputs }, { validateStatus: () => true });
+      if (r.status !== 200 && r.status !== 207) throw hsError('Batch update campaigns', r);
+    } catch (e) {
+      if (hubspotHttp.isQuotaError(e)) res.stopped = e;
+      inputs.forEach(u => res.failed.push({ id: u.id, message: e.message }));
+      continue;
+    }
+    const ok = new Set(((r.data && r.data.results) || []).map(c => String(c.id)));
+    const errors = (r.data && r.data.errors) || [];
+    for (const u of inputs) {
+      if (ok.has(u.id)) { res.updated.push(u.id); continue; }
+      const err = errors.find(e => JSON.stringify(e.context || {}).includes('"' + u.id + '"')) || errors[0];
+      res.failed.push({ id: u.id, message: err ? err.message : 'missing from the batch response' });
+    }
+  }
+  return res;
+}
+
+async function patchCampaignProperties(campaignId, props) {
+  return updateCampaign(defaultClient(), campaignId, props);
+}
+
 async function getTotals(campaignId) {
-  const data = await getCampaignById(campaignId);
-  const p = (data && data.properties) || {};
+  const p = await getCampaign(defaultClient(), campaignId);
   return {
-    clicks: toNum(p[HSPROP_TOTAL_CLICKS]),
-    imps:   toNum(p[HSPROP_TOTAL_IMPRESSIONS]),
-    convs:  toNum(p[HSPROP_TOTAL_CONVERSIONS]),
+    clicks: toNum(p[metricMap.propertyFor('clicks')]),
+    imps:   toNum(p[metricMap.propertyFor('impressions')]),
+    convs:  toNum(p[metricMap.propertyFor('conversions')]),
   };
 }
 
 /* ------------------ Spend items ------------------ */
 
+async function listSpendItems(hs, campaignId) {
+  const r = await hs.get(campaignPath(campaignId, '/budget/totals'), { validateStatus: () => true });
+  if (r.status !== 200) throw hsError('List spend items for ' + campaignId, r);
+  return (r.data && r.data.spendItems) || [];
+}
+
+/**
+ * Create-or-update one spend item on a campaign.
+ * The existing item is matched by name only (order is just the date, shared with
+ * other sources' and hand-entered items) and only rewritten when its amount
+ * differs — e.g. Bing restating a day's spend.
+ * @param {Object} item - { name, amount, description?, order? }
+ * @returns {Promise<{ action: 'created'|'updated'|'unchanged', id: string, previousAmount: number|null, delta: number }>}
+ */
+async function ensureDailySpendItem(hs, campaignId, item) {
+  const amount = Number(item.amount);
+  const existing = (await listSpendItems(hs, campaignId)).find(s => s.name === item.name);
+
+  if (!existing) {
+    const body = { name: item.name, amount: amount, description: item.description || '' };
+    if (item.order != null) body.order = item.order;
+    if (item.date != null) body.date = item.date;
+    const r = await hs.post(campaignPath(campaignId, '/spend'), body, { validateStatus: () => true });
+    if (r.status !== 201 && r.status !== 200) throw hsError('Create spend item "' + item.name + '"', r);
+    return { action: 'created', id: r.data && r.data.id, previousAmount: null, delta: amount };
+  }
+
+  const previousAmount = toNum(existing.amount);
+  if (Math.abs(previousAmount - amount) < 0.005) {
+    return { action: 'unchanged', id: existing.id, previousAmount: previousAmount, delta: 0 };
+  }
+
+  const body = {
+    name: item.name,
+    amount: amount,
+    order: item.order != null ? item.order : existing.order,
+    description: item.description != null ? item.description : (existing.description || ''),
+  };
+  if (item.date != null) body.date = item.date;
+  const r = await hs.put(campaignPath(campaignId, '/spend/' + encodeURIComponent(existing.id)), body, { validateStatus: () => true });
+  if (r.status !== 200) throw hsError('Update spend item "' + item.name + '"', r);
+  return { action: 'updated', id: existing.id, previousAmount: previousAmount, delta: Math.round((amount - previousAmount) * 100) / 100 };
+}
+
+/**
+ * Daily spend item for campaign/date/source ("Bing 2025-10-27", order 20251027).
+ * Upsert: an existing item with a different amount is corrected in place.
+ * @returns {Promise<{ action: 'created'|'updated'|'unchanged', id: string, previousAmount: number|null, delta: number }>}
+ */
 async function createSpendItem(campaignId, opts) {
   const isoDate = opts.isoDate;
   const amountMajor = opts.amountMajor;
@@ -124,67 +285,136 @@ async function createSpendItem(campaignId, opts) {
 
   const order = Number(new Date(isoDate).toISOString().slice(0, 10).replace(/-/g, ''));
 
-  const body = {
+  return ensureDailySpendItem(defaultClient(), campaignId, {
     name: source + ' ' + isoDate,
     amount: Number(amountMajor),
     order: order,
     date: toEpochMillis(isoDate),
-  };
-
-  const r = await axios.post(
-    HUBSPOT_BASE + '/marketing/v3/campaigns/' + encodeURIComponent(campaignId) + '/spend',
-    body,
-    { headers: authHeaders(), validateStatus: () => true }
-  );
+    description: opts.description,
+  });
+}
 
-  if (r.status === 201 || r.status === 409) {
-    return r.data; // 201 created, 409 already existed
+/* ------------------ CRM objects (custom object records) ------------------ */
+
+/**
+ * Create-or-update records of any CRM object type by a unique property.
+ * @param {Array<{ id: string, properties: Object }>} records - id = value of `idProperty`
+ * @returns {Promise<Array<{ id: string, properties: Object, new?: boolean }>>} HubSpot records
+ */
+async function batchUpsertObjects(hs, objectType, idProperty, records) {
+  const out = [];
+  for (let i = 0; i < records.length; i += 100) {
+    const inputs = records.slice(i, i + 100).map(r => ({ idProperty: idProperty, id: String(r.id), properties: r.properties }));
+    const r = await hs.post('/crm/v3/objects/' + encodeURIComponent(objectType) + '/batch/upsert', { inputs: inputs }, { validateStatus: () => true });
+    if (r.status !== 200 && r.status !== 201 && r.status !== 207) throw hsError('Upsert ' + objectType + ' records', r);
+    out.push.apply(out, (r.data && r.data.results) || []);
   }
-
-  throw new Error('Create spend item failed (' + r.status + ') ' + JSON.stringify(r.data));
+  return out;
 }
 
-/* ------------------ Totals (additive) ------------------ */
-
-async function addTotalsDelta(campaignId, metrics, dateISO) {
-  const clicks = metrics.clicks || 0;
-  const impressions = metrics.impressions || 0;
-  const conversions = metrics.conversions || 0;
-
-  const current = await getTotals(campaignId);
-
-  const next = {};
-  next[HSPROP_TOTAL_CLICKS]      = toNum(current.clicks) + toNum(clicks);
-  next[HSPROP_TOTAL_IMPRESSIONS] = toNum(current.imps)   + toNum(impressions);
-  next[HSPROP_TOTAL_CONVERSIONS] = toNum(current.convs)  + toNum(conversions);
+/**
+ * Default (unlabelled) association between two records. Needs the association
+ * to be defined between the two object types in HubSpot.
+ */
+async function associateDefault(hs, fromType, fromId, toType, toId) {
+  const url = '/crm/v4/objects/' + encodeURIComponent(fromType) + '/' + encodeURIComponent(fromId) +
+    '/associations/default/' + encodeURIComponent(toType) + '/' + encodeURIComponent(toId);
+  const r = await hs.put(url, undefined, { validateStatus: () => true });
+  if (r.status !== 200 && r.status !== 201) throw hsError('Associate ' + fromType + ' ' + fromId + ' -> ' + toType + ' ' + toId, r);
+  return r.data;
+}
 
-  if (HSPROP_LAST_STATUS)    next[HSPROP_LAST_STATUS]    = 'OK';
-  if (HSPROP_LAST_BING_DATE) next[HSPROP_LAST_BING_DATE] = toEpochMillis(dateISO);
+/* ------------------ Totals (additive, via ledger) ------------------ */
+
+/**
+ * Bring the campaign's metric properties in line with one day's report row.
+ * The ledger remembers what was already added for campaign/date/source, so only
+ * the difference is written (nothing at all when the day is unchanged).
+ * @returns {Promise<{ changed: boolean, delta: Object, previous: Object|null }>}
+ */
+async function addTotalsDelta(campaignId, metrics, dateISO, source) {
+  return ledger.applyDailyMetrics(campaignId, dateISO, source || 'bing', metrics, async (delta, previous, history) => {
+    const current = await getCampaign(defaultClient(), campaignId);
+    if (ledger.unseeded(campaignId, current)) throw ledger.unseededError(campaignId);
+
+    // `metrics` is the day's report row; metric-map decides what is written and how
+    const next = metricMap.buildCampaignProps({ current: current, delta: delta, day: metrics, history: history, date: dateISO });
+    if (HSPROP_LAST_BING_DATE && metricMap.isLatestDay(dateISO, history)) next[HSPROP_LAST_BING_DATE] = toEpochMillis(dateISO);
+
+    console.log('[HS] ADD totals (marketing)', {
+      id: campaignId,
+      date: dateISO,
+      applied: previous,
+      add: delta,
+      write: next,
+    });
+
+    await patchCampaignProperties(campaignId, next);
+  });
+}
 
-  console.log('[HS] ADD totals (marketing)', {
-    id: campaignId,
-    prev: { clicks: current.clicks, imps: current.imps, convs: current.convs },
-    add:  { clicks: toNum(clicks),   imps: toNum(impressions), convs: toNum(conversions) },
-    write: {
-      clicks: next[HSPROP_TOTAL_CLICKS],
-      imps:   next[HSPROP_TOTAL_IMPRESSIONS],
-      convs:  next[HSPROP_TOTAL_CONVERSIONS],
+/**
+ * addTotalsDelta for every campaign of one day in two batched requests: one read
+ * of the campaigns whose figures changed and one update. The ledger records only
+ * the campaigns HubSpot accepted; the others come back with written: false.
+ * @param {Array<{ campaignId: string, metrics: Object }>} entries - metrics = the day's report row
+ * @returns {Promise<Map<string, { changed: boolean, delta: Object, previous: Object|null, written: boolean }>>}
+ */
+async function addTotalsForDay(entries, dateISO, source) {
+  const hs = defaultClient();
+  let stopped = null;
+  const results = await ledger.applyDailyMetricsBatch(dateISO, source || 'bing', entries, async (changes) => {
+    const current = await batchGetCampaigns(hs, changes.map(c => c.campaignId));
+    const updates = [];
+    for (const c of changes) {
+      if (!current.has(c.campaignId)) {
+        console.error('[HS] Campaign ' + c.campaignId + ' not found; totals for ' + dateISO + ' not written');
+        continue;
+      }
+      if (ledger.unseeded(c.campaignId, current.get(c.campaignId))) {
+        console.error('[HS] ' + ledger.unseededError(c.campaignId).message + '; totals for ' + dateISO + ' not written');
+        continue;
+      }
+      const next = metricMap.buildCampaignProps({ current: current.get(c.campaignId), delta: c.delta, day: c.metrics, history: c.history, date: dateISO });
+      if (HSPROP_LAST_BING_DATE && metricMap.isLatestDay(dateISO, c.history)) next[HSPROP_LAST_BING_DATE] = toEpochMillis(dateISO);
+      console.log('[HS] ADD totals (marketing)', { id: c.campaignId, date: dateISO, applied: c.previous, add: c.delta, write: next });
+      updates.push({ id: c.campaignId, properties: next });
     }
+    const r = await batchUpdateCampaigns(hs, updates);
+    r.failed.forEach(f => console.error('[HS] Totals for ' + f.id + ' on ' + dateISO + ' rejected: ' + f.message));
+    stopped = r.stopped;
+    return r.updated;
   });
-
-  await patchCampaignProperties(campaignId, next);
-  return true;
+  if (stopped) throw stopped; // after the ledger recorded what did go through
+  return results;
 }
 
 /* ------------------ Factory ------------------ */
 
+// Backfill path: campaign-map based, bound to the shared client.
 function getHubspotClient() {
   return {
-    ensureCampaignIdForName,
+    ensureCampaignIdForRow,
     createSpendItem,
     addTotalsDelta,
+    addTotalsForDay,
     getTotals,
   };
 }
 
-module.exports = { getHubspotClient };
\ No newline at end of file
+module.exports = {
+  getHubspotClient,
+  // Sync path: explicit client as first argument
+  createHubSpotClient,
+  listCampaignsPage,
+  findCampaignByName,
+  createCampaign,
+  getCampaign,
+  updateCampaign,
+  batchGetCampaigns,
+  batchUpdateCampaigns,
+  listSpendItems,
+  ensureDailySpendItem,
+  batchUpsertObjects,
+  associateDefault,
+};
\ No newline at end of file
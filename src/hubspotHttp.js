@@ -0,0 +1,183 @@
+// src/hubspotHttp.js
+// The HTTP layer every HubSpot call goes through. create() returns an axios
+// instance (same get/post/patch/... API and validateStatus handling) whose requests:
+//   - wait for a token bucket sized to the private-app burst limit
+//     (HUBSPOT_BURST_LIMIT per HUBSPOT_BURST_WINDOW_MS, default 100 per 10 s)
+//   - are retried on 429 with Retry-After or exponential backoff (src/throttle.js);
+//     5xx and network errors are retried only for calls that are safe to repeat
+//   - follow 308 region redirects, after which later calls go straight to that host
+//   - count against the daily quota: once fewer than HUBSPOT_QUOTA_RESERVE calls
+//     would remain, requests fail unsent with code HUBSPOT_QUOTA_EXHAUSTED, so a
+//     run can stop cleanly (see isQuotaError) instead of failing item by item
+// Limits are per private app, so the bucket and counters are shared by every
+// instance in the process.
+'use strict';
+require('dotenv').config();
+const axios = require('axios');
+const { createTokenBucket, withBackoff, RETRY_STATUSES } = require('./throttle');
+
+const HUBSPOT_BASE = 'https://api.hubapi.com';
+
+const {
+  HUBSPOT_BURST_LIMIT,
+  HUBSPOT_BURST_WINDOW_MS,
+  HUBSPOT_DAILY_LIMIT,
+  HUBSPOT_QUOTA_RESERVE,
+  HUBSPOT_RETRY_ATTEMPTS,
+  HUBSPOT_BACKOFF_BASE_MS,
+  HUBSPOT_BACKOFF_MAX_MS,
+} = process.env;
+
+const BURST_LIMIT     = Number(HUBSPOT_BURST_LIMIT ?? 100);
+const BURST_WINDOW_MS = Number(HUBSPOT_BURST_WINDOW_MS ?? 10000);
+const DAILY_LIMIT     = Number(HUBSPOT_DAILY_LIMIT ?? 250000);
+const QUOTA_RESERVE   = Number(HUBSPOT_QUOTA_RESERVE ?? 500);
+const RETRY_ATTEMPTS  = Number(HUBSPOT_RETRY_ATTEMPTS ?? 5);
+const BACKOFF_BASE_MS = Number(HUBSPOT_BACKOFF_BASE_MS ?? 1000);
+const BACKOFF_MAX_MS  = Number(HUBSPOT_BACKOFF_MAX_MS ?? 30000);
+const MAX_REDIRECTS = 3;
+
+const QUOTA_EXHAUSTED = 'HUBSPOT_QUOTA_EXHAUSTED';
+
+// A 429 means HubSpot did nothing, so any call may be retried after one. Other
+// failures (5xx, resets) may come after the write happened: only calls that give
+// the same result when repeated are retried then (POST reads and batch property
+// updates included).
+const REPEATABLE_METHODS = new Set(['get', 'head', 'options', 'put', 'patch', 'delete']);
+const REPEATABLE_POSTS = /\/(batch\/read|batch\/update|search)$/;
+const ONLY_429 = new Set([429]);
+
+const baseAdapter = axios.getAdapter('http');
+const bucket = createTokenBucket(BURST_LIMIT, BURST_WINDOW_MS);
+
+// calls: requests sent this run (retries and redirects included);
+// dailyRemaining: HubSpot's own count from the last response that carried it
+const stats = { calls: 0, retries: 0, dailyRemaining: null, callsSinceRemaining: 0 };
+let regionOrigin = null;
+
+function quotaError(detail) {
+  const err = new Error('HubSpot daily API quota nearly used up (' + detail + '); stopping before it runs out');
+  err.code = QUOTA_EXHAUSTED;
+  return err;
+}
+
+const isQuotaError = (e) => !!e && e.code === QUOTA_EXHAUSTED;
+
+/** Calls left today: HubSpot's header when seen, else HUBSPOT_DAILY_LIMIT minus this run's calls. */
+function remainingCalls() {
+  return stats.dailyRemaining != null
+    ? stats.dailyRemaining - stats.callsSinceRemaining
+    : DAILY_LIMIT - stats.calls;
+}
+
+function checkQuota() {
+  const left = remainingCalls();
+  if (left <= QUOTA_RESERVE) throw quotaError('about ' + left + ' call(s) left, reserve ' + QUOTA_RESERVE);
+}
+
+function noteHeaders(headers) {
+  const v = headers && headers['x-hubspot-ratelimit-daily-remaining'];
+  if (v == null || v === '' || !Number.isFinite(Number(v))) return;
+  stats.dailyRemaining = Number(v);
+  stats.callsSinceRemaining = 0;
+}
+
+// A 429 for the daily policy will not clear with a retry
+const isDailyLimit = (res) => res.status === 429 && /"policyName"\s*:\s*"DAILY"/.test(String(res.data));
+
+// Calls addressed to the default host go to the region a 308 pointed at
+function routed(url) {
+  if (!regionOrigin) return url;
+  const u = new URL(url);
+  return u.origin === HUBSPOT_BASE ? regionOrigin + u.pathname + u.search : url;
+}
+
+function settle(config, res) {
+  res.config = config;
+  const validate = config.validateStatus;
+  if (!res.status || !validate || validate(res.status)) return res;
+  throw new axios.AxiosError(
+    'Request failed with status code ' + res.status,
+    res.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+    config, res.request, res
+  );
+}
+
+async function hubspotAdapter(config) {
+  const method = String(config.method || 'get').toLowerCase();
+  let url = axios.getUri(config); // baseURL + url + params
+  const path = new URL(url).pathname;
+  const label = method.toUpperCase() + ' ' + path;
+  const repeatable = REPEATABLE_METHODS.has(method) || REPEATABLE_POSTS.test(path);
+
+  const send = async () => {
+    for (let hop = 0; ; hop++) {
+      checkQuota();
+      await bucket.take();
+      stats.calls++;
+      stats.callsSinceRemaining++;
+      const target = routed(url);
+      const res = await baseAdapter({
+        ...config, baseURL: undefined, url: target, params: undefined, maxRedirects: 0, validateStatus: null,
+      });
+      noteHeaders(res.headers);
+
+      if (res.status === 308 && res.headers.location && hop < MAX_REDIRECTS) {
+        const next = new URL(res.headers.location, target);
+        if (next.origin !== new URL(target).origin) {
+          regionOrigin = next.origin;
+          console.log('[HS] API redirected to ' + regionOrigin + '; using it for the rest of the run');
+        }
+        url = next.toString();
+        continue;
+      }
+      if (isDailyLimit(res)) {
+        stats.dailyRemaining = 0;
+        stats.callsSinceRemaining = 0;
+        throw quotaError('HubSpot answered 429 for the daily limit');
+      }
+      return res;
+    }
+  };
+
+  const res = await withBackoff(send, {
+    attempts: RETRY_ATTEMPTS,
+    baseMs: BACKOFF_BASE_MS,
+    maxMs: BACKOFF_MAX_MS,
+    label,
+    retryOn: repeatable ? RETRY_STATUSES : ONLY_429,
+    retryNetwork: repeatable,
+    onRetry: ({ attempt, wait, why }) => {
+      stats.retries++;
+      console.warn('[HS] ' + label + ': ' + why + ', retry ' + attempt + '/' + (RETRY_ATTEMPTS - 1) + ' in ' + (wait / 1000).toFixed(1) + 's');
+    },
+  });
+  return settle(config, res);
+}
+
+/**
+ * Axios instance whose requests go through the limiter, retries and quota check.
+ * @param {Object} [config] - axios.create() config (baseURL, headers, timeout, ...)
+ */
+function create(config) {
+  return axios.create({ timeout: 30000, ...config, adapter: hubspotAdapter });
+}
+
+/**
+ * This run's HubSpot usage.
+ * @returns {{ calls: number, retries: number, remaining: number }} remaining = calls left today (estimate)
+ */
+function usage() {
+  return { calls: stats.calls, retries: stats.retries, remaining: remainingCalls() };
+}
+
+// For scripts that build full URLs and pass their own auth headers
+const http = create();
+
+process.on('exit', () => {
+  if (!stats.calls) return;
+  const u = usage();
+  console.log('[HS] API calls this run: ' + u.calls + ' (' + u.retries + ' retried), about ' + u.remaining + ' left today');
+});
+
+module.exports = { HUBSPOT_BASE, QUOTA_EXHAUSTED, create, http, isQuotaError, usage };
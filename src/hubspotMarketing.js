@@ -1,7 +1,7 @@
 // src/hubspotMarketing.js
 // Minimal helper for HubSpot Marketing Campaigns v3 (additive totals)
 
-const axios = require('axios');
+const { http } = require('./hubspotHttp');
 
 const HUBSPOT_TOKEN = process.env.HUBSPOT_PRIVATE_APP_TOKEN;
 if (!HUBSPOT_TOKEN) {
@@ -20,7 +20,7 @@ function hsHeaders() {
 // GET a campaign to read current property values
 async function getCampaignById(id) {
   const url = `${BASE}/${id}`;
-  const r = await axios.get(url, { headers: hsHeaders() });
+  const r = await http.get(url, { headers: hsHeaders() });
   return r.data; // { id, properties, createdAt, updatedAt, ... }
 }
 
@@ -28,7 +28,7 @@ async function getCampaignById(id) {
 async function patchCampaign(id, properties) {
   const url = `${BASE}/${id}`;
   const body = { properties };
-  const r = await axios.patch(url, body, { headers: hsHeaders() });
+  const r = await http.patch(url, body, { headers: hsHeaders() });
   return r.data;
 }
 
@@ -0,0 +1,80 @@
+// src/keywordStore.js
+// Local per-keyword daily metrics (keyword-metrics.json), one snapshot per day:
+//   { "YYYY-MM-DD": { "<keywordId>": { keyword, matchType, bid, qualityScore, campaignId,
+//                                      campaignName, adGroupId, adGroupName,
+//                                      clicks, impressions, conversions, spend } } }
+// Quality score is stored per day, so the store doubles as QS history.
+'use strict';
+const { createDailyStore } = require('./dailyStore');
+
+const store = createDailyStore({
+  file: process.env.KEYWORD_STORE_PATH || 'keyword-metrics.json',
+  key: 'keywordId',
+  fields: {
+    keyword: 'keyword',
+    matchType: 'matchType',
+    bid: 'bid',
+    qualityScore: 'qualityScore',
+    campaignId: 'campaignId',
+    campaignName: 'campaignName',
+    adGroupId: 'adGroupId',
+    adGroupName: 'adGroupName',
+    clicks: 'clicks',
+    impressions: 'impressions',
+    conversions: 'conversions',
+    spend: 'spend',
+  },
+});
+
+/**
+ * Quality score per keyword over an inclusive range (days without a score skipped).
+ * @returns {Array<{ keywordId, keyword, matchType, campaignName, adGroupName,
+ *   first: number, last: number, change: number, min: number, max: number,
+ *   history: Array<{ date: string, qualityScore: number }> }>}
+ */
+function qualityScoreTrends(from, to, { keywordId } = {}) {
+  const out = new Map();
+  for (const [date, id, m] of store.entries(from, to)) {
+    if (keywordId && id !== String(keywordId)) continue;
+    if (m.qualityScore == null) continue;
+    const cur = out.get(id) || { keywordId: id, history: [] };
+    Object.assign(cur, { keyword: m.keyword, matchType: m.matchType, campaignName: m.campaignName, adGroupName: m.adGroupName });
+    cur.history.push({ date, qualityScore: m.qualityScore });
+    out.set(id, cur);
+  }
+  return Array.from(out.values()).map(k => {
+    const scores = k.history.map(h => h.qualityScore);
+    const first = scores[0];
+    const last = scores[scores.length - 1];
+    return { ...k, first, last, change: last - first, min: Math.min(...scores), max: Math.max(...scores) };
+  });
+}
+
+/**
+ * Keywords that spent at least `minSpend` over the range with zero conversions.
+ * @returns {Array<{ keywordId, keyword, matchType, campaignName, adGroupName, clicks, spend, lastQualityScore }>}
+ */
+function findWastedSpend(from, to, { minSpend = 0.01 } = {}) {
+  const totals = new Map();
+  for (const [, id, m] of store.entries(from, to)) {
+    const cur = totals.get(id) || { keywordId: id, clicks: 0, conversions: 0, spend: 0, lastQualityScore: null };
+    Object.assign(cur, { keyword: m.keyword, matchType: m.matchType, campaignName: m.campaignName, adGroupName: m.adGroupName });
+    cur.clicks += Number(m.clicks || 0);
+    cur.conversions += Number(m.conversions || 0);
+    cur.spend += Number(m.spend || 0);
+    if (m.qualityScore != null) cur.lastQualityScore = m.qualityScore;
+    totals.set(id, cur);
+  }
+  return Array.from(totals.values())
+    .filter(k => k.conversions === 0 && k.spend >= minSpend)
+    .map(({ conversions, ...k }) => ({ ...k, spend: Math.round(k.spend * 100) / 100 }))
+    .sort((a, b) => b.spend - a.spend);
+}
+
+module.exports = {
+  STORE_PATH: store.path,
+  saveDay: store.saveDay,
+  getDay: store.getDay,
+  qualityScoreTrends,
+  findWastedSpend,
+};
@@ -0,0 +1,292 @@
+// src/metricMap.js
+// Which Bing campaign report columns are pulled, which HubSpot campaign property
+// each one feeds, and how daily values are combined into that property.
+//
+// metric-map.json (or METRIC_MAP_PATH) replaces the built-in defaults below:
+//   { "metrics": [
+//       { "column": "Revenue", "field": "revenue", "property": "bing_revenue_total",
+//         "aggregate": "sum", "label": "Bing Total Revenue" },
+//       { "column": "ConversionRate", "property": "bing_conversion_rate",
+//         "aggregate": "weightedAverage", "weight": "clicks", "decimals": 2 }
+//   ] }
+// See metric-map.example.json.
+//
+// An optional "goals" list writes per-conversion-goal totals (goals.js, from the
+// Bing goals report) to their own properties:
+//   "goals": [
+//     { "goal": "Brochure download", "property": "bing_brochure_conversions",
+//       "costProperty": "bing_brochure_cpl", "label": "Bing Brochure Downloads" }
+//   ]
+// `goal` matches the Bing goal name (case-insensitive); `goalId` matches the id
+// instead. `costProperty` gets total campaign spend / the goal's conversions.
+//
+// Entry fields:
+//   column     Bing report column (required)
+//   field      row property name (default: column lower-cased, e.g. "revenue")
+//   aliases    other header spellings Bing has used for the column
+//   property   HubSpot campaign property (omit to pull the column without writing it)
+//   aggregate  sum             cumulative total, only the ledger delta is added
+//              last            value from the day being synced, unless the ledger already
+//                              has a later day (re-synced older days leave it alone)
+//              average         mean of the daily values for every day in the totals ledger
+//              weightedAverage same, weighted by another field (`weight`, e.g. "clicks")
+//   type       "number" (default) or "string" (string entries must use "last")
+//   currency   true for amounts in the ad account currency (CPC, cost per conversion,
+//              revenue): converted to HUBSPOT_PORTAL_CURRENCY at the day's rate, like
+//              spend items (src/fx.js). Spend itself is converted on its spend item.
+//   label      HubSpot property label (ensure-campaign-props.js)
+//   decimals   rounding for the written value
+//
+// Without a config file the defaults reproduce the HSPROP_* environment variables.
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+const MAP_PATH = path.resolve(process.cwd(), process.env.METRIC_MAP_PATH || 'metric-map.json');
+const AGGREGATES = new Set(['sum', 'last', 'average', 'weightedAverage']);
+// Other code (spend items, ledger, non-zero filtering) relies on these row fields
+const REQUIRED = [
+  { column: 'Impressions', field: 'impressions' },
+  { column: 'Clicks', field: 'clicks' },
+  { column: 'Conversions', field: 'conversions', aliases: ['AllConversions'] },
+  { column: 'Spend', field: 'spend', aliases: ['Cost'] },
+];
+
+function defaultMetrics() {
+  const env = process.env;
+  return [
+    { column: 'Impressions', field: 'impressions', property: env.HSPROP_TOTAL_IMPRESSIONS || 'bing_impression_total', aggregate: 'sum', label: 'Bing Total Impressions' },
+    { column: 'Clicks', field: 'clicks', property: env.HSPROP_TOTAL_CLICKS || 'bing_click_total', aggregate: 'sum', label: 'Bing Total Clicks' },
+    { column: 'Conversions', field: 'conversions', aliases: ['AllConversions'], property: env.HSPROP_TOTAL_CONVERSIONS || 'bing_conversion_total', aggregate: 'sum', label: 'Bing Total Conversions' },
+    // Spend goes to HubSpot as spend items; HubSpot sums those into hs_spend_items_sum_amount
+    { column: 'Spend', field: 'spend', aliases: ['Cost'], aggregate: 'sum' },
+    { column: 'AverageCpc', field: 'average_cpc', aliases: ['AvgCpc'], property: env.HSPROP_LAST_AVG_CPC || 'avg_cpc_last', aggregate: 'last', currency: true, decimals: 4, label: 'Bing Avg CPC (last day)' },
+    { column: 'AllCostPerConversion', field: 'all_cost_per_conversion', aliases: ['CostPerConversion'], property: env.HSPROP_LAST_CPL || 'cpl_last', aggregate: 'last', currency: true, decimals: 4, label: 'Bing Cost per Lead (last day)' },
+    { column: 'CampaignStatus', field: 'campaign_status', type: 'string', property: env.HSPROP_LAST_STATUS || 'bing_last_status', aggregate: 'last', label: 'Bing Last Status' },
+  ];
+}
+
+function normaliseEntry(e, i) {
+  if (!e || !e.column) throw new Error(`metric-map entry #${i + 1} has no "column"`);
+  const out = {
+    column: String(e.column),
+    field: e.field || String(e.column).toLowerCase(),
+    aliases: e.aliases || [],
+    property: e.property || null,
+    aggregate: e.aggregate || 'sum',
+    type: e.type || 'number',
+    weight: e.weight || null,
+    currency: e.currency === true,
+    label: e.label || e.column,
+    decimals: e.decimals != null ? Number(e.decimals) : null,
+  };
+  if (!AGGREGATES.has(out.aggregate)) {
+    throw new Error(`metric-map "${out.column}": unknown aggregate "${out.aggregate}" (use ${Array.from(AGGREGATES).join(', ')})`);
+  }
+  if (out.type === 'string' && out.aggregate !== 'last') {
+    throw new Error(`metric-map "${out.column}": text columns can only use aggregate "last"`);
+  }
+  if (out.currency && out.type !== 'number') {
+    throw new Error(`metric-map "${out.column}": only numeric columns can be "currency"`);
+  }
+  if (out.aggregate === 'weightedAverage' && !out.weight) {
+    throw new Error(`metric-map "${out.column}": weightedAverage needs a "weight" field (e.g. "clicks")`);
+  }
+  return out;
+}
+
+function normaliseGoal(g, i) {
+  if (!g || (!g.goal && !g.goalId)) throw new Error(`metric-map goal #${i + 1} needs "goal" (name) or "goalId"`);
+  if (!g.property && !g.costProperty) throw new Error(`metric-map goal "${g.goal || g.goalId}" has no "property" or "costProperty"`);
+  const name = String(g.goal || g.goalId);
+  return {
+    goal: g.goal ? String(g.goal) : null,
+    goalId: g.goalId != null ? String(g.goalId) : null,
+    property: g.property || null,
+    label: g.label || `Bing ${name} Conversions`,
+    costProperty: g.costProperty || null,
+    costLabel: g.costLabel || `Bing Cost per ${name}`,
+  };
+}
+
+let config; // parsed metric-map.json; null = no file
+
+function readConfig() {
+  if (config !== undefined) return config;
+  try {
+    config = JSON.parse(fs.readFileSync(MAP_PATH, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw new Error(`Failed to read ${MAP_PATH}: ${e.message}`);
+    config = null;
+  }
+  return config;
+}
+
+let cached = null;
+
+/** Normalised metric entries (config file, or defaults), plus any required fields it left out. */
+function loadMetricMap() {
+  if (cached) return cached;
+  const cfg = readConfig();
+  const raw = cfg && cfg.metrics !== undefined ? cfg.metrics : defaultMetrics(); // a goals-only file keeps the defaults
+  if (!Array.isArray(raw)) throw new Error(`Failed to read ${MAP_PATH}: expected { "metrics": [ ... ] }`);
+
+  const entries = raw.map(normaliseEntry);
+  for (const req of REQUIRED) {
+    if (!entries.some(e => e.field === req.field)) entries.push(normaliseEntry(req, entries.length));
+  }
+  for (const e of entries) {
+    if (e.weight && !entries.some(x => x.field === e.weight && x.type === 'number')) {
+      throw new Error(`metric-map "${e.column}": weight "${e.weight}" is not a numeric field in the map`);
+    }
+  }
+  cached = entries;
+  return entries;
+}
+
+/** Bing column names to request. */
+function reportColumns() {
+  return loadMetricMap().map(e => e.column);
+}
+
+/** Entries that write a HubSpot property. */
+function mappedMetrics() {
+  return loadMetricMap().filter(e => e.property);
+}
+
+let cachedGoals = null;
+
+/** Conversion goals to write to HubSpot (empty without a "goals" list). */
+function goalMetrics() {
+  if (cachedGoals) return cachedGoals;
+  const raw = (readConfig() || {}).goals || [];
+  if (!Array.isArray(raw)) throw new Error(`Failed to read ${MAP_PATH}: "goals" must be a list`);
+  cachedGoals = raw.map(normaliseGoal);
+  return cachedGoals;
+}
+
+/** The goals entry a Bing goal ({ goalId, goal }) feeds, or null. */
+function goalFor(row) {
+  return goalMetrics().find(g => g.goalId
+    ? g.goalId === String(row.goalId)
+    : g.goal.toLowerCase() === String(row.goal || '').toLowerCase()) || null;
+}
+
+/** HubSpot property for a row field, or null. */
+function propertyFor(field) {
+  const e = loadMetricMap().find(x => x.field === field);
+  return (e && e.property) || null;
+}
+
+/** Row fields holding ad-account-currency amounts that HubSpot gets in the portal currency (not spend). */
+function currencyFields() {
+  return mappedMetrics().filter(e => e.currency && e.field !== 'spend').map(e => e.field);
+}
+
+/** Numeric fields the totals ledger keeps per day (mapped metrics and their weights). */
+function ledgerFields() {
+  const entries = loadMetricMap();
+  const fields = new Set(entries.filter(e => e.property && e.type === 'number').map(e => e.field));
+  for (const e of entries) if (e.weight) fields.add(e.weight);
+  return Array.from(fields);
+}
+
+const toNum = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+function round(v, decimals) {
+  if (decimals == null) return Math.round(v * 1e6) / 1e6;
+  const f = Math.pow(10, decimals);
+  return Math.round(v * f) / f;
+}
+
+/**
+ * One row from several report rows for the same HubSpot campaign and day (Bing
+ * campaigns mapped to one HubSpot campaign): sum fields and weights are added up,
+ * weighted averages re-weighted, and other values (last CPC, status, …) taken from
+ * the row with the most spend.
+ * @param {Object[]} rows
+ * @returns {Object}
+ */
+function combineRows(rows) {
+  if (rows.length === 1) return rows[0];
+  const entries = loadMetricMap();
+  const lead = rows.reduce((a, b) => (toNum(b.spend) > toNum(a.spend) ? b : a));
+  const out = { ...lead };
+  const summed = new Set(entries.filter(e => e.type === 'number' && e.aggregate === 'sum').map(e => e.field));
+  for (const e of entries) if (e.weight) summed.add(e.weight);
+  for (const f of summed) out[f] = rows.reduce((s, r) => s + toNum(r[f]), 0);
+  for (const e of entries) {
+    if (e.type !== 'number' || summed.has(e.field) || !e.weight) continue;
+    const w = out[e.weight];
+    if (w) out[e.field] = rows.reduce((s, r) => s + toNum(r[e.field]) * toNum(r[e.weight]), 0) / w;
+  }
+  return out;
+}
+
+/** True when any cumulative ("sum") property in `props` is non-zero. */
+function hasTotals(props) {
+  return mappedMetrics().some(e => e.aggregate === 'sum' && toNum((props || {})[e.property]) !== 0);
+}
+
+/** False when `history` ({ 'YYYY-MM-DD': … }) holds a day after `date`. */
+function isLatestDay(date, history) {
+  return !history || Object.keys(history).every(d => d <= date);
+}
+
+/**
+ * HubSpot properties for one campaign after applying a day.
+ * @param {Object} args
+ * @param {Object} args.current - current HubSpot properties (for sums)
+ * @param {Object} args.delta   - ledger delta for the day (sum fields)
+ * @param {Object} args.day     - the day's row (for "last")
+ * @param {Object} [args.history] - { 'YYYY-MM-DD': metrics } every day in the ledger
+ *   including this one (for averages); averages are skipped without it
+ * @param {string} [args.date]  - the day being applied; "last" values are skipped
+ *   when history already has a later day (a restated older day must not replace them)
+ * @returns {Object} properties to PATCH
+ */
+function buildCampaignProps({ current = {}, delta = {}, day = {}, history = null, date = null }) {
+  const props = {};
+  const days = history ? Object.values(history) : null;
+  const latest = !date || isLatestDay(date, history);
+
+  for (const e of mappedMetrics()) {
+    let v;
+    if (e.aggregate === 'last' && !latest) {
+      continue;
+    } else if (e.aggregate === 'sum') {
+      v = toNum(current[e.property]) + toNum(delta[e.field]);
+    } else if (e.aggregate === 'last') {
+      v = e.type === 'string' ? String(day[e.field] ?? '') : toNum(day[e.field]);
+    } else if (!days || !days.length) {
+      continue;
+    } else if (e.aggregate === 'average') {
+      v = days.reduce((s, d) => s + toNum(d[e.field]), 0) / days.length;
+    } else {
+      const w = days.reduce((s, d) => s + toNum(d[e.weight]), 0);
+      if (!w) continue; // nothing to weight by yet (e.g. no clicks)
+      v = days.reduce((s, d) => s + toNum(d[e.field]) * toNum(d[e.weight]), 0) / w;
+    }
+    props[e.property] = typeof v === 'number' ? round(v, e.decimals ?? (e.aggregate === 'sum' ? null : 4)) : v;
+  }
+  return props;
+}
+
+module.exports = {
+  MAP_PATH,
+  loadMetricMap,
+  reportColumns,
+  mappedMetrics,
+  propertyFor,
+  currencyFields,
+  ledgerFields,
+  combineRows,
+  hasTotals,
+  isLatestDay,
+  buildCampaignProps,
+  goalMetrics,
+  goalFor,
+};
@@ -0,0 +1,111 @@
+// src/msadsAccounts.js
+// Which Microsoft Ads accounts to report on, and where each one goes in HubSpot.
+//
+//   MSADS_ACCOUNT_ID=123456789              single account (as before)
+//   MSADS_ACCOUNT_ID=123456789,987654321    explicit list
+//   MSADS_ACCOUNT_ID=all                    every active account under MSADS_CUSTOMER_ID,
+//                                           discovered via the Customer Management service
+//
+// Optional per-account routing (msads-accounts.json, or MSADS_ACCOUNTS_PATH):
+//   { "123456789": { "businessUnitId": "0", "campaignNamePrefix": "Client A – " } }
+// Accounts without an entry fall back to HUBSPOT_BUSINESS_UNIT_ID / CAMPAIGN_NAME_PREFIX.
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const ACCOUNTS_INFO_URL = 'https://clientcenter.api.bingads.microsoft.com/CustomerManagement/v13/AccountsInfo/Query';
+const ROUTES_PATH = path.resolve(process.cwd(), process.env.MSADS_ACCOUNTS_PATH || 'msads-accounts.json');
+// Accounts in these states cannot serve ads and have nothing to report
+const SKIP_STATUSES = new Set(['Draft', 'Inactive']);
+
+let discovered = null;
+let routes = null;
+
+/** 'all' or an array of account IDs from MSADS_ACCOUNT_ID-style text. */
+function parseAccountSetting(v) {
+  const s = String(v || '').trim();
+  if (s.toLowerCase() === 'all') return 'all';
+  const ids = s.split(/[\s,;]+/).filter(Boolean);
+  const bad = ids.filter(id => !/^\d+$/.test(id));
+  if (bad.length) throw new Error(`Invalid MSADS_ACCOUNT_ID value(s): ${bad.join(', ')}`);
+  return ids;
+}
+
+/**
+ * Accounts the signed-in user can access under `customerId`.
+ * @returns {Promise<Array<{ id: string, name: string, number: string, status: string }>>}
+ */
+async function discoverAccounts(accessToken, { customerId = process.env.MSADS_CUSTOMER_ID, developerToken = process.env.MSADS_DEVELOPER_TOKEN } = {}) {
+  const res = await axios.post(ACCOUNTS_INFO_URL, { CustomerId: String(customerId), OnlyParentAccounts: false }, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      DeveloperToken: developerToken,
+      CustomerId: String(customerId),
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+    },
+    timeout: 30000,
+    validateStatus: () => true,
+  });
+  if (res.status !== 200) {
+    throw new Error(`Account discovery failed: ${res.status} ${res.statusText} ${JSON.stringify(res.data)}`);
+  }
+  return (res.data?.AccountsInfo || []).map(a => ({
+    id: String(a.Id),
+    name: a.Name || '',
+    number: a.Number || '',
+    status: a.AccountLifeCycleStatus || '',
+  }));
+}
+
+/**
+ * Account IDs to put in a report's Scope. "all" is discovered once per process.
+ * @returns {Promise<string[]>}
+ */
+async function resolveAccountIds(accessToken, setting = process.env.MSADS_ACCOUNT_ID) {
+  const parsed = parseAccountSetting(setting);
+  if (parsed !== 'all') return parsed;
+
+  // concurrent report fetches share one lookup; a failed lookup is retried next call
+  if (!discovered) {
+    discovered = discoverAccounts(accessToken).then(accounts => {
+      const ids = accounts.filter(a => !SKIP_STATUSES.has(a.status)).map(a => a.id);
+      if (!ids.length) throw new Error(`No active Microsoft Ads accounts found under customer ${process.env.MSADS_CUSTOMER_ID}`);
+      return ids;
+    });
+    discovered.catch(() => { discovered = null; });
+  }
+  return discovered;
+}
+
+function loadRoutes() {
+  if (routes) return routes;
+  try {
+    routes = JSON.parse(fs.readFileSync(ROUTES_PATH, 'utf8')) || {};
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw new Error(`Failed to read ${ROUTES_PATH}: ${e.message}`);
+    routes = {};
+  }
+  return routes;
+}
+
+/**
+ * HubSpot destination settings for one Bing account.
+ * @returns {{ businessUnitId: string|undefined, campaignNamePrefix: string }}
+ */
+function getAccountRoute(accountId) {
+  const r = (accountId && loadRoutes()[String(accountId)]) || {};
+  return {
+    businessUnitId: r.businessUnitId ?? process.env.HUBSPOT_BUSINESS_UNIT_ID,
+    campaignNamePrefix: r.campaignNamePrefix ?? process.env.CAMPAIGN_NAME_PREFIX ?? '',
+  };
+}
+
+module.exports = {
+  ROUTES_PATH,
+  parseAccountSetting,
+  discoverAccounts,
+  resolveAccountIds,
+  getAccountRoute,
+};
@@ -1,36 +1,190 @@
 // src/msadsAuth.js
+// Shared Microsoft Ads token manager.
+//
+// Access tokens are cached (in memory and in the credentials file, so the
+// child scripts run-bing-daily.js spawns reuse them) until shortly before they
+// expire. Microsoft usually returns a new refresh token with every exchange;
+// it is stored in the credentials file (MSADS_CREDENTIALS_PATH, default
+// msads-credentials.json) and used from then on instead of MSADS_REFRESH_TOKEN:
+//   { refreshToken, refreshTokenUpdatedAt, envTokenSha, accessToken, accessTokenExpiresAt }
+//
+// `node msads-auth.js` signs in and writes a refresh token straight into the
+// file, so MSADS_REFRESH_TOKEN is optional. Changing MSADS_REFRESH_TOKEN in
+// .env takes precedence over the stored token again: envTokenSha records which
+// .env token the file was started from.
 require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
 const axios = require("axios");
 
+const TOKEN_URL = "https://login.microsoftonline.com/common/oauth2/v2.0/token";
+const SCOPE = "https://ads.microsoft.com/msads.manage offline_access";
+const CREDENTIALS_PATH = path.resolve(process.cwd(), process.env.MSADS_CREDENTIALS_PATH || "msads-credentials.json");
+// Refresh this long before expiry so a token never runs out mid report poll
+const EXPIRY_MARGIN_MS = Number(process.env.MSADS_TOKEN_EXPIRY_MARGIN_MS ?? 5 * 60 * 1000);
+const REAUTH_REQUIRED = "MSADS_REAUTH_REQUIRED";
+
+const sha = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+function loadCredentials() {
+  try {
+    return JSON.parse(fs.readFileSync(CREDENTIALS_PATH, "utf8")) || {};
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Failed to read ${CREDENTIALS_PATH}: ${e.message}`);
+    return {};
+  }
+}
+
+function saveCredentials(creds) {
+  const tmp = `${CREDENTIALS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(creds, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, CREDENTIALS_PATH);
+}
+
+/** Credentials to use now: the stored ones, unless .env has a different refresh token. */
+function currentCredentials() {
+  const envToken = process.env.MSADS_REFRESH_TOKEN;
+  const creds = loadCredentials();
+  if (envToken && creds.envTokenSha !== sha(envToken)) {
+    return { refreshToken: envToken, envTokenSha: sha(envToken) };
+  }
+  if (!creds.refreshToken && envToken) creds.refreshToken = envToken;
+  return creds;
+}
+
+function reauthError(detail) {
+  const err = new Error(
+    `Microsoft Ads re-authorisation needed: the refresh token was rejected (${detail}). ` +
+    `Run \`node msads-auth.js\` to sign in again.`
+  );
+  err.code = REAUTH_REQUIRED;
+  return err;
+}
+
+// Public client (MSADS_PUBLIC_CLIENT=true, or no MSADS_CLIENT_SECRET) sends no secret
+function isPublicClient() {
+  const { MSADS_CLIENT_SECRET, MSADS_PUBLIC_CLIENT } = process.env;
+  return String(MSADS_PUBLIC_CLIENT || "").toLowerCase() === "true" || !MSADS_CLIENT_SECRET;
+}
+
+async function tokenRequest(grant) {
+  const params = new URLSearchParams({ client_id: process.env.MSADS_CLIENT_ID, scope: SCOPE, ...grant });
+  if (!isPublicClient()) params.set("client_secret", process.env.MSADS_CLIENT_SECRET);
+
+  const res = await axios.post(TOKEN_URL, params.toString(), {
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    timeout: 30000,
+    validateStatus: () => true,
+  });
+  if (res.data?.error === "invalid_grant") {
+    throw reauthError(String(res.data.error_description || "invalid_grant").split(/\r?\n/)[0]);
+  }
+  if (res.status !== 200 || !res.data?.access_token) {
+    throw new Error(`Failed to get access token: ${res.status} ${res.statusText} ${JSON.stringify(res.data)}`);
+  }
+  return res.data;
+}
+
+const exchange = (refreshToken) => tokenRequest({ grant_type: "refresh_token", refresh_token: refreshToken });
+
 /**
- * Exchange Microsoft Ads refresh token for a new access token (public client).
- * Requires MSADS_CLIENT_ID and MSADS_REFRESH_TOKEN in environment.
+ * Redeem an authorization code from the consent flow (msads-auth.js).
+ * @returns {Promise<Object>} token response (access_token, refresh_token, expires_in)
  */
-async function getMsAdsAccessToken() {
-  const { MSADS_CLIENT_ID, MSADS_REFRESH_TOKEN } = process.env;
-  if (!MSADS_CLIENT_ID || !MSADS_REFRESH_TOKEN) {
-    throw new Error("Missing MSADS_CLIENT_ID or MSADS_REFRESH_TOKEN in .env");
-  }
-
-  const tokenUrl = "https://login.microsoftonline.com/common/oauth2/v2.0/token";
-  const body = new URLSearchParams({
-    client_id: MSADS_CLIENT_ID,
-    grant_type: "refresh_token",
-    refresh_token: MSADS_REFRESH_TOKEN,
-    redirect_uri: "https://login.microsoftonline.com/common/oauth2/nativeclient",
-    scope: "https://ads.microsoft.com/msads.manage offline_access",
+function redeemAuthCode({ code, redirectUri, codeVerifier }) {
+  return tokenRequest({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
   });
+}
 
-  const resp = await axios.post(tokenUrl, body, {
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    timeout: 20000,
-    maxRedirects: 5,
-  });
+let cached = null;   // { accessToken, accessTokenExpiresAt }
+let inFlight = null; // one exchange at a time; concurrent callers share it
+
+const fresh = (c) => c && c.accessToken && Date.parse(c.accessTokenExpiresAt) - EXPIRY_MARGIN_MS > Date.now();
+
+async function refresh() {
+  const creds = currentCredentials();
+  if (!process.env.MSADS_CLIENT_ID || !creds.refreshToken) {
+    throw new Error("Missing MSADS_CLIENT_ID in .env, or no refresh token (set MSADS_REFRESH_TOKEN or run msads-auth.js)");
+  }
+  const data = await exchange(creds.refreshToken);
+  const now = Date.now();
+  const next = {
+    ...creds,
+    accessToken: data.access_token,
+    accessTokenExpiresAt: new Date(now + Number(data.expires_in || 3600) * 1000).toISOString(),
+  };
+  if (data.refresh_token && data.refresh_token !== creds.refreshToken) {
+    next.refreshToken = data.refresh_token;
+    next.refreshTokenUpdatedAt = new Date(now).toISOString();
+  }
+  saveCredentials(next);
+  return next;
+}
 
-  if (!resp.data || !resp.data.access_token) {
-    throw new Error("No access_token in Microsoft token response");
+/**
+ * A Microsoft Ads access token, exchanged only when the cached one is missing
+ * or close to expiry.
+ * @param {{ force?: boolean }} opts - force: ignore the cache (e.g. after a 401)
+ * @throws Error with code MSADS_REAUTH_REQUIRED when the refresh token is no longer accepted
+ */
+async function getMsAdsAccessToken({ force = false } = {}) {
+  if (!force && fresh(cached)) return cached.accessToken;
+  if (!force) {
+    const stored = currentCredentials();
+    if (fresh(stored)) {
+      cached = stored;
+      return cached.accessToken;
+    }
+  }
+  if (!inFlight) {
+    inFlight = refresh().finally(() => { inFlight = null; });
+  }
+  cached = await inFlight;
+  return cached.accessToken;
+}
+
+/**
+ * Make a newly signed-in refresh token the active one. It stays active until
+ * MSADS_REFRESH_TOKEN in .env is changed.
+ * @returns {string} credentials file path
+ */
+function storeRefreshToken(data) {
+  if (!data.refresh_token) throw new Error("No refresh_token in the token response (is offline_access granted?)");
+  const envToken = process.env.MSADS_REFRESH_TOKEN;
+  const now = Date.now();
+  const creds = {
+    refreshToken: data.refresh_token,
+    refreshTokenUpdatedAt: new Date(now).toISOString(),
+    envTokenSha: envToken ? sha(envToken) : null,
+  };
+  if (data.access_token) {
+    creds.accessToken = data.access_token;
+    creds.accessTokenExpiresAt = new Date(now + Number(data.expires_in || 3600) * 1000).toISOString();
   }
-  return resp.data.access_token;
+  saveCredentials(creds);
+  cached = null;
+  return CREDENTIALS_PATH;
 }
 
-module.exports = { getMsAdsAccessToken };
+/** True when a refresh token is available (.env or credentials file). */
+const hasRefreshToken = () => !!currentCredentials().refreshToken;
+
+const isReauthError = (e) => !!e && e.code === REAUTH_REQUIRED;
+
+module.exports = {
+  CREDENTIALS_PATH,
+  TOKEN_URL,
+  SCOPE,
+  REAUTH_REQUIRED,
+  isPublicClient,
+  getMsAdsAccessToken,
+  hasRefreshToken,
+  redeemAuthCode,
+  storeRefreshToken,
+  isReauthError,
+};
@@ -1,18 +1,31 @@
 'use strict';
 require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
 const axios = require('axios');
+const { eachDayYMD } = require('./dateRange');
+const reportState = require('./reportState');
+const { parseAccountSetting, resolveAccountIds, discoverAccounts } = require('./msadsAccounts');
+const metricMap = require('./metricMap');
+const archive = require('./reportArchive');
+const { normaliseHeaderToken, parseReport, streamReportFile } = require('./reportParser');
+const { getMsAdsAccessToken, hasRefreshToken } = require('./msadsAuth');
+const { createPool, withBackoff } = require('./throttle');
 
 const {
   MSADS_CLIENT_ID,
-  MSADS_CLIENT_SECRET,
-  MSADS_REFRESH_TOKEN,
   MSADS_DEVELOPER_TOKEN,
   MSADS_ACCOUNT_ID,
   MSADS_CUSTOMER_ID,
-  MSADS_PUBLIC_CLIENT,
   MSADS_REPORT_TIMEOUT_MS,
   MSADS_REPORT_POLL_MS,
   MSADS_REPORT_RETRY_ATTEMPTS,
+  MSADS_CONCURRENCY,
+  MSADS_BACKOFF_BASE_MS,
+  MSADS_BACKOFF_MAX_MS,
   MSADS_DEBUG,
 } = process.env;
 
@@ -20,320 +33,804 @@ const {
 function assertEnv() {
   const missing = [];
   if (!MSADS_CLIENT_ID)      missing.push('MSADS_CLIENT_ID');
-  if (!MSADS_REFRESH_TOKEN)  missing.push('MSADS_REFRESH_TOKEN');
+  if (!hasRefreshToken())    missing.push('MSADS_REFRESH_TOKEN (or run msads-auth.js)');
   if (!MSADS_DEVELOPER_TOKEN)missing.push('MSADS_DEVELOPER_TOKEN');
   if (!MSADS_ACCOUNT_ID)     missing.push('MSADS_ACCOUNT_ID');
   if (!MSADS_CUSTOMER_ID)    missing.push('MSADS_CUSTOMER_ID');
   if (missing.length) throw new Error(`Missing Microsoft Ads env vars: ${missing.join(', ')}`);
+  parseAccountSetting(MSADS_ACCOUNT_ID); // throws on malformed lists
 }
-assertEnv();
+// Replay reads the report archive only, so it runs without Microsoft Ads credentials
+if (!archive.REPLAY) assertEnv();
 
 const TOTAL_TIMEOUT_MS = Number(MSADS_REPORT_TIMEOUT_MS ?? 12 * 60 * 1000);
 const POLL_INTERVAL_MS = Number(MSADS_REPORT_POLL_MS ?? 5000);
-const RETRY_ATTEMPTS   = Number(MSADS_REPORT_RETRY_ATTEMPTS ?? 2);
+const RETRY_ATTEMPTS   = Number(MSADS_REPORT_RETRY_ATTEMPTS ?? 6); // tries per API call when throttled
+const CONCURRENCY      = Number(MSADS_CONCURRENCY ?? 4);           // reports in flight at once
+const BACKOFF_BASE_MS  = Number(MSADS_BACKOFF_BASE_MS ?? 2000);
+const BACKOFF_MAX_MS   = Number(MSADS_BACKOFF_MAX_MS ?? 60000);
 const DEBUG = String(MSADS_DEBUG || '').toLowerCase() === '1';
 
 const SUBMIT_URL = 'https://reporting.api.bingads.microsoft.com/Reporting/v13/GenerateReport/Submit';
 const POLL_URL   = 'https://reporting.api.bingads.microsoft.com/Reporting/v13/GenerateReport/Poll';
 
+// Outcome of one report fetch (and of each day in it):
+//   ok / no-data     - Bing produced the report; no-data = no rows for the day
+//   invalid-date     - rejected with 2010 (outside what Bing keeps, or not reportable yet)
+//   report-failed    - Bing marked the report request Error/Failed
+//   timed-out        - still pending after MSADS_REPORT_TIMEOUT_MS
+//   download-failed  - the download URL did not return the file
+// The last three are failures: the day's real numbers are unknown.
+const REPORT_STATUS = Object.freeze({
+  OK: 'ok',
+  NO_DATA: 'no-data',
+  INVALID_DATE: 'invalid-date',
+  REPORT_FAILED: 'report-failed',
+  TIMED_OUT: 'timed-out',
+  DOWNLOAD_FAILED: 'download-failed',
+});
+const FAILED_STATUSES = new Set([REPORT_STATUS.REPORT_FAILED, REPORT_STATUS.TIMED_OUT, REPORT_STATUS.DOWNLOAD_FAILED]);
+const isFailureStatus = (status) => FAILED_STATUSES.has(status);
+
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 const dbg = (...a) => { if (DEBUG) console.log('[MSADS]', ...a); };
+
+// Throttled calls come back as HTTP 429 or as an operation error naming the limit
+const THROTTLE_ERRORS = /CallRateExceeded|ConcurrentRequestOverLimit|TooManyRequests|RequestThrottled/;
+const isThrottled = (res) => res.status !== 200 && THROTTLE_ERRORS.test(JSON.stringify(res.data ?? ''));
+
+// Retry-After when Bing sends it, else exponential backoff with jitter (src/throttle.js)
+const backoff = (label, opts = {}) => ({
+  attempts: RETRY_ATTEMPTS,
+  baseMs: BACKOFF_BASE_MS,
+  maxMs: BACKOFF_MAX_MS,
+  label,
+  isThrottled,
+  onRetry: ({ attempt, wait, why }) => console.warn(`[MSADS] ${label}: ${why}, retry ${attempt}/${RETRY_ATTEMPTS - 1} in ${(wait / 1000).toFixed(1)}s`),
+  ...opts,
+});
 const num = (v) => {
   if (v === null || v === undefined || v === '') return 0;
-  const n = Number(String(v).replace(/,/g, ''));
+  const n = Number(String(v).replace(/[,%]/g, ''));
   return Number.isFinite(n) ? n : 0;
 };
 
 // ---------- CSV parsing ----------
-function pickDelimiter(l) {
-  const counts = { ',': (l.match(/,/g)||[]).length, ';': (l.match(/;/g)||[]).length, '\t': (l.match(/\t/g)||[]).length };
-  return Object.entries(counts).sort((a,b)=>b[1]-a[1])[0][0] || ',';
-}
-
-function splitQuoted(line, delim) {
-  const arr = [];
-  let cur = '';
-  let q = false;
-  for (let i=0;i<line.length;i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      if (q && line[i+1] === '"') { cur += '"'; i++; }
-      else q = !q;
-    } else if (ch === delim && !q) {
-      arr.push(cur); cur = '';
-    } else {
-      cur += ch;
-    }
-  }
-  arr.push(cur);
-  return arr.map(s => s.trim());
+// Envelope handling and csv-parse live in src/reportParser.js; this file maps
+// each report type's columns onto typed rows.
+
+/** Header metadata of a report held in memory (see reportParser.describeMetadata). */
+function parseReportMetadata(csv) {
+  if (!csv) return null;
+  return parseReport(csv, null).metadata;
 }
 
-function normaliseHeaderToken(t) {
-  return t.toLowerCase().replace(/[^a-z0-9]/g,'');
+// TimePeriod comes back as YYYY-MM-DD for Daily aggregation, but some
+// locales have produced M/D/YYYY — normalise both, else use the fallback.
+function normaliseTimePeriod(v, fallback) {
+  const s = String(v || '').trim();
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (m) return `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+  return fallback;
 }
 
-function findHeaderIndex(lines) {
-  for (let i = 0; i < lines.length; i++) {
-    const raw = lines[i].trim();
-    if (!raw) continue;
-    if (/^report name:/i.test(raw)) continue;
-    if (/^report generated at/i.test(raw)) continue;
-    if (/^account:/i.test(raw)) continue;
+// Normalised header token -> accepted variants, per report type.
+// Campaign metrics come from metric-map (src/metricMap.js); these are the identifying columns.
+const CAMPAIGN_ID_COLUMNS = {
+  timeperiod: ['timeperiod'],
+  accountid: ['accountid'],
+  accountname: ['accountname'],
+  campaignid: ['campaignid'],
+  campaignname: ['campaignname'],
+  currencycode: ['currencycode'],
+};
 
-    const delim = pickDelimiter(raw);
-    const cols = splitQuoted(raw, delim).map(normaliseHeaderToken);
-    if (cols.includes('timeperiod') && cols.includes('campaignname') && cols.includes('clicks')) {
-      return { index: i, delim, colsRaw: splitQuoted(raw, delim) };
-    }
+function campaignColumns() {
+  const cols = { ...CAMPAIGN_ID_COLUMNS };
+  for (const e of metricMap.loadMetricMap()) {
+    cols[`m:${e.field}`] = [e.column, ...e.aliases].map(normaliseHeaderToken);
   }
-  return null;
+  return cols;
 }
 
-function parseDailyCsv(isoDate, csv) {
-  if (!csv) return [];
-  if (csv.charCodeAt(0) === 0xFEFF) csv = csv.slice(1);
-  const lines = String(csv).split(/\r?\n/);
-  if (lines.length < 2) return [];
+const AD_GROUP_COLUMNS = {
+  timeperiod: ['timeperiod'],
+  accountid: ['accountid'],
+  accountname: ['accountname'],
+  campaignid: ['campaignid'],
+  campaignname: ['campaignname'],
+  adgroupid: ['adgroupid'],
+  adgroupname: ['adgroupname'],
+  adgroupstatus: ['adgroupstatus','status'],
+  impressions: ['impressions'],
+  clicks: ['clicks'],
+  averagecpc: ['averagecpc','avgcpc'],
+  spend: ['spend','cost'],
+  conversions: ['conversions','allconversions'],
+};
 
-  const headerInfo = findHeaderIndex(lines);
-  if (!headerInfo) {
-    // Some “success/no data” responses can be very short – treat as no rows
-    if (lines.length <= 5) return [];
-    throw new Error(`CSV missing expected header row.`);
-  }
+const KEYWORD_COLUMNS = {
+  timeperiod: ['timeperiod'],
+  accountid: ['accountid'],
+  campaignid: ['campaignid'],
+  campaignname: ['campaignname'],
+  adgroupid: ['adgroupid'],
+  adgroupname: ['adgroupname'],
+  keywordid: ['keywordid'],
+  keyword: ['keyword'],
+  matchtype: ['bidmatchtype','deliveredmatchtype'],
+  bid: ['currentmaxcpc','keywordbid'],
+  qualityscore: ['qualityscore'],
+  impressions: ['impressions'],
+  clicks: ['clicks'],
+  spend: ['spend','cost'],
+  conversions: ['conversions','allconversions'],
+};
 
-  const { index: headerLineIdx, delim } = headerInfo;
-  const headerRaw = lines[headerLineIdx];
-  const headerCells = splitQuoted(headerRaw, delim);
-  const headerNorm  = headerCells.map(normaliseHeaderToken);
-  const colIdx = Object.fromEntries(headerNorm.map((h, i) => [h, i]));
-
-  const need = {
-    timeperiod: ['timeperiod'],
-    campaignid: ['campaignid'],
-    campaignname: ['campaignname'],
-    campaignstatus: ['campaignstatus'],
-    impressions: ['impressions'],
-    clicks: ['clicks'],
-    averagecpc: ['averagecpc','avgcpc'],
-    spend: ['spend','cost'],
-    conversions: ['conversions','allconversions'],
-    allcostperconversion: ['allcostperconversion','costperconversion'],
-  };
+const SEARCH_QUERY_COLUMNS = {
+  timeperiod: ['timeperiod'],
+  accountid: ['accountid'],
+  campaignid: ['campaignid'],
+  campaignname: ['campaignname'],
+  adgroupid: ['adgroupid'],
+  adgroupname: ['adgroupname'],
+  keywordid: ['keywordid'],
+  keyword: ['keyword'],
+  searchquery: ['searchquery'],
+  matchtype: ['deliveredmatchtype','bidmatchtype'],
+  impressions: ['impressions'],
+  clicks: ['clicks'],
+  spend: ['spend','cost'],
+  conversions: ['conversions','allconversions'],
+};
 
-  const col = {};
-  for (const [k, variants] of Object.entries(need)) {
-    const i = variants.findIndex(v => v in colIdx);
-    col[k] = i >= 0 ? colIdx[variants[i]] : -1;
-  }
+const GOAL_COLUMNS = {
+  timeperiod: ['timeperiod'],
+  accountid: ['accountid'],
+  campaignid: ['campaignid'],
+  campaignname: ['campaignname'],
+  goalid: ['goalid'],
+  goal: ['goal','goalname'],
+  goaltype: ['goaltype'],
+  conversions: ['conversions','allconversions'],
+  revenue: ['revenue','allrevenue'],
+};
+
+const HOURLY_COLUMNS = {
+  timeperiod: ['timeperiod'],
+  hourofday: ['hourofday'],
+  accountid: ['accountid'],
+  campaignid: ['campaignid'],
+  campaignname: ['campaignname'],
+  currencycode: ['currencycode'],
+  impressions: ['impressions'],
+  clicks: ['clicks'],
+  spend: ['spend','cost'],
+  conversions: ['conversions','allconversions'],
+};
 
-  const rows = [];
-  for (let i = headerLineIdx + 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || /^total:/i.test(line)) break;
-    const cells = splitQuoted(line, delim);
-    if (cells.length < headerCells.length) continue;
+// Hourly aggregation prints TimePeriod as "YYYY-MM-DD|H" (hour in the account time zone)
+function hourOfTimePeriod(v, hourCell) {
+  const m = String(v || '').match(/\|\s*(\d{1,2})\s*$/);
+  if (m) return Number(m[1]);
+  const h = String(hourCell ?? '').trim();
+  return /^\d{1,2}$/.test(h) ? Number(h) : null;
+}
 
+/**
+ * Rows of a report held in memory. `reader` = { columns, toRow(cells, col, isoDate) };
+ * rows for which toRow returns null are dropped.
+ */
+function parseReportCsv(isoDate, csv, reader) {
+  const { rows } = parseReport(csv, reader, isoDate);
+  dbg('Rows parsed', { isoDate, count: rows.length });
+  return rows;
+}
+
+// Row readers per report type; the campaign one is built per call because its
+// columns come from metric-map.
+function campaignReader() {
+  const metrics = metricMap.loadMetricMap();
+  return {
+    columns: campaignColumns(),
+    toRow(cells, col, isoDate) {
+      const row = {
+        date: normaliseTimePeriod(cells[col.timeperiod], isoDate),
+        accountId: cells[col.accountid] || '',
+        accountName: cells[col.accountname] || '',
+        campaignId: cells[col.campaignid] || '',
+        campaignName: cells[col.campaignname] || '',
+        currencyCode: (cells[col.currencycode] || '').toUpperCase(),
+      };
+      for (const e of metrics) {
+        const cell = cells[col[`m:${e.field}`]];
+        row[e.field] = e.type === 'string' ? (cell || '') : num(cell);
+      }
+      return (row.campaignId || row.campaignName) ? row : null;
+    },
+  };
+}
+
+const adGroupReader = {
+  columns: AD_GROUP_COLUMNS,
+  toRow(cells, col, isoDate) {
     const row = {
-      date: isoDate,
+      date: normaliseTimePeriod(cells[col.timeperiod], isoDate),
+      accountId: cells[col.accountid] || '',
+      accountName: cells[col.accountname] || '',
       campaignId: cells[col.campaignid] || '',
       campaignName: cells[col.campaignname] || '',
-      campaign_status: cells[col.campaignstatus] || '',
+      adGroupId: cells[col.adgroupid] || '',
+      adGroupName: cells[col.adgroupname] || '',
+      ad_group_status: cells[col.adgroupstatus] || '',
       impressions: num(cells[col.impressions]),
       clicks: num(cells[col.clicks]),
       conversions: num(cells[col.conversions]),
       spend: num(cells[col.spend]),
       average_cpc: num(cells[col.averagecpc]),
-      all_cost_per_conversion: num(cells[col.allcostperconversion]),
     };
-    if (row.campaignId || row.campaignName) rows.push(row);
-  }
+    return row.adGroupId ? row : null;
+  },
+};
 
-  dbg('Rows parsed', { isoDate, count: rows.length });
-  return rows;
-}
+// QualityScore is "--" when Bing has not scored the keyword yet -> null, not 0
+const keywordReader = {
+  columns: KEYWORD_COLUMNS,
+  toRow(cells, col, isoDate) {
+    const qs = String(cells[col.qualityscore] ?? '').trim();
+    const row = {
+      date: normaliseTimePeriod(cells[col.timeperiod], isoDate),
+      accountId: cells[col.accountid] || '',
+      campaignId: cells[col.campaignid] || '',
+      campaignName: cells[col.campaignname] || '',
+      adGroupId: cells[col.adgroupid] || '',
+      adGroupName: cells[col.adgroupname] || '',
+      keywordId: cells[col.keywordid] || '',
+      keyword: cells[col.keyword] || '',
+      matchType: cells[col.matchtype] || '',
+      bid: num(cells[col.bid]),
+      qualityScore: /^\d+$/.test(qs) ? Number(qs) : null,
+      impressions: num(cells[col.impressions]),
+      clicks: num(cells[col.clicks]),
+      conversions: num(cells[col.conversions]),
+      spend: num(cells[col.spend]),
+    };
+    return row.keywordId ? row : null;
+  },
+};
+
+// One row per search term x keyword x delivered match type per day; `termKey`
+// identifies that combination within a day.
+const searchQueryReader = {
+  columns: SEARCH_QUERY_COLUMNS,
+  toRow(cells, col, isoDate) {
+    const row = {
+      date: normaliseTimePeriod(cells[col.timeperiod], isoDate),
+      accountId: cells[col.accountid] || '',
+      campaignId: cells[col.campaignid] || '',
+      campaignName: cells[col.campaignname] || '',
+      adGroupId: cells[col.adgroupid] || '',
+      adGroupName: cells[col.adgroupname] || '',
+      keywordId: cells[col.keywordid] || '',
+      keyword: cells[col.keyword] || '',
+      searchTerm: cells[col.searchquery] || '',
+      matchType: cells[col.matchtype] || '',
+      impressions: num(cells[col.impressions]),
+      clicks: num(cells[col.clicks]),
+      conversions: num(cells[col.conversions]),
+      spend: num(cells[col.spend]),
+    };
+    if (!row.searchTerm) return null;
+    row.termKey = [row.adGroupId, row.keywordId, row.matchType, row.searchTerm.toLowerCase()].join('|');
+    return row;
+  },
+};
+
+// One row per campaign x conversion goal per day; `goalKey` identifies it within a day
+const goalReader = {
+  columns: GOAL_COLUMNS,
+  toRow(cells, col, isoDate) {
+    const row = {
+      date: normaliseTimePeriod(cells[col.timeperiod], isoDate),
+      accountId: cells[col.accountid] || '',
+      campaignId: cells[col.campaignid] || '',
+      campaignName: cells[col.campaignname] || '',
+      goalId: cells[col.goalid] || '',
+      goal: cells[col.goal] || '',
+      goalType: cells[col.goaltype] || '',
+      conversions: num(cells[col.conversions]),
+      revenue: num(cells[col.revenue]),
+    };
+    if (!row.campaignId || !(row.goalId || row.goal)) return null;
+    row.goalKey = `${row.campaignId}|${row.goalId || row.goal}`;
+    return row;
+  },
+};
+
+// One row per campaign per hour; `hourKey` identifies it within a day
+const hourlyReader = {
+  columns: HOURLY_COLUMNS,
+  toRow(cells, col, isoDate) {
+    const row = {
+      date: normaliseTimePeriod(cells[col.timeperiod], isoDate),
+      hour: hourOfTimePeriod(cells[col.timeperiod], cells[col.hourofday]),
+      accountId: cells[col.accountid] || '',
+      campaignId: cells[col.campaignid] || '',
+      campaignName: cells[col.campaignname] || '',
+      currencyCode: (cells[col.currencycode] || '').toUpperCase(),
+      impressions: num(cells[col.impressions]),
+      clicks: num(cells[col.clicks]),
+      conversions: num(cells[col.conversions]),
+      spend: num(cells[col.spend]),
+    };
+    if (!row.campaignId || row.hour == null || row.hour > 23) return null;
+    row.hourKey = `${row.campaignId}|${row.hour}`;
+    return row;
+  },
+};
+
+const READERS = {
+  campaign: campaignReader,
+  adGroup: () => adGroupReader,
+  keyword: () => keywordReader,
+  searchQuery: () => searchQueryReader,
+  goal: () => goalReader,
+  hourly: () => hourlyReader,
+};
+
+const parseDailyCsv = (isoDate, csv) => parseReportCsv(isoDate, csv, campaignReader());
+const parseAdGroupCsv = (isoDate, csv) => parseReportCsv(isoDate, csv, adGroupReader);
+const parseKeywordCsv = (isoDate, csv) => parseReportCsv(isoDate, csv, keywordReader);
+const parseSearchQueryCsv = (isoDate, csv) => parseReportCsv(isoDate, csv, searchQueryReader);
+const parseGoalCsv = (isoDate, csv) => parseReportCsv(isoDate, csv, goalReader);
+const parseHourlyCsv = (isoDate, csv) => parseReportCsv(isoDate, csv, hourlyReader);
 
 // ---------- Auth ----------
 async function getAccessToken() {
-  const tokenUrl = 'https://login.microsoftonline.com/common/oauth2/v2.0/token';
-  const params = new URLSearchParams({
-    client_id: MSADS_CLIENT_ID,
-    grant_type: 'refresh_token',
-    refresh_token: MSADS_REFRESH_TOKEN,
-    scope: 'https://ads.microsoft.com/msads.manage offline_access',
-  });
-  const isPublic = String(MSADS_PUBLIC_CLIENT || '').toLowerCase() === 'true';
-  if (!isPublic && MSADS_CLIENT_SECRET) params.set('client_secret', MSADS_CLIENT_SECRET);
-
-  const res = await axios.post(tokenUrl, params.toString(), {
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    timeout: 30000,
-  });
-  if (res.status !== 200 || !res.data?.access_token) {
-    throw new Error(`Failed to get access token: ${res.status} ${res.statusText} ${JSON.stringify(res.data)}`);
-  }
-  return res.data.access_token;
+  if (archive.REPLAY) throw new Error('Microsoft Ads API is not available in replay mode (MSADS_REPLAY=1)');
+  return getMsAdsAccessToken(); // cached until shortly before expiry
 }
 
-function authHeaders(accessToken){
-  return {
+// CustomerAccountId only needs to be one account the user can access;
+// the report Scope decides which accounts are actually included.
+function authHeaders(accessToken, accountId){
+  const h = {
     Authorization: `Bearer ${accessToken}`,
     DeveloperToken: MSADS_DEVELOPER_TOKEN,
     CustomerId: String(MSADS_CUSTOMER_ID),
-    CustomerAccountId: String(MSADS_ACCOUNT_ID),
     'Content-Type': 'application/json',
     Accept: 'application/json',
   };
+  if (accountId) h.CustomerAccountId = String(accountId);
+  return h;
 }
 
 // ---------- Build report payload (NO ReportTimeZone) ----------
-function buildSubmitBody(dateYMD) {
-  const [Y,M,D] = [Number(dateYMD.slice(0,4)), Number(dateYMD.slice(5,7)), Number(dateYMD.slice(8,10))];
+function ymdToReportDate(ymd) {
+  return { Day: Number(ymd.slice(8,10)), Month: Number(ymd.slice(5,7)), Year: Number(ymd.slice(0,4)) };
+}
+
+const REPORT_TYPES = {
+  campaign: {
+    type: 'CampaignPerformanceReportRequest',
+    name: 'CampaignPerf',
+    // metric columns from metric-map
+    columns: () => Array.from(new Set(['TimePeriod','AccountId','AccountName','CampaignId','CampaignName','CurrencyCode', ...metricMap.reportColumns()])),
+  },
+  adGroup: {
+    type: 'AdGroupPerformanceReportRequest',
+    name: 'AdGroupPerf',
+    columns: [
+      'TimePeriod','AccountId','AccountName','CampaignId','CampaignName',
+      'AdGroupId','AdGroupName','Status','Impressions','Clicks','AverageCpc',
+      'Spend','Conversions'
+    ],
+  },
+  keyword: {
+    type: 'KeywordPerformanceReportRequest',
+    name: 'KeywordPerf',
+    columns: [
+      'TimePeriod','AccountId','CampaignId','CampaignName','AdGroupId','AdGroupName',
+      'KeywordId','Keyword','BidMatchType','CurrentMaxCpc','QualityScore',
+      'Impressions','Clicks','Spend','Conversions'
+    ],
+  },
+  searchQuery: {
+    type: 'SearchQueryPerformanceReportRequest',
+    name: 'SearchQueryPerf',
+    columns: [
+      'TimePeriod','AccountId','CampaignId','CampaignName','AdGroupId','AdGroupName',
+      'KeywordId','Keyword','SearchQuery','DeliveredMatchType',
+      'Impressions','Clicks','Spend','Conversions'
+    ],
+  },
+  // Campaign-level: without ad group/keyword columns Bing rolls the goal up per campaign
+  goal: {
+    type: 'GoalsAndFunnelsReportRequest',
+    name: 'GoalsPerf',
+    columns: [
+      'TimePeriod','AccountId','CampaignId','CampaignName',
+      'GoalId','Goal','GoalType','Conversions','Revenue'
+    ],
+  },
+  hourly: {
+    type: 'CampaignPerformanceReportRequest',
+    name: 'CampaignHourly',
+    aggregation: 'Hourly',
+    columns: [
+      'TimePeriod','AccountId','CampaignId','CampaignName','CurrencyCode',
+      'Impressions','Clicks','Spend','Conversions'
+    ],
+  },
+};
+
+function buildSubmitBody(fromYMD, toYMD, accountIds, kind = 'campaign') {
+  const def = REPORT_TYPES[kind];
+  if (!def) throw new Error(`Unknown report type: ${kind}`);
   return {
     ReportRequest: {
-      Type: 'CampaignPerformanceReportRequest',
+      Type: def.type,
       Format: 'Csv',
-      ReportName: `CampaignPerf ${dateYMD}`,
+      ReportName: fromYMD === toYMD ? `${def.name} ${fromYMD}` : `${def.name} ${fromYMD}..${toYMD}`,
       ReturnOnlyCompleteData: false,
-      Aggregation: 'Daily',
-      Scope: { AccountIds: [ String(MSADS_ACCOUNT_ID) ] },
+      Aggregation: def.aggregation || 'Daily',
+      Scope: { AccountIds: accountIds.map(String) },
       Time: {
-        CustomDateRangeStart: { Day: D, Month: M, Year: Y },
-        CustomDateRangeEnd:   { Day: D, Month: M, Year: Y }
+        CustomDateRangeStart: ymdToReportDate(fromYMD),
+        CustomDateRangeEnd:   ymdToReportDate(toYMD)
         // Intentionally NOT including ReportTimeZone
       },
-      Columns: [
-        'TimePeriod','AccountId','AccountName','CampaignId','CampaignName',
-        'CampaignStatus','Impressions','Clicks','AverageCpc','Spend',
-        'Conversions','AllCostPerConversion'
-      ],
+      Columns: typeof def.columns === 'function' ? def.columns() : def.columns,
     }
   };
 }
 
-// ---------- Submit with soft-skip on 2010 ----------
-async function submitReport(accessToken, dateYMD) {
-  dbg('Submit', { dateYMD });
-
-  const attemptSubmit = async () => {
-    const body = buildSubmitBody(dateYMD);
-    const res = await axios.post(SUBMIT_URL, body, {
-      headers: authHeaders(accessToken),
-      timeout: 30000,
-      validateStatus: s => s < 500 || s === 429,
-    });
-    if (res.status === 200 && res.data?.ReportRequestId) return res.data.ReportRequestId;
-    const raw = JSON.stringify(res.data);
-    throw new Error(`Submit report failed: ${res.status} ${res.statusText} ${raw}`);
-  };
-
-  try {
-    return await attemptSubmit();
-  } catch (e) {
-    const msg = String(e.message || '');
-    // If Bing says the end date is invalid (2010), treat this day as "no data" and SKIP.
-    if (msg.includes('InvalidCustomDateRangeEnd') || msg.includes('"Code":2010')) {
-      dbg('Soft-skip day due to 2010 (invalid end date).');
-      return null; // signal "no report for this day"
-    }
-    // Otherwise retry once (network hiccup etc.)
-    dbg('Attempt 1 failed:', e.message);
-    await sleep(4000);
-    try {
-      return await attemptSubmit();
-    } catch (e2) {
-      const msg2 = String(e2.message || '');
-      if (msg2.includes('InvalidCustomDateRangeEnd') || msg2.includes('"Code":2010')) {
-        dbg('Soft-skip day on retry (2010).');
-        return null;
-      }
-      throw e2;
-    }
+// ---------- Submit (null = rejected with 2010) ----------
+async function submitReport(accessToken, fromYMD, toYMD, accountIds, kind = 'campaign') {
+  dbg('Submit', { kind, fromYMD, toYMD, accounts: accountIds.length });
+  const body = buildSubmitBody(fromYMD, toYMD, accountIds, kind);
+  const res = await withBackoff(() => axios.post(SUBMIT_URL, body, {
+    headers: authHeaders(accessToken, accountIds[0]),
+    timeout: 30000,
+    validateStatus: () => true,
+  }), backoff(`Submit ${kind} ${fromYMD}..${toYMD}`));
+  if (res.status === 200 && res.data?.ReportRequestId) return res.data.ReportRequestId;
+
+  const raw = JSON.stringify(res.data);
+  // Bing says the end date is invalid (2010): no report for these days
+  if (raw.includes('InvalidCustomDateRangeEnd') || raw.includes('"Code":2010')) {
+    dbg('Invalid date range (2010).');
+    return null;
   }
+  throw new Error(`Submit report failed: ${res.status} ${res.statusText} ${raw}`);
 }
 
 // ---------- Poll + download ----------
-async function pollForUrl(accessToken, requestId, startedAt){
-  if (!requestId) return null; // soft-skip
+// @returns {Promise<{ status: string, url?: string, detail?: string }>}
+async function pollForUrl(accessToken, requestId, startedAt, accountId){
   dbg('Poll start', { requestId });
   for (;;) {
-    const res = await axios.post(POLL_URL, { ReportRequestId: requestId }, {
-      headers: authHeaders(accessToken),
+    const res = await withBackoff(() => axios.post(POLL_URL, { ReportRequestId: requestId }, {
+      headers: authHeaders(accessToken, accountId),
       timeout: 30000,
-    });
+      validateStatus: () => true,
+    }), backoff(`Poll ${requestId}`));
+    if (res.status !== 200) {
+      throw new Error(`Poll report failed: ${res.status} ${res.statusText} ${JSON.stringify(res.data)}`);
+    }
     const status = res.data?.ReportRequestStatus?.Status;
     const url    = res.data?.ReportRequestStatus?.ReportDownloadUrl;
     dbg('Poll status', { status, hasUrl: !!url });
 
-    if (res.status === 200 && status === 'Success') {
-      // Some early days return Success with no URL => treat as "no rows"
-      return url || null;
+    if (status === 'Success') {
+      // Some early days return Success with no URL: the report has no rows
+      return url ? { status: REPORT_STATUS.OK, url } : { status: REPORT_STATUS.NO_DATA };
     }
-    if (res.status === 200 && (status === 'Error' || status === 'Failed')) {
-      // Treat as no rows rather than bombing the batch
-      return null;
+    if (status === 'Error' || status === 'Failed') {
+      return { status: REPORT_STATUS.REPORT_FAILED, detail: `Bing report status ${status}` };
     }
 
     if (Date.now() - startedAt > TOTAL_TIMEOUT_MS) {
-      // If it drags on, also treat as no rows to keep batch moving
-      return null;
+      return { status: REPORT_STATUS.TIMED_OUT, detail: `still ${status || 'pending'} after ${Math.round(TOTAL_TIMEOUT_MS / 1000)}s` };
     }
     await sleep(POLL_INTERVAL_MS);
   }
 }
 
-async function downloadCsv(url, accessToken) {
-  if (!url) return ''; // no data
+// Stream the report to `dest` as served (ZIP, gzip or plain CSV), hashing on the way.
+// @returns {Promise<{ bytes: number, sha256: string }|{ failedStatus: number }>}
+async function downloadReport(url, accessToken, dest) {
+  const get = (headers) => withBackoff(
+    () => axios.get(url, { headers, responseType: 'stream', timeout: 60000, validateStatus: () => true }),
+    backoff('Download', { isThrottled: () => false })
+  );
   dbg('Download try #1 (anon)');
-  let res = await axios.get(url, { responseType: 'arraybuffer', timeout: 60000 });
+  let res = await get({});
   if (res.status === 403 || res.status === 401) {
+    res.data.resume();
     dbg(`Download #1 rejected (${res.status}). Retrying with Bearer…`);
-    res = await axios.get(url, {
-      headers: { Authorization: `Bearer ${accessToken}` },
-      responseType: 'arraybuffer', timeout: 60000,
-    });
+    res = await get({ Authorization: `Bearer ${accessToken}` });
   }
-
   if (res.status !== 200) {
-    let tail = '';
-    try { tail = Buffer.from(res.data || '').toString('utf8').slice(0, 320); } catch {}
-    // No data: return empty rather than throwing
-    return '';
+    res.data.resume();
+    dbg('Download failed', { status: res.status });
+    return { failedStatus: res.status };
   }
 
-  const buf = Buffer.from(res.data);
-  if (buf.slice(0, 2).toString('hex') === '504b') {
-    const AdmZip = require('adm-zip');
-    const zip = new AdmZip(buf);
-    const entry = zip.getEntries().find(e => /\.csv$/i.test(e.entryName));
-    return entry ? entry.getData().toString('utf8') : '';
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  res.data.on('data', (chunk) => { hash.update(chunk); bytes += chunk.length; });
+  await pipeline(res.data, fs.createWriteStream(dest));
+  return { bytes, sha256: hash.digest('hex') };
+}
+
+// ---------- Public API ----------
+const pool = createPool(CONCURRENCY);
+
+// Submit + poll + download into the report archive (src/reportArchive.js), which
+// records every outcome. At most MSADS_CONCURRENCY of these run at once; the rest queue.
+// @returns {Promise<{ status: string, detail?: string, file?: string, temporary?: boolean }>}
+//   file is set for status "ok"; temporary = not archived, delete after use
+function fetchReport(fromYMD, toYMD, kind = 'campaign') {
+  return pool.run(() => fetchReportNow(fromYMD, toYMD, kind));
+}
+
+async function fetchReportNow(fromYMD, toYMD, kind) {
+  const token = await getAccessToken();
+  const accountIds = await resolveAccountIds(token, MSADS_ACCOUNT_ID);
+  const { ReportName, Columns } = buildSubmitBody(fromYMD, toYMD, accountIds, kind).ReportRequest;
+  const request = { kind, from: fromYMD, to: toYMD, reportName: ReportName, accountIds, columns: Columns };
+
+  const reqId = await submitReport(token, fromYMD, toYMD, accountIds, kind);
+  if (!reqId) {
+    archive.saveReport({ ...request, result: REPORT_STATUS.INVALID_DATE });
+    return { status: REPORT_STATUS.INVALID_DATE };
+  }
+
+  const poll = await pollForUrl(token, reqId, Date.now(), accountIds[0]);
+  if (poll.status !== REPORT_STATUS.OK) {
+    archive.saveReport({ ...request, reportRequestId: reqId, result: poll.status, detail: poll.detail });
+    return { status: poll.status, detail: poll.detail };
+  }
+
+  const tmp = path.join(os.tmpdir(), `msads-${kind}-${process.pid}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.download`);
+  let download;
+  try {
+    download = await downloadReport(poll.url, token, tmp);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
   }
-  if (buf[0] === 0x1f && buf[1] === 0x8b) {
-    const zlib = require('zlib');
-    return zlib.gunzipSync(buf).toString('utf8');
+  if (download.failedStatus) {
+    fs.rmSync(tmp, { force: true });
+    const detail = `download returned HTTP ${download.failedStatus}`;
+    archive.saveReport({ ...request, reportRequestId: reqId, result: REPORT_STATUS.DOWNLOAD_FAILED, detail });
+    return { status: REPORT_STATUS.DOWNLOAD_FAILED, detail };
   }
-  return buf.toString('utf8');
+
+  const saved = archive.saveReport({
+    ...request, reportRequestId: reqId, result: REPORT_STATUS.OK,
+    download: { path: tmp, ...download },
+  });
+  const file = saved ? { file: saved.file, temporary: false } : { file: tmp, temporary: true };
+  return { status: REPORT_STATUS.OK, ...file };
+}
+
+/**
+ * Stream one report file into per-day buckets (rows dated outside `byDay` are dropped).
+ * @returns {Promise<Object|null>} the report's header metadata
+ */
+async function readReportIntoDays(report, kind, byDay, days = null) {
+  if (!report || !report.file) return null;
+  const wanted = days ? new Set(days) : null;
+  const stream = streamReportFile(report.file, READERS[kind]());
+  let count = 0;
+  try {
+    for await (const row of stream.rows) {
+      if (!row.date || !(row.date in byDay) || (wanted && !wanted.has(row.date))) {
+        dbg('Row outside requested range, skipped', { date: row.date });
+        continue;
+      }
+      byDay[row.date].push(row);
+      count++;
+    }
+  } finally {
+    if (report.temporary) fs.rmSync(report.file, { force: true });
+  }
+  dbg('Rows parsed', { kind, file: path.basename(report.file), count });
+  return stream.metadata;
+}
+
+// Per-day status for days served by one report: a report that came through
+// still has "no-data" days when they have no rows.
+function markDayStatuses(statusByDay, days, status, byDay) {
+  for (const d of days) {
+    statusByDay[d] = status === REPORT_STATUS.OK && !byDay[d].length ? REPORT_STATUS.NO_DATA : status;
+  }
+}
+
+/**
+ * Range result with an overall status: the first failed day's status, else "ok"
+ * when any day has rows, else "no-data"/"invalid-date".
+ */
+function rangeResult(metadata, byDay, statusByDay, detail) {
+  const statuses = Object.values(statusByDay);
+  const failedDays = Object.keys(statusByDay).filter(d => isFailureStatus(statusByDay[d]));
+  const status = failedDays.length ? statusByDay[failedDays[0]]
+    : statuses.includes(REPORT_STATUS.OK) ? REPORT_STATUS.OK
+    : statuses.includes(REPORT_STATUS.NO_DATA) ? REPORT_STATUS.NO_DATA
+    : REPORT_STATUS.INVALID_DATE;
+  return { status, statusByDay, failedDays, detail: detail || null, metadata, byDay };
+}
+
+/**
+ * Replay: rows for an inclusive range from the newest archived report(s)
+ * covering each day. Throws when a day was never archived.
+ */
+async function replayReportForRange(kind, fromYMD, toYMD) {
+  const days = eachDayYMD(fromYMD, toYMD);
+  const byDay = Object.fromEntries(days.map(d => [d, []]));
+  const statusByDay = {};
+  let metadata = null;
+  for (const [meta, served] of archive.coverDays(kind, days)) {
+    dbg('Replay', { kind, file: meta.file, fetchedAt: meta.fetchedAt, days: served.length });
+    const m = await readReportIntoDays({ file: archive.reportFile(meta) }, kind, byDay, served);
+    if (!metadata) metadata = m;
+    markDayStatuses(statusByDay, served, meta.result, byDay);
+  }
+  return rangeResult(metadata, byDay, statusByDay);
+}
+
+// Record the days' completeness in report-state.json from the report's header metadata
+function trackCompleteness(days, metadata) {
+  if (!metadata) return metadata;
+  const finalised = reportState.markDays(days, metadata);
+  if (finalised.length) dbg('Days now complete', finalised);
+  return metadata;
+}
+
+/**
+ * One day's campaign rows with the fetch outcome. A failed fetch is not an
+ * empty day: check `status` (see REPORT_STATUS / isFailureStatus).
+ * @returns {Promise<{ date: string, status: string, detail: string|null, metadata: Object|null, rows: Array }>}
+ */
+async function getCampaignReportForDate(isoDate) {
+  const r = await getCampaignReportForRange(isoDate, isoDate);
+  return { date: isoDate, status: r.status, detail: r.detail, metadata: r.metadata, rows: r.byDay[isoDate] };
 }
 
-// ---------- Public API ----------
 async function getCampaignSummaryForDate(isoDate) {
-  const token = await getAccessToken();
-  const reqId = await submitReport(token, isoDate);
-  if (!reqId) return []; // soft-skip day
+  return getCampaignReportForDate(isoDate);
+}
 
-  const url   = await pollForUrl(token, reqId, Date.now());
-  if (!url)   return []; // treat as no rows
+/**
+ * One Daily-aggregated report for the whole inclusive range, split back into
+ * per-day buckets by TimePeriod. Every day in the range is present in `byDay`
+ * and `statusByDay` (empty array + "no-data" = no rows that day).
+ * @returns {Promise<{ status: string, statusByDay: Object<string, string>, failedDays: string[],
+ *   detail: string|null, metadata: Object|null, byDay: Object<string, Array> }>}
+ */
+async function getCampaignReportForRange(fromYMD, toYMD) {
+  return getReportForRange('campaign', fromYMD, toYMD);
+}
 
-  const csv   = await downloadCsv(url, token);
-  if (!csv)   return []; // treat as no rows
+/**
+ * Range rows only: { 'YYYY-MM-DD': rows[] }. Throws when any day failed to fetch,
+ * so an outage never reads as zero spend.
+ */
+async function getCampaignSummaryForRange(fromYMD, toYMD) {
+  return assertReportOk(await getCampaignReportForRange(fromYMD, toYMD), `campaign report ${fromYMD}..${toYMD}`).byDay;
+}
 
-  const rows  = parseDailyCsv(isoDate, csv);
-  return rows;
+/** Throw when a range result has failed days; returns the result otherwise. */
+function assertReportOk(result, what) {
+  if (!result.failedDays.length) return result;
+  const err = new Error(
+    `${what} failed (${result.status}${result.detail ? ': ' + result.detail : ''}) for ${result.failedDays.join(', ')}`
+  );
+  err.status = result.status;
+  err.failedDays = result.failedDays;
+  throw err;
+}
+
+// Per-day bucketing shared by every report type. Completeness is tracked from the
+// campaign report only, so the other types do not touch report-state.json.
+async function getReportForRange(kind, fromYMD, toYMD) {
+  if (archive.REPLAY) return replayReportForRange(kind, fromYMD, toYMD);
+  const days = eachDayYMD(fromYMD, toYMD);
+  const byDay = Object.fromEntries(days.map(d => [d, []]));
+  const statusByDay = {};
+
+  const report = await fetchReport(fromYMD, toYMD, kind);
+  if (report.status === REPORT_STATUS.INVALID_DATE && days.length > 1) {
+    // 2010 on a range usually means part of it is outside what Bing keeps;
+    // fall back to per-day so the valid days still come through.
+    dbg(`${kind} range rejected (2010), falling back to per-day`, { fromYMD, toYMD });
+    const details = [];
+    const perDay = await Promise.all(days.map(d => getReportForRange(kind, d, d)));
+    days.forEach((d, i) => {
+      const r = perDay[i];
+      byDay[d] = r.byDay[d];
+      statusByDay[d] = r.statusByDay[d];
+      if (r.detail) details.push(`${d}: ${r.detail}`);
+    });
+    return rangeResult(null, byDay, statusByDay, details.join('; '));
+  }
+
+  const metadata = await readReportIntoDays(report, kind, byDay);
+  if (kind === 'campaign') trackCompleteness(days, metadata);
+  markDayStatuses(statusByDay, days, report.status, byDay);
+  return rangeResult(metadata, byDay, statusByDay, report.detail);
+}
+
+/**
+ * getReportForRange for several [from, to] ranges (e.g. monthChunks), fetched
+ * MSADS_CONCURRENCY at a time but yielded in the order given, so callers can
+ * write results sequentially. A range whose fetch threw yields `error` instead
+ * of `result`.
+ * @param {string} kind - REPORT_TYPES key
+ * @param {Iterable<[string, string]>} ranges
+ * @returns {AsyncGenerator<{ from: string, to: string, result?: Object, error?: Error }>}
+ */
+async function* eachReportForRanges(kind, ranges) {
+  const todo = Array.from(ranges);
+  const inFlight = [];
+  const start = ([from, to]) => inFlight.push(
+    getReportForRange(kind, from, to).then(result => ({ from, to, result }), error => ({ from, to, error }))
+  );
+  // keep a few ranges queued behind the pool without holding the whole backfill in memory
+  while (todo.length || inFlight.length) {
+    while (todo.length && inFlight.length < CONCURRENCY * 2) start(todo.shift());
+    yield await inFlight.shift();
+  }
+}
+
+/**
+ * Ad-group-level daily rows for an inclusive range.
+ * Same result shape as getCampaignReportForRange.
+ */
+async function getAdGroupReportForRange(fromYMD, toYMD) {
+  return getReportForRange('adGroup', fromYMD, toYMD);
+}
+
+/**
+ * Keyword-level daily rows (match type, bid, quality score) for an inclusive range.
+ * Same result shape as getCampaignReportForRange.
+ */
+async function getKeywordReportForRange(fromYMD, toYMD) {
+  return getReportForRange('keyword', fromYMD, toYMD);
 }
 
+/**
+ * What people actually searched, per keyword/ad group, for an inclusive range.
+ * Same result shape as getCampaignReportForRange.
+ */
+async function getSearchQueryReportForRange(fromYMD, toYMD) {
+  return getReportForRange('searchQuery', fromYMD, toYMD);
+}
+
+/**
+ * Conversions per campaign per conversion goal for an inclusive range.
+ * Same result shape as getCampaignReportForRange.
+ */
+async function getGoalReportForRange(fromYMD, toYMD) {
+  return getReportForRange('goal', fromYMD, toYMD);
+}
+
+/**
+ * Campaign metrics per hour of day (Hourly aggregation) for an inclusive range;
+ * rows carry `hour` (0-23). Same result shape as getCampaignReportForRange.
+ */
+async function getHourlyReportForRange(fromYMD, toYMD) {
+  return getReportForRange('hourly', fromYMD, toYMD);
+}
+
+// Rows only; throws when the day failed to fetch
 async function getDailyCampaignRows(isoDate) {
-  return getCampaignSummaryForDate(isoDate);
+  const r = await getCampaignReportForRange(isoDate, isoDate);
+  return assertReportOk(r, `campaign report ${isoDate}`).byDay[isoDate];
 }
 
 function isoInLondon(daysOffset = 0) {
@@ -353,8 +850,39 @@ async function getYesterdayCampaignSummary() {
   return getCampaignSummaryForDate(isoInLondon(-1));
 }
 
+/**
+ * Accounts visible under MSADS_CUSTOMER_ID, flagged with whether the current
+ * MSADS_ACCOUNT_ID setting includes them.
+ */
+async function listAccessibleAccounts() {
+  const token = await getAccessToken();
+  const accounts = await discoverAccounts(token, { customerId: MSADS_CUSTOMER_ID, developerToken: MSADS_DEVELOPER_TOKEN });
+  const selected = new Set(await resolveAccountIds(token, MSADS_ACCOUNT_ID));
+  return accounts.map(a => ({ ...a, selected: selected.has(a.id) }));
+}
+
 module.exports = {
+  REPORT_STATUS,
+  isFailureStatus,
+  assertReportOk,
   getDailyCampaignRows,
   getCampaignSummaryForDate,
+  getCampaignSummaryForRange,
+  getCampaignReportForDate,
+  getCampaignReportForRange,
+  getAdGroupReportForRange,
+  getKeywordReportForRange,
+  getSearchQueryReportForRange,
+  getGoalReportForRange,
+  getHourlyReportForRange,
+  eachReportForRanges,
   getYesterdayCampaignSummary,
+  listAccessibleAccounts,
+  parseDailyCsv,
+  parseAdGroupCsv,
+  parseKeywordCsv,
+  parseSearchQueryCsv,
+  parseGoalCsv,
+  parseHourlyCsv,
+  parseReportMetadata,
 };
@@ -1,20 +1,37 @@
 // src/nonZeroReport.js — simple “spend > 0” filter wrapper
 'use strict';
 
-const { getCampaignSummaryForDate } = require('./msadsReport');
+const { getCampaignSummaryForDate, getCampaignSummaryForRange, getDailyCampaignRows: getRows } = require('./msadsReport');
 
 /**
  * Returns only rows with spend > 0 for the given ISO date.
  * Row shape is whatever msadsReport returns (we keep it unchanged).
+ * Both functions throw when Bing failed to produce the report.
  */
 async function getNonZeroSummaryForDate(isoDate) {
-  const rows = await getCampaignSummaryForDate(isoDate);
+  const rows = await getRows(isoDate);
   return (rows || []).filter(r => Number(r?.spend) > 0);
 }
 
+/**
+ * Same filter over a whole range (one Bing report): { 'YYYY-MM-DD': rows[] }.
+ */
+async function getNonZeroSummaryForRange(fromYMD, toYMD) {
+  const byDay = await getCampaignSummaryForRange(fromYMD, toYMD);
+  for (const d of Object.keys(byDay)) {
+    byDay[d] = (byDay[d] || []).filter(r => Number(r?.spend) > 0);
+  }
+  return byDay;
+}
+
 // For compatibility with earlier calls that used this name:
 async function getDailyCampaignRows(isoDate) {
   return getNonZeroSummaryForDate(isoDate);
 }
 
-module.exports = { getNonZeroSummaryForDate, getDailyCampaignRows, getCampaignSummaryForDate };
+module.exports = {
+  getNonZeroSummaryForDate,
+  getNonZeroSummaryForRange,
+  getDailyCampaignRows,
+  getCampaignSummaryForDate,
+};
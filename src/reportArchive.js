@@ -0,0 +1,138 @@
+// src/reportArchive.js
+// Every report downloaded from Microsoft Ads is kept as received (ZIP/CSV/gzip)
+// next to a JSON file describing the request:
+//
+//   report-archive/<kind>/<from>_<to>/<fetchedAt>.zip
+//   report-archive/<kind>/<from>_<to>/<fetchedAt>.json
+//     { kind, from, to, fetchedAt, result, detail, file, bytes, sha256,
+//       reportRequestId, reportName, accountIds, columns }
+//
+// `result` is the fetch status (msadsReport REPORT_STATUS). Only "ok" has a file;
+// "no-data" and "invalid-date" are archived as JSON only, so replay can tell
+// "no data that day" from "never fetched". Failed fetches are archived for the
+// record but never replayed.
+//
+// Replay (MSADS_REPLAY=1) serves reports from here instead of calling Bing; for
+// each day the newest archived report covering it is used (MSADS_REPLAY_AS_OF
+// picks the newest fetched at or before that time instead).
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+const ARCHIVE_DIR = path.resolve(process.cwd(), process.env.MSADS_ARCHIVE_DIR || 'report-archive');
+const REPLAY = String(process.env.MSADS_REPLAY || '').toLowerCase() === '1' ||
+  String(process.env.MSADS_REPLAY || '').toLowerCase() === 'true';
+const REPLAY_AS_OF = process.env.MSADS_REPLAY_AS_OF ? new Date(process.env.MSADS_REPLAY_AS_OF) : null;
+const DISABLED = String(process.env.MSADS_ARCHIVE || '').toLowerCase() === '0';
+const REPLAYABLE = new Set(['ok', 'no-data', 'invalid-date']);
+
+// 2025-10-28T06:30:01.123Z -> 20251028T063001123Z (safe on Windows)
+const stamp = (iso) => iso.replace(/[-:.]/g, '');
+
+function extensionFor(file) {
+  const magic = Buffer.alloc(2);
+  const fd = fs.openSync(file, 'r');
+  try { fs.readSync(fd, magic, 0, 2, 0); } finally { fs.closeSync(fd); }
+  if (magic.toString('hex') === '504b') return 'zip';
+  if (magic[0] === 0x1f && magic[1] === 0x8b) return 'csv.gz';
+  return 'csv';
+}
+
+function moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e; // temp dir on another drive
+    fs.copyFileSync(from, to);
+    fs.rmSync(from, { force: true });
+  }
+}
+
+/**
+ * Store one report. The downloaded file is moved into the archive; outcomes
+ * other than "ok" have no download.
+ * @param {{ kind: string, from: string, to: string, result: string,
+ *   download?: { path: string, bytes: number, sha256: string }|null,
+ *   reportRequestId?: string, reportName?: string, accountIds?: string[], columns?: string[],
+ *   fetchedAt?: string }} rec - fetchedAt defaults to now (set it when importing an old download)
+ * @returns {{ meta: string, file: string|null }|null} archived paths; null when archiving is off
+ */
+function saveReport({ kind, from, to, result, download = null, fetchedAt = new Date().toISOString(), ...request }) {
+  if (REPLAY || DISABLED) return null;
+  const dir = path.join(ARCHIVE_DIR, kind, `${from}_${to}`);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const base = path.join(dir, stamp(fetchedAt));
+  const meta = { kind, from, to, fetchedAt, result, file: null, bytes: 0, sha256: null, ...request };
+  if (download) {
+    meta.file = `${path.basename(base)}.${extensionFor(download.path)}`;
+    meta.bytes = download.bytes;
+    meta.sha256 = download.sha256;
+    moveFile(download.path, path.join(dir, meta.file));
+  }
+  fs.writeFileSync(`${base}.json`, JSON.stringify(meta, null, 2));
+  return { meta: `${base}.json`, file: meta.file ? path.join(dir, meta.file) : null };
+}
+
+/** Metadata of every archived report of `kind`, newest fetch first. */
+function listReports(kind) {
+  const kindDir = path.join(ARCHIVE_DIR, kind);
+  let ranges;
+  try {
+    ranges = fs.readdirSync(kindDir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const out = [];
+  for (const r of ranges) {
+    const dir = path.join(kindDir, r);
+    for (const f of fs.readdirSync(dir)) {
+      if (!f.endsWith('.json')) continue;
+      const meta = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+      out.push({ ...meta, dir });
+    }
+  }
+  return out
+    .filter(m => !REPLAY_AS_OF || new Date(m.fetchedAt) <= REPLAY_AS_OF)
+    .sort((a, b) => b.fetchedAt.localeCompare(a.fetchedAt));
+}
+
+/**
+ * The archived report to use for each day of an inclusive range.
+ * @param {string[]} days
+ * @returns {Map<Object, string[]>} report metadata -> the days it serves
+ * @throws when a day was never archived
+ */
+function coverDays(kind, days) {
+  const reports = listReports(kind);
+  const plan = new Map();
+  const missing = [];
+  for (const d of days) {
+    const hit = reports.find(m => REPLAYABLE.has(m.result) && m.from <= d && d <= m.to);
+    if (!hit) { missing.push(d); continue; }
+    if (!plan.has(hit)) plan.set(hit, []);
+    plan.get(hit).push(d);
+  }
+  if (missing.length) {
+    throw new Error(
+      `Replay: no archived ${kind} report in ${ARCHIVE_DIR} covers ${missing.join(', ')}` +
+      (REPLAY_AS_OF ? ` (as of ${REPLAY_AS_OF.toISOString()})` : '')
+    );
+  }
+  return plan;
+}
+
+/** Path of an archived report file, or null when the fetch produced none. */
+function reportFile(meta) {
+  return meta.file ? path.join(meta.dir, meta.file) : null;
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  REPLAY,
+  saveReport,
+  listReports,
+  coverDays,
+  reportFile,
+};
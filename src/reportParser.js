@@ -0,0 +1,198 @@
+// src/reportParser.js
+// Microsoft Ads CSV report envelope, parsed with csv-parse:
+//
+//   "Report Name: CampaignPerf 2025-10-27"        <- metadata, one "Key: Value" per line
+//   "Potential Incomplete Data: true"
+//   ...
+//   "TimePeriod","AccountId",...,"Clicks"          <- column row
+//   "2025-10-27","149445513",...,"12"              <- data (quoted fields may span lines)
+//   "Total: 2",...                                 <- totals row (skipped)
+//   "©2025 Microsoft Corporation. All rights reserved. "   <- footer (skipped)
+//
+// Reports are read as a stream from the downloaded file (ZIP, gzip or plain CSV),
+// so keyword and search-term reports never have to fit in memory; parseReport()
+// does the same walk over a string for callers that already hold the CSV.
+'use strict';
+const fs = require('fs');
+const zlib = require('zlib');
+const { parse } = require('csv-parse');
+const { parse: parseSync } = require('csv-parse/sync');
+
+const CSV_OPTIONS = {
+  bom: true,
+  relax_column_count: true, // metadata/footer lines have one cell, data rows many
+  relax_quotes: true,
+  skip_empty_lines: true,
+  trim: true,
+};
+
+function normaliseHeaderToken(t) {
+  return String(t).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "10/28/2025 6:40:00 PM (GMT)" -> "2025-10-28T18:40:00" (report time zone, as printed)
+function parseReportTimestamp(s) {
+  const m = String(s || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?/i);
+  if (!m) return null;
+  let h = Number(m[4] || 0);
+  if (m[7] && /pm/i.test(m[7]) && h < 12) h += 12;
+  if (m[7] && /am/i.test(m[7]) && h === 12) h = 0;
+  const p2 = (v) => String(v).padStart(2, '0');
+  return `${m[3]}-${p2(m[1])}-${p2(m[2])}T${p2(h)}:${m[5] || '00'}:${m[6] || '00'}`;
+}
+
+function toNumber(v) {
+  const n = Number(String(v).replace(/[,%]/g, ''));
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * The "Key: Value" lines above the column row, e.g.
+ *   "Potential Incomplete Data: true"
+ *   "Last Completed Available Day: 10/28/2025 6:40:00 PM (GMT)"
+ * @returns {{ reportName, reportTime, timeZone, aggregation, rowCount,
+ *   potentialIncompleteData: boolean, lastCompletedAvailableDay, lastCompletedAvailableHour, raw: Object }}
+ */
+function describeMetadata(raw) {
+  return {
+    reportName: raw['Report Name'] || null,
+    reportTime: raw['Report Time'] || null,
+    timeZone: raw['Time Zone'] || null,
+    aggregation: raw['Report Aggregation'] || null,
+    rowCount: raw['Rows'] != null ? toNumber(raw['Rows']) : null,
+    // Missing flag = assume complete (older report formats don't print it)
+    potentialIncompleteData: String(raw['Potential Incomplete Data'] || '').toLowerCase() === 'true',
+    lastCompletedAvailableDay: parseReportTimestamp(raw['Last Completed Available Day']),
+    lastCompletedAvailableHour: parseReportTimestamp(raw['Last Completed Available Hour']),
+    raw,
+  };
+}
+
+/**
+ * Envelope state machine fed one csv-parse record at a time.
+ * @param {{ columns: Object<string,string[]>, toRow: Function }|null} def - column key ->
+ *   accepted normalised header tokens, and toRow(cells, col, isoDate) -> row|null.
+ *   null = metadata only.
+ */
+function createEnvelope(def, isoDate) {
+  const raw = {};
+  let col = null;
+  let width = 0;
+  let done = false;
+  let stray = 0; // multi-cell lines before any column row
+
+  return {
+    raw,
+    get hasHeader() { return !!col; },
+    get stray() { return stray; },
+    get done() { return done; },
+    /** @returns {Object|null} a typed row, or null for envelope/skipped lines */
+    push(cells) {
+      if (done) return null;
+
+      if (!col) {
+        const tokens = cells.map(normaliseHeaderToken);
+        if (cells.length > 1 && tokens.includes('timeperiod')) {
+          if (!def) { done = true; return null; }
+          const idx = Object.fromEntries(tokens.map((h, i) => [h, i]));
+          col = {};
+          for (const [k, variants] of Object.entries(def.columns)) {
+            const v = variants.find(x => x in idx);
+            col[k] = v !== undefined ? idx[v] : -1;
+          }
+          width = cells.length;
+          return null;
+        }
+        const m = cells.length === 1 && cells[0].match(/^([^:]+):\s*(.*)$/);
+        if (m) raw[m[1].trim()] = m[2].trim();
+        else if (cells.length > 1) stray++;
+        return null;
+      }
+
+      // Totals row, then the copyright footer: nothing after them is data
+      if (/^total\b/i.test(cells[0] || '')) { done = true; return null; }
+      if (cells.length < width) {
+        if (cells.length === 1) done = true; // footer
+        return null;
+      }
+      return def.toRow(cells, col, isoDate);
+    },
+  };
+}
+
+function checkEnvelope(env) {
+  // "Success/no data" responses can be metadata lines only; table-like lines
+  // without a column row mean the format is not what we expect
+  if (!env.hasHeader && env.stray > 0) {
+    throw new Error('CSV missing expected header row.');
+  }
+}
+
+/**
+ * Parse a whole report held in memory.
+ * @returns {{ metadata: Object, rows: Array }}
+ */
+function parseReport(csv, def, isoDate = null) {
+  if (!csv) return { metadata: null, rows: [] };
+  const env = createEnvelope(def, isoDate);
+  const rows = [];
+  for (const cells of parseSync(String(csv), CSV_OPTIONS)) {
+    const row = env.push(cells);
+    if (row) rows.push(row);
+    if (env.done && !def) break;
+  }
+  if (def) checkEnvelope(env);
+  return { metadata: describeMetadata(env.raw), rows };
+}
+
+/** Readable CSV text stream for a downloaded report file (ZIP, gzip or plain). */
+async function openReportFile(file) {
+  const magic = Buffer.alloc(2);
+  const fd = fs.openSync(file, 'r');
+  try { fs.readSync(fd, magic, 0, 2, 0); } finally { fs.closeSync(fd); }
+
+  if (magic.toString('hex') === '504b') {
+    const unzipper = require('unzipper');
+    const dir = await unzipper.Open.file(file);
+    const entry = dir.files.find(f => /\.csv$/i.test(f.path));
+    if (!entry) throw new Error(`No CSV inside ${file}`);
+    return entry.stream();
+  }
+  const stream = fs.createReadStream(file);
+  return magic[0] === 0x1f && magic[1] === 0x8b ? stream.pipe(zlib.createGunzip()) : stream;
+}
+
+/**
+ * Stream typed rows out of a report file.
+ * `metadata` is filled in as soon as the column row has been read.
+ * @returns {{ metadata: Object|null, rows: AsyncGenerator<Object> }}
+ */
+function streamReportFile(file, def, isoDate = null) {
+  const result = { metadata: null, rows: null };
+  result.rows = (async function* () {
+    const env = createEnvelope(def, isoDate);
+    const source = await openReportFile(file);
+    const parser = source.pipe(parse(CSV_OPTIONS));
+    source.on('error', e => parser.destroy(e));
+    try {
+      for await (const cells of parser) {
+        const row = env.push(cells);
+        if (!result.metadata && env.hasHeader) result.metadata = describeMetadata(env.raw);
+        if (row) yield row;
+      }
+    } finally {
+      parser.destroy();
+    }
+    checkEnvelope(env);
+    if (!result.metadata) result.metadata = describeMetadata(env.raw);
+  })();
+  return result;
+}
+
+module.exports = {
+  normaliseHeaderToken,
+  parseReportTimestamp,
+  describeMetadata,
+  parseReport,
+  streamReportFile,
+};
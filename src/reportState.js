@@ -0,0 +1,88 @@
+// src/reportState.js
+// Persisted completeness state per report day (report-state.json):
+//   { "days": { "YYYY-MM-DD": { status: "provisional"|"final", fetchedAt, lastCompletedAvailableDay } } }
+//
+// A day is "provisional" while the Bing report it came from said
+// "Potential Incomplete Data: true" and the day is after the report's
+// "Last Completed Available Day" (days up to that one are complete even in a
+// report flagged incomplete); run-bing-daily.js re-fetches those days
+// until a report covering them says the data is complete. Final days never go
+// back to provisional.
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { addDaysYMD } = require('./dateRange');
+
+const STATE_PATH = path.resolve(process.cwd(), process.env.MSADS_REPORT_STATE_PATH || 'report-state.json');
+
+function loadState() {
+  try {
+    const s = JSON.parse(fs.readFileSync(STATE_PATH, 'utf8')) || {};
+    s.days = s.days || {};
+    return s;
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw new Error(`Failed to read ${STATE_PATH}: ${e.message}`);
+    return { days: {} };
+  }
+}
+
+function saveState(state) {
+  const tmp = `${STATE_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, STATE_PATH);
+}
+
+/**
+ * Status of `day` according to one report's metadata: final unless the report
+ * may be incomplete and `day` is after its last completed day (all of them when
+ * the report does not say which day that is).
+ */
+function statusFor(day, metadata) {
+  if (!metadata.potentialIncompleteData) return 'final';
+  const lastComplete = metadata.lastCompletedAvailableDay ? metadata.lastCompletedAvailableDay.slice(0, 10) : null;
+  return lastComplete && day <= lastComplete ? 'final' : 'provisional';
+}
+
+/**
+ * Record the completeness of `days` as reported by one report's metadata.
+ * @returns {string[]} days that moved from provisional to final
+ */
+function markDays(days, metadata) {
+  if (!days.length || !metadata) return [];
+  const state = loadState();
+  const fetchedAt = new Date().toISOString();
+  const finalised = [];
+
+  for (const d of days) {
+    const status = statusFor(d, metadata);
+    const prev = state.days[d];
+    if (prev && prev.status === 'final' && status === 'provisional') continue;
+    if (prev && prev.status === 'provisional' && status === 'final') finalised.push(d);
+    state.days[d] = {
+      status,
+      fetchedAt,
+      lastCompletedAvailableDay: metadata.lastCompletedAvailableDay || null,
+    };
+  }
+  saveState(state);
+  return finalised;
+}
+
+function getDayStatus(day) {
+  return loadState().days[day]?.status || null;
+}
+
+/**
+ * Provisional days between (today - maxAgeDays) and `before` (exclusive), oldest first.
+ * Older provisional days are left alone so a day Bing never finalises cannot be
+ * re-fetched forever.
+ */
+function listProvisionalDays({ today, before, maxAgeDays = 30 }) {
+  const oldest = addDaysYMD(today, -maxAgeDays);
+  return Object.entries(loadState().days)
+    .filter(([d, s]) => s.status === 'provisional' && d >= oldest && (!before || d < before))
+    .map(([d]) => d)
+    .sort();
+}
+
+module.exports = { STATE_PATH, markDays, getDayStatus, listProvisionalDays };
@@ -0,0 +1,84 @@
+// src/searchTermStore.js
+// Local search term (search query) store (search-terms.json), one snapshot per day:
+//   { "YYYY-MM-DD": { "<adGroupId>|<keywordId>|<matchType>|<term>": { searchTerm, keyword, matchType,
+//       campaignId, campaignName, adGroupId, adGroupName, clicks, impressions, conversions, spend } } }
+'use strict';
+const { createDailyStore } = require('./dailyStore');
+
+const store = createDailyStore({
+  file: process.env.SEARCH_TERM_STORE_PATH || 'search-terms.json',
+  key: 'termKey',
+  fields: {
+    searchTerm: 'searchTerm',
+    keyword: 'keyword',
+    matchType: 'matchType',
+    campaignId: 'campaignId',
+    campaignName: 'campaignName',
+    adGroupId: 'adGroupId',
+    adGroupName: 'adGroupName',
+    clicks: 'clicks',
+    impressions: 'impressions',
+    conversions: 'conversions',
+    spend: 'spend',
+  },
+});
+
+function matchesCampaign(m, campaign) {
+  if (!campaign) return true;
+  return String(m.campaignId) === String(campaign) || m.campaignName === campaign;
+}
+
+/**
+ * Totals per search term (case-insensitive, across keywords/ad groups) for a range.
+ * @param {{ campaign?: string }} opts - Bing CampaignId or campaign name
+ * @returns {Array<{ searchTerm, campaigns: string[], keywords: string[], clicks, impressions, conversions, spend }>}
+ */
+function aggregateTerms(from, to, { campaign } = {}) {
+  const out = new Map();
+  for (const [, , m] of store.entries(from, to)) {
+    if (!matchesCampaign(m, campaign)) continue;
+    const key = m.searchTerm.toLowerCase();
+    const cur = out.get(key) || {
+      searchTerm: m.searchTerm, campaigns: new Set(), keywords: new Set(),
+      clicks: 0, impressions: 0, conversions: 0, spend: 0,
+    };
+    cur.campaigns.add(m.campaignName);
+    if (m.keyword) cur.keywords.add(m.keyword);
+    cur.clicks += Number(m.clicks || 0);
+    cur.impressions += Number(m.impressions || 0);
+    cur.conversions += Number(m.conversions || 0);
+    cur.spend += Number(m.spend || 0);
+    out.set(key, cur);
+  }
+  return Array.from(out.values()).map(t => ({
+    ...t,
+    campaigns: Array.from(t.campaigns),
+    keywords: Array.from(t.keywords),
+    spend: Math.round(t.spend * 100) / 100,
+  }));
+}
+
+/** Terms with conversions, most conversions first (then cheapest per conversion). */
+function topConverting(from, to, { campaign, limit = 25 } = {}) {
+  return aggregateTerms(from, to, { campaign })
+    .filter(t => t.conversions > 0)
+    .sort((a, b) => b.conversions - a.conversions || (a.spend / a.conversions) - (b.spend / b.conversions))
+    .slice(0, limit);
+}
+
+/** Terms with spend ≥ minSpend and no conversions, biggest spend first — negative keyword candidates. */
+function topWasted(from, to, { campaign, limit = 25, minSpend = 0.01 } = {}) {
+  return aggregateTerms(from, to, { campaign })
+    .filter(t => t.conversions === 0 && t.spend >= minSpend)
+    .sort((a, b) => b.spend - a.spend)
+    .slice(0, limit);
+}
+
+module.exports = {
+  STORE_PATH: store.path,
+  saveDay: store.saveDay,
+  getDay: store.getDay,
+  aggregateTerms,
+  topConverting,
+  topWasted,
+};
@@ -2,26 +2,24 @@
 require("dotenv").config();
 const {
   createHubSpotClient,
-  findCampaignByName,
-  createCampaign,
-  getCampaign,
-  updateCampaign,
+  batchGetCampaigns,
+  batchUpdateCampaigns,
   ensureDailySpendItem,
 } = require("./hubspotClient");
-const { getYesterdayCampaignSummary, getCampaignSummaryForDate } = require("./msadsReport");
+const { getCampaignSummaryForDate, getCampaignReportForRange, isFailureStatus } = require("./msadsReport");
+const { isQuotaError } = require("./hubspotHttp");
+const directory = require("./campaignDirectory");
+const ledger = require("./totalsLedger");
+const { getAccountRoute } = require("./msadsAccounts");
+const metricMap = require("./metricMap");
+const fx = require("./fx");
 
 const {
-  // NOTE: HubSpot auto-sums spend items into this; we DO NOT write it.
-  HSPROP_TOTAL_SPEND = "hs_spend_items_sum_amount",
-  HSPROP_TOTAL_CLICKS = "total_clicks",
-  HSPROP_TOTAL_IMPRESSIONS = "total_impressions",
-  HSPROP_TOTAL_CONVERSIONS = "total_conversions",
-  HSPROP_LAST_AVG_CPC = "avg_cpc_last",
-  HSPROP_LAST_CPL = "cpl_last",
-  HSPROP_LAST_STATUS = "bing_last_status",        // custom text
+  // Metric properties (totals, last CPC/CPL/status, …) come from metric-map (src/metricMap.js).
+  // Spend is written as spend items; HubSpot sums those into hs_spend_items_sum_amount.
   HSPROP_LAST_BING_DATE = "bing_last_processed",  // custom date picker
-  HUBSPOT_BUSINESS_UNIT_ID,
-  CAMPAIGN_NAME_PREFIX = "", // e.g. "Bing – "
+  // HUBSPOT_BUSINESS_UNIT_ID / CAMPAIGN_NAME_PREFIX (e.g. "Bing – ") are read per
+  // Bing account through getAccountRoute (msads-accounts.json overrides them).
 } = process.env;
 
 const toNumber = (v) => {
@@ -35,106 +33,187 @@ function ymdToEpochMs(ymd) {
   return Date.UTC(Y, M - 1, D); // midnight UTC in ms
 }
 
-async function ensureHubSpotCampaign(hs, originalName) {
-  const hsName = `${CAMPAIGN_NAME_PREFIX}${originalName}`;
-  let c = await findCampaignByName(hs, hsName);
-  if (!c) {
-    c = await createCampaign(hs, hsName, HUBSPOT_BUSINESS_UNIT_ID);
-    console.log(`Created HubSpot campaign: ${hsName} (id ${c.id})`);
-  }
-  return { id: c.id, hsName };
+async function ensureHubSpotCampaign(hs, originalName, accountId) {
+  const route = getAccountRoute(accountId);
+  const hsName = `${route.campaignNamePrefix}${originalName}`;
+  const { id, created } = await directory.ensureCampaign(hs, hsName, route.businessUnitId);
+  if (created) console.log(`Created HubSpot campaign: ${hsName} (id ${id})`);
+  return { id, hsName };
 }
 
-async function upsertForOneCampaign(hs, summaryItem, summaryDate) {
-  const srcName = summaryItem.name;
-  const { id: hsId, hsName } = await ensureHubSpotCampaign(hs, srcName);
-
-  // 1) Idempotent daily spend item
-  const spendAmount = +toNumber(summaryItem.spend).toFixed(2);
+/**
+ * One HubSpot campaign's day. `items` are the Bing rows that map to it: usually
+ * one, several when Bing campaigns share a HubSpot campaign, in which case the
+ * spend item holds their combined spend.
+ */
+async function upsertForOneCampaign(hs, { hsId, hsName, items }, summaryDate) {
+  // 1) Idempotent daily spend item, in the portal currency
+  const convs = items.map(it => fx.convertSpend(toNumber(it.spend), it.currencyCode, summaryDate));
+  const spendAmount = +convs.reduce((s, c) => s + c.amount, 0).toFixed(2);
   const spendName = `Spend ${summaryDate} (Bing)`;
-  const spendDesc = `Bing Ads daily spend for ${srcName} on ${summaryDate}`;
+  const spendDesc = items.length === 1
+    ? `Bing Ads daily spend for ${items[0].campaignName} on ${summaryDate} (${fx.describeOriginal(convs[0])})`
+    : `Bing Ads daily spend on ${summaryDate} (${items.map((it, i) => `${it.campaignName}: ${fx.describeOriginal(convs[i])}`).join("; ")})`;
   const spendRes = await ensureDailySpendItem(hs, hsId, {
     name: spendName,
     amount: spendAmount,
     description: spendDesc,
   });
 
-  // 2) Cumulative totals: read current, then add yesterday's
-  const current = await getCampaign(hs, hsId);
-  const clicksCum = toNumber(current[HSPROP_TOTAL_CLICKS]) + toNumber(summaryItem.clicks);
-  const impsCum   = toNumber(current[HSPROP_TOTAL_IMPRESSIONS]) + toNumber(summaryItem.impressions);
-  const convsCum  = toNumber(current[HSPROP_TOTAL_CONVERSIONS]) + toNumber(summaryItem.conversions);
-
-  const props = {};
-  if (HSPROP_TOTAL_CLICKS)       props[HSPROP_TOTAL_CLICKS] = clicksCum;
-  if (HSPROP_TOTAL_IMPRESSIONS)  props[HSPROP_TOTAL_IMPRESSIONS] = impsCum;
-  if (HSPROP_TOTAL_CONVERSIONS)  props[HSPROP_TOTAL_CONVERSIONS] = convsCum;
-  if (HSPROP_LAST_AVG_CPC)       props[HSPROP_LAST_AVG_CPC] = +toNumber(summaryItem.average_cpc).toFixed(4);
-  if (HSPROP_LAST_CPL)           props[HSPROP_LAST_CPL] = +toNumber(summaryItem.all_cost_per_conversion).toFixed(4);
-  if (HSPROP_LAST_STATUS)        props[HSPROP_LAST_STATUS] = String(summaryItem.campaign_status || "");
-  if (HSPROP_LAST_BING_DATE)     props[HSPROP_LAST_BING_DATE] = ymdToEpochMs(summaryDate); // epoch ms
+  if (spendRes.action === "updated") {
+    console.log(`Corrected spend for ${hsName} on ${summaryDate}: ${spendRes.previousAmount.toFixed(2)} -> ${spendAmount.toFixed(2)}`);
+  }
+  // metric properties are written for the whole day afterwards (writeDayProps), with
+  // currency-valued ones (CPC, cost per conversion) in the portal currency
+  return { hsId, hsName, day: metricMap.combineRows(items.map(fx.convertRow)), spendAction: spendRes.action, spendDelta: spendRes.action === "updated" ? spendRes.delta : 0 };
+}
 
+/**
+ * 2) Metric properties for every campaign synced on `date`, in one batch read and
+ * one batch update: sums add only what the ledger says is new for this day,
+ * "last"/averages follow metric-map. `synced` has one entry per HubSpot campaign,
+ * with the rows of Bing campaigns sharing it already combined. Campaigns whose
+ * day matches the ledger are left out (no read, no write).
+ * Property failures are warnings, as the spend items are already written.
+ */
+async function writeDayProps(hs, date, synced) {
+  const byId = new Map();
+  for (const s of synced) {
+    const diff = ledger.diffApplied(String(s.hsId), date, "bing", s.day);
+    if (diff.changed) byId.set(String(s.hsId), { ...s, delta: diff.delta });
+  }
+  if (!byId.size) return;
+  let current;
   try {
-    if (Object.keys(props).length > 0) {
-      await updateCampaign(hs, hsId, props);
-    }
+    current = await batchGetCampaigns(hs, byId.keys());
   } catch (e) {
-    if (e.response) {
-      console.error(
-        `⚠️ Campaign props update warning for ${hsName}`,
-        e.response.status,
-        e.response.statusText,
-        JSON.stringify(e.response.data)
-      );
-    } else {
-      console.error(`⚠️ Campaign props update warning for ${hsName}: ${e.message}`);
+    if (isQuotaError(e)) throw e;
+    console.error(`⚠️ Campaign props not updated for ${date}: ${e.message}`);
+    return;
+  }
+
+  const updates = [];
+  for (const [id, s] of byId) {
+    if (!current.has(id)) {
+      console.error(`⚠️ Campaign props update warning for ${s.hsName}: campaign ${id} not found`);
+      continue;
     }
+    if (ledger.unseeded(id, current.get(id))) {
+      console.error(`⚠️ Campaign props not updated for ${s.hsName} on ${date}: ${ledger.unseededError(id).message}`);
+      continue;
+    }
+    const history = { ...ledger.getHistory(id, "bing"), [date]: s.day };
+    const props = metricMap.buildCampaignProps({ current: current.get(id), delta: s.delta, day: s.day, history, date });
+    if (HSPROP_LAST_BING_DATE && metricMap.isLatestDay(date, history)) props[HSPROP_LAST_BING_DATE] = ymdToEpochMs(date); // epoch ms
+    if (Object.keys(props).length > 0) updates.push({ id, properties: props });
   }
 
-  return { hsId, hsName, spendAction: spendRes.action };
+  const r = await batchUpdateCampaigns(hs, updates);
+  for (const id of r.updated) ledger.recordApplied(id, date, "bing", byId.get(id).day);
+  for (const f of r.failed) console.error(`⚠️ Campaign props update warning for ${byId.get(f.id).hsName}: ${f.message}`);
+  if (r.stopped) throw r.stopped;
 }
 
-async function runForDate(ymd) {
-  const hs = createHubSpotClient();
-  const { date, items } = await getCampaignSummaryForDate(ymd);
+/**
+ * Write one day's rows. `status` is the Bing fetch outcome for the day; a failed
+ * fetch writes nothing and is reported as such, never as a zero-spend day.
+ * @returns {{ date, status, created, updated, unchanged, correction, errors }}
+ */
+async function syncDayRows(hs, date, items, { status = "ok", detail = null, stopOnError = false } = {}) {
+  const empty = { date, status, created: 0, updated: 0, unchanged: 0, correction: 0, errors: 0 };
+  if (isFailureStatus(status)) {
+    const msg = `Bing report for ${date} failed: ${status}${detail ? ` (${detail})` : ""}`;
+    if (stopOnError) throw new Error(msg);
+    console.error(`❌ ${msg}`);
+    return empty;
+  }
   console.log(`Bing summary for ${date}: ${items.length} campaign(s).`);
   if (items.length === 0) {
-    console.log("Nothing to sync for that date (no spend).");
-    return { date, created: 0, updated: 0, unchanged: 0 };
+    console.log(`Nothing to sync for that date (${status}).`);
+    return empty;
   }
-  let created = 0, updated = 0, unchanged = 0;
+  fx.assertRates(items);
+  let created = 0, updated = 0, unchanged = 0, correction = 0, errors = 0;
+  const reportError = (what, e) => {
+    if (e.response) console.error(`❌ HubSpot error for ${what}`, e.response.status, e.response.statusText, e.response.data);
+    else console.error(`❌ Error for ${what}:`, e.message);
+  };
+
+  // Bing campaigns that map to the same HubSpot campaign are written together
+  const groups = new Map(); // hsId -> { hsId, hsName, items }
   for (const it of items) {
     try {
-      const r = await upsertForOneCampaign(hs, it, date);
+      const { id, hsName } = await ensureHubSpotCampaign(hs, it.campaignName, it.accountId);
+      if (!groups.has(String(id))) groups.set(String(id), { hsId: id, hsName, items: [] });
+      groups.get(String(id)).items.push(it);
+    } catch (e) {
+      if (stopOnError || isQuotaError(e)) throw e; // out of quota: the rest would fail too
+      errors++;
+      reportError(it.campaignName, e);
+    }
+  }
+
+  const synced = [];
+  for (const g of groups.values()) {
+    try {
+      const r = await upsertForOneCampaign(hs, g, date);
+      synced.push(r);
       if (r.spendAction === "created") created++;
-      else if (r.spendAction === "updated") updated++;
+      else if (r.spendAction === "updated") { updated++; correction += r.spendDelta; }
       else unchanged++;
     } catch (e) {
-      if (e.response) console.error(`❌ HubSpot error for ${it.name}`, e.response.status, e.response.statusText, e.response.data);
-      else console.error(`❌ Error for ${it.name}:`, e.message);
+      if (stopOnError || isQuotaError(e)) throw e;
+      errors += g.items.length;
+      reportError(g.hsName, e);
     }
   }
-  console.log(`Summary: spend created=${created}, updated=${updated}, unchanged=${unchanged}`);
-  return { date, created, updated, unchanged };
+  if (synced.length) await writeDayProps(hs, date, synced);
+  correction = Math.round(correction * 100) / 100;
+  console.log(`Summary: spend created=${created}, updated=${updated} (net ${correction >= 0 ? "+" : ""}${correction.toFixed(2)}), unchanged=${unchanged}`);
+  return { date, status, created, updated, unchanged, correction, errors };
 }
 
-async function runForYesterday() {
-  const { date, items } = await require("./msadsReport").getYesterdayCampaignSummary();
+async function runForDate(ymd) {
   const hs = createHubSpotClient();
-  console.log(`Bing summary for ${date}: ${items.length} campaign(s).`);
-  if (items.length === 0) {
-    console.log("Nothing to sync today (no spend yesterday).");
-    return { date, created: 0, updated: 0, unchanged: 0 };
-  }
-  let created = 0, updated = 0, unchanged = 0;
-  for (const it of items) {
-    const r = await upsertForOneCampaign(hs, it, date);
-    if (r.spendAction === "created") created++;
-    else if (r.spendAction === "updated") updated++;
-    else unchanged++;
+  const report = await getCampaignSummaryForDate(ymd);
+  return syncDayRows(hs, ymd, report.rows, { status: report.status, detail: report.detail });
+}
+
+/**
+ * Sync an inclusive range from a single Bing report (per-day spend items as usual).
+ * Returns per-day results plus range totals; `failedDays` lists days whose Bing
+ * report failed (nothing was written for them).
+ * @param {{ report?: Object }} opts - report: the range's campaign report when the
+ *   caller already fetched it (see msadsReport.eachReportForRanges)
+ */
+async function runForRange(fromYmd, toYmd, { report = null } = {}) {
+  const hs = createHubSpotClient();
+  if (!report) report = await getCampaignReportForRange(fromYmd, toYmd);
+  const byDay = report.byDay;
+  fx.assertRates(Object.values(byDay).flat()); // before any day is written
+  const days = [];
+  let created = 0, updated = 0, unchanged = 0, correction = 0;
+  for (const [date, items] of Object.entries(byDay)) {
+    const r = await syncDayRows(hs, date, items, { status: report.statusByDay[date], detail: report.detail });
+    days.push(r);
+    created += r.created;
+    updated += r.updated;
+    unchanged += r.unchanged;
+    correction += r.correction;
   }
-  console.log(`Summary: spend created=${created}, updated=${updated}, unchanged=${unchanged}`);
-  return { date, created, updated, unchanged };
+  return {
+    from: fromYmd, to: toYmd, days, created, updated, unchanged,
+    correction: Math.round(correction * 100) / 100,
+    failedDays: report.failedDays,
+  };
+}
+
+async function runForYesterday() {
+  const { getYesterdayLondonYMD } = require("./timezone");
+  const date = getYesterdayLondonYMD();
+  const hs = createHubSpotClient();
+  const report = await getCampaignSummaryForDate(date);
+  return syncDayRows(hs, date, report.rows, { status: report.status, detail: report.detail, stopOnError: true });
 }
 
-module.exports = { syncBingToHubspot: runForYesterday, syncBingForDate: runForDate };
+module.exports = { syncBingToHubspot: runForYesterday, syncBingForDate: runForDate, syncBingForRange: runForRange };
@@ -0,0 +1,132 @@
+// src/throttle.js
+// Bounded concurrency and retry-with-backoff for API calls.
+//
+// createPool(limit).run(fn) runs at most `limit` jobs at once; further jobs
+// queue in call order.
+//
+// createTokenBucket(capacity, windowMs).take() resolves once a request may be
+// sent: bursts of up to `capacity`, refilled evenly to `capacity` per window.
+//
+// withBackoff(send, opts) repeats `send` (which returns an axios response with
+// validateStatus: () => true, or throws on network errors) while the response
+// or error is retryable: 429, 502/503/504, timeouts/resets, and whatever
+// opts.isThrottled recognises in the body (e.g. Microsoft Ads CallRateExceeded).
+// opts.retryOn / opts.retryNetwork narrow that for calls that must not be
+// repeated once the server may have acted on them (e.g. creates).
+// The wait is Retry-After when the server sends one, else exponential backoff
+// with full jitter: random(0, min(maxMs, baseMs * 2^attempt)).
+'use strict';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+const RETRY_STATUSES = new Set([429, 502, 503, 504]);
+const RETRY_ERRORS = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE']);
+
+function createPool(limit) {
+  const max = Math.max(1, Number(limit) || 1);
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= max || !queue.length) return;
+    const { fn, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => { active--; next(); });
+  }
+
+  return {
+    get active() { return active; },
+    get pending() { return queue.length; },
+    /** @template T @param {() => Promise<T>} fn @returns {Promise<T>} */
+    run(fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+      });
+    },
+  };
+}
+
+function createTokenBucket(capacity, windowMs) {
+  const max = Math.max(1, Number(capacity) || 1);
+  const perMs = max / Math.max(1, Number(windowMs) || 1);
+  let tokens = max;
+  let last = Date.now();
+  let chain = Promise.resolve(); // callers are served in order
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(max, tokens + (now - last) * perMs);
+    last = now;
+  };
+
+  return {
+    take() {
+      const turn = chain.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep(Math.ceil((1 - tokens) / perMs));
+          refill();
+        }
+        tokens -= 1;
+      });
+      chain = turn.catch(() => {});
+      return turn;
+    },
+  };
+}
+
+/** Retry-After (seconds or HTTP date) in ms, or null. */
+function retryAfterMs(headers) {
+  const v = headers && (headers['retry-after'] ?? headers['Retry-After']);
+  if (v == null || v === '') return null;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+const jitter = (attempt, baseMs, maxMs) => Math.random() * Math.min(maxMs, baseMs * Math.pow(2, attempt));
+
+/**
+ * @param {() => Promise<Object>} send
+ * @param {{ attempts?: number, baseMs?: number, maxMs?: number, label?: string,
+ *   isThrottled?: (res: Object) => boolean, onRetry?: (info: Object) => void,
+ *   retryOn?: Set<number>, retryNetwork?: boolean }} opts
+ *   attempts counts the first try (default 6); retryOn defaults to 429/502/503/504
+ * @returns {Promise<Object>} the last response (retryable or not); network errors
+ *   are rethrown once attempts run out
+ */
+async function withBackoff(send, {
+  attempts = 6, baseMs = 1000, maxMs = 60000, label = 'request', isThrottled = () => false, onRetry = null,
+  retryOn = RETRY_STATUSES, retryNetwork = true,
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let res = null;
+    let err = null;
+    try {
+      res = await send();
+    } catch (e) {
+      if (!(retryNetwork && RETRY_ERRORS.has(e.code)) && !(e.response && retryOn.has(e.response.status))) throw e;
+      err = e;
+      res = e.response || null;
+    }
+    const retryable = err || retryOn.has(res.status) || isThrottled(res);
+    if (!retryable) return res;
+    if (attempt + 1 >= attempts) {
+      if (err) throw err;
+      return res;
+    }
+    const serverWait = retryAfterMs(res && res.headers);
+    const wait = Math.min(maxMs, serverWait ?? jitter(attempt, baseMs, maxMs));
+    const why = err ? err.code || err.message : `HTTP ${res.status}`;
+    if (onRetry) onRetry({ label, attempt: attempt + 1, wait, why });
+    if (res && res.data && typeof res.data.resume === 'function') res.data.resume(); // drain a streamed body
+    await sleep(wait);
+  }
+}
+
+module.exports = { createPool, createTokenBucket, withBackoff, retryAfterMs, sleep, RETRY_STATUSES };
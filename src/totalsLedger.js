@@ -0,0 +1,215 @@
+// src/totalsLedger.js
+// Local ledger of the daily metrics already added into HubSpot cumulative totals.
+//
+// Shape (totals-ledger.json):
+//   { "<hubspotCampaignId>": { "YYYY-MM-DD": { "<source>": { clicks, impressions, conversions, …, appliedAt } } } }
+// The numeric fields kept are the ones metric-map writes to HubSpot (see metricMap.ledgerFields).
+//
+// Re-applying a day only writes the difference between the new numbers and what
+// the ledger says was applied before, so re-runs are idempotent and restated
+// Bing data corrects the totals instead of being doubled. Days applied before the
+// ledger existed are unknown to it, so a campaign that already has totals in
+// HubSpot but no ledger entry is refused (unseeded()) instead of having every
+// day in the window added a second time: recalc-totals-simple.js over its
+// history sets the totals and seeds the ledger.
+//
+// An entry covers the whole HubSpot campaign for the day: when several Bing
+// campaigns map to one HubSpot campaign their rows are combined first
+// (metricMap.combineRows), so each one's numbers count.
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { ledgerFields, combineRows, hasTotals } = require('./metricMap');
+
+const LEDGER_PATH = path.resolve(process.cwd(), process.env.TOTALS_LEDGER_PATH || 'totals-ledger.json');
+
+let cache = null;
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+// conversions can be fractional; avoid 0.30000000000000004-style deltas
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+function loadLedger() {
+  if (cache) return cache;
+  try {
+    cache = JSON.parse(fs.readFileSync(LEDGER_PATH, 'utf8')) || {};
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw new Error(`Failed to read ${LEDGER_PATH}: ${e.message}`);
+    cache = {};
+  }
+  return cache;
+}
+
+function saveLedger() {
+  if (!cache) return;
+  // write-then-rename so a crash mid-write never leaves a truncated ledger
+  const tmp = `${LEDGER_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cache, null, 2));
+  fs.renameSync(tmp, LEDGER_PATH);
+}
+
+function pickMetrics(m) {
+  return Object.fromEntries(ledgerFields().map(k => [k, num(m && m[k])]));
+}
+
+/** What was previously applied for campaign/date/source, or null. */
+function getApplied(campaignId, date, source = 'bing') {
+  const entry = loadLedger()[campaignId]?.[date]?.[source];
+  return entry ? pickMetrics(entry) : null;
+}
+
+/**
+ * Difference between `metrics` and what the ledger recorded for that day.
+ * @returns {{ delta: Object, previous: Object|null, changed: boolean }}
+ */
+function diffApplied(campaignId, date, source, metrics) {
+  const previous = getApplied(campaignId, date, source);
+  const next = pickMetrics(metrics);
+  const delta = {};
+  const fields = ledgerFields();
+  for (const k of fields) delta[k] = round(next[k] - (previous ? previous[k] : 0));
+  const changed = fields.some(k => delta[k] !== 0);
+  return { delta, previous, changed };
+}
+
+function setApplied(campaignId, date, source, metrics) {
+  const ledger = loadLedger();
+  ledger[campaignId] = ledger[campaignId] || {};
+  ledger[campaignId][date] = ledger[campaignId][date] || {};
+  ledger[campaignId][date][source] = { ...pickMetrics(metrics), appliedAt: new Date().toISOString() };
+}
+
+function recordApplied(campaignId, date, source, metrics) {
+  setApplied(campaignId, date, source, metrics);
+  saveLedger();
+}
+
+/**
+ * True when the campaign has no ledger entry yet but its HubSpot properties
+ * (`current`) already hold totals: adding a day's delta would count again
+ * what the pre-ledger code already added. resetCampaign() seeds it.
+ */
+function unseeded(campaignId, current) {
+  return !(String(campaignId) in loadLedger()) && hasTotals(current);
+}
+
+/** Error for a write refused by unseeded(). */
+function unseededError(campaignId) {
+  const err = new Error(`Campaign ${campaignId} has totals in HubSpot but no totals ledger entry; ` +
+    'run recalc-totals-simple.js over its history to seed the ledger before adding days');
+  err.code = 'LEDGER_UNSEEDED';
+  return err;
+}
+
+/** { 'YYYY-MM-DD': metrics } for every day recorded for campaign/source. */
+function getHistory(campaignId, source = 'bing') {
+  const out = {};
+  for (const [date, bySource] of Object.entries(loadLedger()[campaignId] || {})) {
+    if (bySource[source]) out[date] = pickMetrics(bySource[source]);
+  }
+  return out;
+}
+
+/**
+ * Replace everything recorded for one campaign/source with `byDate`
+ * ({ 'YYYY-MM-DD': metrics }). Used after a hard recalculation, where the
+ * HubSpot totals are set to exactly the sum of those days.
+ */
+function resetCampaign(campaignId, source, byDate) {
+  const ledger = loadLedger();
+  const days = ledger[campaignId] || {};
+  for (const date of Object.keys(days)) {
+    delete days[date][source];
+    if (!Object.keys(days[date]).length) delete days[date];
+  }
+  const appliedAt = new Date().toISOString();
+  for (const [date, metrics] of Object.entries(byDate || {})) {
+    days[date] = days[date] || {};
+    days[date][source] = { ...pickMetrics(metrics), appliedAt };
+  }
+  ledger[campaignId] = days;
+  saveLedger();
+}
+
+/**
+ * Entries grouped by campaign, each campaign's rows combined into one.
+ * @param {Array<{ campaignId: string, metrics: Object }>} entries
+ * @returns {Map<string, Object>} campaignId -> the day's combined metrics
+ */
+function combineEntries(entries) {
+  const rows = new Map();
+  for (const e of entries) {
+    const id = String(e.campaignId);
+    if (!rows.has(id)) rows.set(id, []);
+    rows.get(id).push(e.metrics);
+  }
+  return new Map(Array.from(rows, ([id, list]) => [id, combineRows(list)]));
+}
+
+/**
+ * Apply one day's metrics through the ledger:
+ *  - computes the delta vs. what was applied before
+ *  - calls writeDelta(delta, previous, history) only if something changed;
+ *    history is every recorded day for the campaign with this day's new figures
+ *  - records the new figures once the write succeeded
+ * `metrics` is the campaign's whole day: pass every row (an array) when several
+ * Bing campaigns feed it.
+ * @returns {Promise<{ changed: boolean, delta: Object, previous: Object|null }>}
+ */
+async function applyDailyMetrics(campaignId, date, source, rowOrRows, writeDelta) {
+  const metrics = Array.isArray(rowOrRows) ? combineRows(rowOrRows) : rowOrRows;
+  const res = diffApplied(campaignId, date, source, metrics);
+  if (!res.changed) return res;
+  const history = { ...getHistory(campaignId, source), [date]: pickMetrics(metrics) };
+  await writeDelta(res.delta, res.previous, history);
+  recordApplied(campaignId, date, source, metrics);
+  return res;
+}
+
+/**
+ * applyDailyMetrics for many campaigns on one day with a single write:
+ * writeDeltas(changes) gets { campaignId, metrics, delta, previous, history } for
+ * each campaign whose figures changed and resolves to the campaign IDs it wrote.
+ * Only those are recorded. Entries for the same campaign are combined (combineEntries),
+ * and `metrics` in the changes is the combined row.
+ * @param {Array<{ campaignId: string, metrics: Object }>} entries
+ * @returns {Promise<Map<string, { changed: boolean, delta: Object, previous: Object|null, written: boolean }>>}
+ */
+async function applyDailyMetricsBatch(date, source, entries, writeDeltas) {
+  const results = new Map();
+  const changes = [];
+  for (const [campaignId, metrics] of combineEntries(entries)) {
+    const res = diffApplied(campaignId, date, source, metrics);
+    results.set(campaignId, { ...res, written: false });
+    if (!res.changed) continue;
+    const history = { ...getHistory(campaignId, source), [date]: pickMetrics(metrics) };
+    changes.push({ campaignId, metrics, delta: res.delta, previous: res.previous, history });
+  }
+  if (!changes.length) return results;
+
+  const written = new Set((await writeDeltas(changes)).map(String));
+  for (const c of changes) {
+    if (!written.has(c.campaignId)) continue;
+    setApplied(c.campaignId, date, source, c.metrics);
+    results.get(c.campaignId).written = true;
+  }
+  if (written.size) saveLedger();
+  return results;
+}
+
+module.exports = {
+  LEDGER_PATH,
+  getApplied,
+  getHistory,
+  unseeded,
+  unseededError,
+  diffApplied,
+  recordApplied,
+  resetCampaign,
+  combineEntries,
+  applyDailyMetrics,
+  applyDailyMetricsBatch,
+};
@@ -0,0 +1,49 @@
+// sync-ad-groups.js
+// Per-ad-group daily metrics from Microsoft Ads into ad-group-metrics.json and,
+// when HUBSPOT_ADGROUP_OBJECT_TYPE is set (or --hubspot), HubSpot custom-object
+// records associated to each campaign. See src/adGroupSync.js for the object layout.
+//
+// Usage:
+//   node sync-ad-groups.js --from=YYYY-MM-DD --to=YYYY-MM-DD [--hubspot|--no-hubspot] [--force] [--dryRun]
+//   (--force pushes every day to HubSpot, not only days whose numbers changed)
+//   node sync-ad-groups.js --summary --from=YYYY-MM-DD --to=YYYY-MM-DD [--campaignId=123]
+require('dotenv').config();
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const store = require('./src/adGroupStore');
+
+(async () => {
+  const argv = yargs(hideBin(process.argv))
+    .option('from',       { type: 'string', demandOption: true })
+    .option('to',         { type: 'string', demandOption: true })
+    .option('hubspot',    { type: 'boolean' })
+    .option('dryRun',     { type: 'boolean', default: false })
+    .option('force',      { type: 'boolean', default: false })
+    .option('summary',    { type: 'boolean', default: false, describe: 'Print stored per-ad-group totals instead of syncing' })
+    .option('campaignId', { type: 'string' })
+    .argv;
+
+  if (argv.summary) {
+    const rows = store.summarize(argv.from, argv.to, { campaignId: argv.campaignId })
+      .sort((a, b) => b.conversions - a.conversions || b.clicks - a.clicks);
+    if (!rows.length) return console.log('No stored ad group data for that range.');
+    for (const r of rows) {
+      const cpl = r.conversions ? (r.spend / r.conversions).toFixed(2) : '-';
+      console.log(`${r.campaignName} / ${r.adGroupName} [${r.adGroupId}]  conv=${r.conversions}  clicks=${r.clicks}  imps=${r.impressions}  spend=${r.spend.toFixed(2)}  cpl=${cpl}`);
+    }
+    return;
+  }
+
+  const { syncAdGroupsForRange } = require('./src/adGroupSync');
+  const opts = { dryRun: argv.dryRun, force: argv.force };
+  if (argv.hubspot !== undefined) opts.hubspot = argv.hubspot;
+  const s = await syncAdGroupsForRange(argv.from, argv.to, opts);
+  console.log(`\nDone. Days=${s.days}  AdGroupRows=${s.adGroups}  ChangedDays=${s.changedDays}  HubSpotUpserted=${s.upserted}  Associated=${s.associated}  Unmapped=${s.unmapped}  FailedDays=${s.failedDays.length}` + (argv.dryRun ? ' (DRY)' : ''));
+  if (s.failedDays.length) {
+    console.error(`Failed days: ${s.failedDays.join(', ')}`);
+    process.exitCode = 1;
+  }
+})().catch(e => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
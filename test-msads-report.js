@@ -2,12 +2,13 @@ const { getYesterdayCampaignSummary } = require("./src/msadsReport");
 
 (async () => {
   try {
-    const { date, items } = await getYesterdayCampaignSummary();
-    console.log(`✅ Got Microsoft Ads report for ${date}`);
-    if (items.length === 0) {
-      console.log("No rows returned (no spend yesterday or empty account).");
+    const { date, status, detail, rows: items } = await getYesterdayCampaignSummary();
+    if (status !== "ok") {
+      console.log(`${status === "no-data" ? "⚠️" : "❌"} ${date}: ${status}${detail ? ` (${detail})` : ""}`);
+      if (status !== "no-data") process.exit(1);
       return;
     }
+    console.log(`✅ Got Microsoft Ads report for ${date}`);
     // Print a small table
     for (const it of items) {
       console.log(